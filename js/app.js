@@ -6,10 +6,42 @@
 class CryptoMonitorApp {
     constructor() {
         this.isInitialized = false;
-        this.updateInterval = null;
         this.lastUpdateTime = null;
         this.visibilityChangeHandler = this.handleVisibilityChange.bind(this);
         
+        // Every coin loaded so far; page 1 comes from the price bus, later pages from scrolling
+        this.marketList = {
+            coins: [],
+            byId: new Map(),
+            page: 1,
+            perPage: 100,
+            maxCoins: 5000,
+            hasMore: true,
+            loading: false,
+            failures: 0, // Consecutive failed page loads, for the retry backoff
+            retryAt: 0
+        };
+        
+        // Only the rows around the viewport are in the DOM, see renderGridWindow
+        this.gridView = {
+            items: [],
+            query: '',
+            filter: 'all',
+            start: 0,
+            end: 0,
+            rowHeight: 0,
+            bufferRows: 3,
+            frame: null
+        };
+        this.gridCards = new Map(); // coinId -> { element, currency, isInPortfolio, ...last rendered values }
+        this.gridObserver = null;
+        this.loadMoreRetryTimer = null;
+        this.gridScrollHandler = () => this.scheduleGridWindow();
+        this.gridResizeHandler = () => {
+            this.gridView.rowHeight = 0;
+            this.scheduleGridWindow(true);
+        };
+        
         // Initialize app when DOM is loaded
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => this.init());
@@ -78,10 +110,23 @@ class CryptoMonitorApp {
         Storage.init();
         Theme.init();
         Notifications.init();
+        RateLimiter.init();
         API.init();
+        PriceBus.init();
+        Streaming.init();
+        Watchlists.init();
         Portfolio.init();
         Alerts.init();
         Charts.init();
+        PortfolioHistory.init();
+        PortfolioImport.init();
+        Stablecoins.init();
+        PaperTrading.init();
+        
+        // Auto-start arbitrage monitoring if enabled; the scan list can come from a watchlist, so only now
+        if (Storage.get('arbitrageAutoStart', false)) {
+            Arbitrage.startMonitoring(Arbitrage.getScanCoins());
+        }
     }
     
     setupEventListeners() {
@@ -96,14 +141,34 @@ class CryptoMonitorApp {
         document.getElementById('filter-select')?.addEventListener('change', (e) => this.handleFilter(e.target.value));
         document.getElementById('currency-select')?.addEventListener('change', (e) => this.handleCurrencyChange(e.target.value));
         
+        // Watchlists
+        document.getElementById('watchlists-btn')?.addEventListener('click', () => this.openWatchlists());
+        document.addEventListener('watchlistUpdate', () => this.handleWatchlistUpdate());
+        
         // Portfolio actions
         document.getElementById('add-coin-btn')?.addEventListener('click', () => this.openAddCoinModal());
+        document.getElementById('portfolio-import-btn')?.addEventListener('click', () => PortfolioImport.openImportModal());
         document.getElementById('portfolio-settings-btn')?.addEventListener('click', () => this.openPortfolioSettings());
         
         // Arbitrage controls
+        document.getElementById('arbitrage-watchlist-select')?.addEventListener('change', (e) => Arbitrage.setWatchlist(e.target.value));
         document.getElementById('start-arbitrage-btn')?.addEventListener('click', () => this.startArbitrageMonitoring());
         document.getElementById('stop-arbitrage-btn')?.addEventListener('click', () => this.stopArbitrageMonitoring());
         document.getElementById('arbitrage-settings-btn')?.addEventListener('click', () => this.openArbitrageSettings());
+        document.getElementById('arbitrage-history-btn')?.addEventListener('click', () => this.openArbitrageHistory());
+        document.getElementById('paper-reset-btn')?.addEventListener('click', () => this.resetPaperTrading());
+        
+        // Live prices and arbitrage re-evaluations pushed by the streaming layer
+        PriceBus.subscribe('grid', { markets: true, global: true }, (snapshot) => this.handleMarketSnapshot(snapshot));
+        document.addEventListener('priceUpdate', (event) => this.handlePriceUpdate(event.detail));
+        document.addEventListener('arbitrageUpdate', () => {
+            if (this.arbitrageUpdateInterval) {
+                this.updateArbitrageDisplay(Arbitrage.getTopOpportunities(6));
+            }
+        });
+        
+        // Depeg monitor controls
+        document.getElementById('depeg-settings-btn')?.addEventListener('click', () => this.openDepegSettings());
         
         // Modal controls
         this.setupModalControls();
@@ -124,11 +189,30 @@ class CryptoMonitorApp {
         document.getElementById('close-add-modal')?.addEventListener('click', () => this.closeModal('add-coin-modal'));
         document.getElementById('cancel-add')?.addEventListener('click', () => this.closeModal('add-coin-modal'));
         document.getElementById('add-coin-form')?.addEventListener('submit', (e) => this.handleAddCoin(e));
+        document.getElementById('transaction-type')?.addEventListener('change', () => this.updateLotOptions());
+        document.getElementById('coin-select')?.addEventListener('change', () => this.updateLotOptions());
+        document.getElementById('transaction-portfolio')?.addEventListener('change', () => this.updateLotOptions());
+        document.getElementById('portfolio-select')?.addEventListener('change', (e) => Portfolio.setActivePortfolio(e.target.value));
+        document.querySelectorAll('.portfolio-range-btn').forEach(button => {
+            button.addEventListener('click', () => PortfolioHistory.setRange(button.dataset.range));
+        });
+        document.getElementById('portfolio-benchmark')?.addEventListener('change', (e) => PortfolioHistory.setBenchmark(e.target.value));
         
         // Coin detail modal
         document.getElementById('close-detail-modal')?.addEventListener('click', () => this.closeModal('coin-detail-modal'));
         document.getElementById('alert-form')?.addEventListener('submit', (e) => this.handleCreateAlert(e));
         
+        // Arbitrage history modal
+        document.getElementById('close-arbitrage-history-modal')?.addEventListener('click', () => this.closeModal('arbitrage-history-modal'));
+        document.getElementById('export-arbitrage-history')?.addEventListener('click', () => this.exportArbitrageHistory());
+        ['history-period', 'history-kind', 'history-exchange', 'history-coin'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.renderArbitrageHistory());
+        });
+        
+        // Watchlists modal
+        document.getElementById('close-watchlists-modal')?.addEventListener('click', () => this.closeModal('watchlists-modal'));
+        document.getElementById('watchlist-form')?.addEventListener('submit', (e) => this.handleCreateWatchlist(e));
+        
         // Settings modal
         document.getElementById('close-settings-modal')?.addEventListener('click', () => this.closeModal('settings-modal'));
         document.getElementById('save-settings')?.addEventListener('click', () => this.saveSettings());
@@ -215,14 +299,17 @@ class CryptoMonitorApp {
     }
     
     async loadMarketData() {
+        // One refresh feeds every subscriber; the grid renders in handleMarketSnapshot
+        const snapshot = await PriceBus.refresh();
+        
+        if (!snapshot) {
+            this.renderErrorState();
+        }
+    }
+    
+    handleMarketSnapshot(snapshot) {
         try {
-            const currency = Storage.get('currency', 'usd');
-            
-            // Clear API cache to ensure fresh data
-            API.clearCache();
-            
-            const marketData = await API.getMarketData(currency);
-            const cryptoData = await API.getCryptocurrencyData(currency);
+            const cryptoData = snapshot.markets;
             
             // Validate data before rendering
             if (!Array.isArray(cryptoData)) {
@@ -230,11 +317,13 @@ class CryptoMonitorApp {
                 throw new Error('Invalid cryptocurrency data format');
             }
             
-            this.renderMarketStats(marketData);
-            this.renderCryptoGrid(cryptoData);
-            
-            // Update portfolio values
-            Portfolio.updatePortfolioValues(cryptoData);
+            this.renderMarketStats(snapshot.global, snapshot.currency);
+            this.mergeMarketPage(cryptoData, true);
+            this.renderCryptoGrid(this.marketList.coins);
+            Streaming.watch('grid', cryptoData.map(crypto => crypto.id));
+            // Refreshes the watched list's coins the first page doesn't cover
+            this.loadWatchlistCoins(new Set(cryptoData.map(crypto => crypto.id)));
+            this.updateLastUpdateTime();
             
         } catch (error) {
             console.error('Failed to load market data:', error);
@@ -242,39 +331,59 @@ class CryptoMonitorApp {
         }
     }
     
-    renderMarketStats(data) {
+    handlePriceUpdate({ coinId, ticker }) {
+        const currency = Storage.get('currency', 'usd');
+        if (Streaming.normalizeQuote(ticker.quoteCurrency) !== currency) return;
+        
+        // Kept in the list too, so a card scrolled back into view shows the live price
+        const coin = this.marketList.byId.get(coinId);
+        if (!coin) return;
+        
+        coin.current_price = ticker.price;
+        
+        const entry = this.gridCards.get(coinId);
+        if (entry) {
+            this.updateCoinCard(entry, coin);
+        }
+    }
+    
+    renderMarketStats(data, currency = Storage.get('currency', 'usd')) {
         const container = document.getElementById('market-stats');
         if (!container) return;
         
+        // CoinGecko wraps /global in a data envelope; totals are keyed by every supported currency
+        const global = data?.data || data || {};
+        
         const stats = [
             {
                 label: 'Market Cap Total',
-                value: Formatters.formatCurrency(data.total_market_cap?.usd || 0),
-                change: data.market_cap_change_percentage_24h_usd || 0
+                value: Formatters.formatCurrency(global.total_market_cap?.[currency] || 0, currency),
+                // Only published against USD, but a percentage reads the same in any currency
+                change: global.market_cap_change_percentage_24h_usd || 0
             },
             {
                 label: 'Volume 24h',
-                value: Formatters.formatCurrency(data.total_volume?.usd || 0),
+                value: Formatters.formatCurrency(global.total_volume?.[currency] || 0, currency),
                 change: null
             },
             {
                 label: 'Dominância BTC',
-                value: `${(data.market_cap_percentage?.btc || 0).toFixed(1)}%`,
+                value: `${(global.market_cap_percentage?.btc || 0).toFixed(1)}%`,
                 change: null
             },
             {
                 label: 'Dominância ETH',
-                value: `${(data.market_cap_percentage?.eth || 0).toFixed(1)}%`,
+                value: `${(global.market_cap_percentage?.eth || 0).toFixed(1)}%`,
                 change: null
             },
             {
                 label: 'Criptomoedas Ativas',
-                value: Formatters.formatNumber(data.active_cryptocurrencies || 0),
+                value: Formatters.formatNumber(global.active_cryptocurrencies || 0),
                 change: null
             },
             {
                 label: 'Exchanges Ativas',
-                value: Formatters.formatNumber(data.markets || 0),
+                value: Formatters.formatNumber(global.markets || 0),
                 change: null
             }
         ];
@@ -290,111 +399,475 @@ class CryptoMonitorApp {
         `).join('');
     }
     
-    renderCryptoGrid(cryptos) {
-        const container = document.getElementById('crypto-grid');
-        if (!container) return;
+    // Market List
+    mergeMarketPage(coins, isFirstPage = false) {
+        const incoming = new Set(coins.map(coin => coin.id));
         
-        // Debug logging
-        console.log('Rendering crypto grid with:', cryptos?.length, 'coins');
-        if (cryptos?.length > 0) {
-            console.log('First crypto sample:', cryptos[0]);
+        // A fresh first page replaces its coins in place; later pages are appended
+        const rest = this.marketList.coins.filter(coin => !incoming.has(coin.id));
+        this.marketList.coins = isFirstPage ? [...coins, ...rest] : [...rest, ...coins];
+        this.marketList.byId = new Map(this.marketList.coins.map(coin => [coin.id, coin]));
+    }
+    
+    resetMarketList() {
+        this.marketList.coins = [];
+        this.marketList.byId = new Map();
+        this.marketList.page = 1;
+        this.marketList.hasMore = true;
+        this.marketList.failures = 0;
+        this.marketList.retryAt = 0;
+    }
+    
+    async loadMoreCoins() {
+        const list = this.marketList;
+        if (list.loading || !list.hasMore || Date.now() < list.retryAt) return;
+        
+        list.loading = true;
+        
+        try {
+            const currency = Storage.get('currency', 'usd');
+            const nextPage = list.page + 1;
+            const coins = await API.getCryptocurrencyData(currency, list.perPage, 'foreground', nextPage);
+            
+            // Failed requests come back empty too; the list is far longer than maxCoins, so a real page never is
+            if (!Array.isArray(coins) || coins.length === 0) {
+                throw new Error(`Page ${nextPage} came back empty`);
+            }
+            
+            this.mergeMarketPage(coins);
+            list.page = nextPage;
+            list.failures = 0;
+            list.hasMore = coins.length >= list.perPage && list.coins.length < list.maxCoins;
+            this.renderCryptoGrid(list.coins);
+            
+        } catch (error) {
+            console.error('Failed to load more coins:', error);
+            this.scheduleLoadMoreRetry();
+        } finally {
+            list.loading = false;
+            this.updateLoadingMore();
         }
+    }
+    
+    // Retries once the backoff has passed, if the sentinel is still (or again) in view
+    scheduleLoadMoreRetry() {
+        const list = this.marketList;
+        list.failures++;
+        
+        const delay = Math.min(2000 * Math.pow(2, list.failures - 1), 60000);
+        list.retryAt = Date.now() + delay;
+        
+        clearTimeout(this.loadMoreRetryTimer);
+        this.loadMoreRetryTimer = setTimeout(() => {
+            const sentinel = document.getElementById('loading-more');
+            if (!this.gridObserver || !sentinel) return;
+            
+            // Observing again reports the sentinel's current intersection
+            this.gridObserver.unobserve(sentinel);
+            this.gridObserver.observe(sentinel);
+        }, delay);
+    }
+    
+    setupInfiniteScroll() {
+        if (this.gridObserver) return;
+        
+        const sentinel = document.getElementById('loading-more');
+        
+        window.addEventListener('scroll', this.gridScrollHandler, { passive: true });
+        window.addEventListener('resize', this.gridResizeHandler);
+        
+        if (!sentinel || !('IntersectionObserver' in window)) return;
+        
+        // Starts loading a little before the user reaches the end of the list
+        this.gridObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMoreCoins();
+            }
+        }, { rootMargin: '600px 0px' });
+        
+        this.gridObserver.observe(sentinel);
+    }
+    
+    // A watchlist can hold coins beyond the pages loaded so far; those are fetched by id
+    async loadWatchlistCoins(loaded = this.marketList.byId, lane = 'foreground') {
+        const watchlistId = this.getWatchlistFilter();
+        if (!watchlistId) return;
+        
+        const missing = Watchlists.getCoins(watchlistId).filter(coinId => !loaded.has(coinId));
+        if (missing.length === 0) return;
         
         const currency = Storage.get('currency', 'usd');
+        const coins = await API.getMarketsByIds(missing, currency, lane);
+        
+        // The list may have been reset for another currency meanwhile
+        if (coins.length === 0 || currency !== Storage.get('currency', 'usd')) return;
+        
+        this.mergeMarketPage(coins);
+        this.renderCryptoGrid(this.marketList.coins);
+    }
+    
+    updateLoadingMore() {
+        const sentinel = document.getElementById('loading-more');
+        if (!sentinel) return;
+        
+        // Without more pages (or while searching) there is nothing to load
+        const canLoad = this.marketList.hasMore && !this.gridView.query && this.gridView.filter === 'all';
+        sentinel.classList.toggle('hidden', !canLoad);
+    }
+    
+    getFilteredCoins(cryptos) {
+        const query = this.gridView.query;
         const portfolioCoins = Portfolio.getPortfolioCoins();
+        const watchlistId = this.getWatchlistFilter();
+        const watchlistCoins = watchlistId ? Watchlists.getCoins(watchlistId) : [];
         
-        container.innerHTML = cryptos.map(crypto => {
+        const filtered = cryptos.filter(crypto => {
             // Validate crypto object
             if (!crypto || typeof crypto !== 'object') {
                 console.error('Invalid crypto object:', crypto);
-                return '';
+                return false;
             }
             
-            const isInPortfolio = portfolioCoins.includes(crypto.id);
+            const matches = !query ||
+                crypto.name?.toLowerCase().includes(query) ||
+                crypto.symbol?.toLowerCase().includes(query) ||
+                crypto.id.includes(query);
+            
+            if (!matches) return false;
+            
             const change24h = crypto.price_change_percentage_24h || 0;
+            
+            if (watchlistId) {
+                return watchlistCoins.includes(crypto.id);
+            }
+            
+            switch (this.gridView.filter) {
+                case 'portfolio':
+                    return portfolioCoins.includes(crypto.id);
+                case 'gainers':
+                    return change24h >= 0;
+                case 'losers':
+                    return change24h < 0;
+                case 'all':
+                default:
+                    return true;
+            }
+        });
+        
+        // A watchlist is shown in its own order
+        if (watchlistId) {
+            filtered.sort((a, b) => watchlistCoins.indexOf(a.id) - watchlistCoins.indexOf(b.id));
+        }
+        
+        return filtered;
+    }
+    
+    getWatchlistFilter() {
+        const filter = this.gridView.filter;
+        return filter.startsWith('watchlist:') ? filter.slice('watchlist:'.length) : null;
+    }
+    
+    renderCryptoGrid(cryptos) {
+        const container = document.getElementById('crypto-grid');
+        if (!container) return;
+        
+        this.gridView.items = this.getFilteredCoins(cryptos);
+        this.setupInfiniteScroll();
+        this.updateLoadingMore();
+        this.renderGridWindow(true);
+    }
+    
+    scheduleGridWindow(force = false) {
+        if (this.gridView.frame) return;
+        
+        this.gridView.frame = requestAnimationFrame(() => {
+            this.gridView.frame = null;
+            this.renderGridWindow(force);
+        });
+    }
+    
+    getGridColumns(container) {
+        const columns = getComputedStyle(container).gridTemplateColumns;
+        return Math.max(columns.split(' ').filter(Boolean).length, 1);
+    }
+    
+    renderGridWindow(force = false) {
+        const container = document.getElementById('crypto-grid');
+        if (!container) return;
+        
+        const view = this.gridView;
+        const items = view.items;
+        
+        if (items.length === 0) {
+            container.style.paddingTop = '';
+            container.style.paddingBottom = '';
+            this.gridCards.clear();
+            container.innerHTML = `
+                <div class="col-span-full text-center py-12 text-gray-400">
+                    Nenhuma criptomoeda encontrada
+                </div>
+            `;
+            view.start = view.end = 0;
+            return;
+        }
+        
+        const columns = this.getGridColumns(container);
+        const rowHeight = view.rowHeight || 320; // Estimate until a card has been measured
+        const totalRows = Math.ceil(items.length / columns);
+        
+        // Rows covering the viewport plus a buffer on each side
+        const gridTop = container.getBoundingClientRect().top + window.scrollY;
+        const viewportTop = window.scrollY - gridTop;
+        const firstRow = Math.max(Math.floor(viewportTop / rowHeight) - view.bufferRows, 0);
+        const lastRow = Math.min(Math.ceil((viewportTop + window.innerHeight) / rowHeight) + view.bufferRows, totalRows);
+        const start = Math.min(firstRow * columns, items.length);
+        const end = Math.min(Math.max(lastRow, firstRow + 1) * columns, items.length);
+        
+        if (!force && start === view.start && end === view.end) return;
+        
+        view.start = start;
+        view.end = end;
+        
+        const currency = Storage.get('currency', 'usd');
+        const portfolioCoins = Portfolio.getPortfolioCoins();
+        const visible = items.slice(start, end);
+        
+        // Padding stands in for the rows that aren't rendered
+        container.style.paddingTop = `${firstRow * rowHeight}px`;
+        container.style.paddingBottom = `${Math.max(totalRows - Math.ceil(end / columns), 0) * rowHeight}px`;
+        
+        const created = this.reconcileGrid(container, visible, currency, portfolioCoins);
+        
+        // Icons only need replacing on cards that were just created
+        if (created > 0) {
+            feather.replace();
+        }
+        
+        // Update portfolio info for coins in portfolio
+        if (visible.some(crypto => portfolioCoins.includes(crypto.id))) {
+            Portfolio.updateCoinPortfolioInfo();
+        }
+        
+        // Re-render once with the real card height if the estimate was off
+        const card = container.querySelector('.coin-card');
+        if (card) {
+            const gap = parseFloat(getComputedStyle(container).rowGap) || 0;
+            const measured = card.offsetHeight + gap;
+            
+            if (measured > 0 && Math.abs(measured - view.rowHeight) > 1) {
+                view.rowHeight = measured;
+                this.scheduleGridWindow(true);
+            }
+        }
+    }
+    
+    // Keyed update: existing cards are kept and patched, so hover, focus and scroll survive refreshes
+    reconcileGrid(container, visible, currency, portfolioCoins) {
+        const keep = new Set(visible.map(crypto => crypto.id));
+        let created = 0;
+        
+        // Cards scrolled or filtered out of the window
+        this.gridCards.forEach((entry, coinId) => {
+            if (!keep.has(coinId)) {
+                entry.element.remove();
+                this.gridCards.delete(coinId);
+            }
+        });
+        
+        // Anything else left over, like the empty state
+        Array.from(container.children)
+            .filter(child => !child.classList.contains('coin-card'))
+            .forEach(child => child.remove());
+        
+        visible.forEach((crypto, index) => {
+            let entry = this.gridCards.get(crypto.id);
+            
+            // Currency, portfolio and watchlist membership change the card's markup, so it is rebuilt
+            if (entry && entry.markupKey !== this.getCardMarkupKey(crypto, currency, portfolioCoins)) {
+                entry.element.remove();
+                entry = null;
+            }
+            
+            if (entry) {
+                this.updateCoinCard(entry, crypto);
+            } else {
+                entry = this.createCoinCard(crypto, currency, portfolioCoins);
+                this.gridCards.set(crypto.id, entry);
+                created++;
+            }
+            
+            const current = container.children[index];
+            if (current !== entry.element) {
+                container.insertBefore(entry.element, current || null);
+            }
+        });
+        
+        return created;
+    }
+    
+    getCardMarkupKey(crypto, currency, portfolioCoins) {
+        const activeWatchlist = Watchlists.getActive();
+        
+        return [
+            currency,
+            portfolioCoins.includes(crypto.id),
+            activeWatchlist?.coins.includes(crypto.id) || false,
+            Boolean(this.getWatchlistFilter())
+        ].join('|');
+    }
+    
+    createCoinCard(crypto, currency, portfolioCoins) {
+        const template = document.createElement('template');
+        template.innerHTML = this.renderCoinCard(crypto, currency, portfolioCoins).trim();
+        
+        return {
+            element: template.content.firstElementChild,
+            currency,
+            markupKey: this.getCardMarkupKey(crypto, currency, portfolioCoins),
+            price: crypto.current_price,
+            change: crypto.price_change_percentage_24h || 0,
+            marketCap: crypto.market_cap,
+            volume: crypto.total_volume
+        };
+    }
+    
+    updateCoinCard(entry, crypto) {
+        const { element, currency } = entry;
+        const change24h = crypto.price_change_percentage_24h || 0;
+        
+        if (crypto.current_price !== entry.price) {
+            const priceElement = element.querySelector('.price-display');
+            priceElement.textContent = Formatters.formatCurrency(crypto.current_price, currency);
+            this.flashTick(priceElement, crypto.current_price > entry.price ? 'up' : 'down');
+            entry.price = crypto.current_price;
+        }
+        
+        if (change24h !== entry.change) {
             const trendClass = change24h >= 0 ? 'trend-up' : 'trend-down';
             const trendIcon = change24h >= 0 ? 'trending-up' : 'trending-down';
+            const changeElement = element.querySelector('.change-display');
             
-            return `
-                <div class="coin-card card-hover" data-coin-id="${crypto.id}">
-                    <div class="quick-actions">
-                        <button class="action-btn" onclick="app.togglePortfolio('${crypto.id}')" title="${isInPortfolio ? 'Remover do portfólio' : 'Adicionar ao portfólio'}">
-                            <i data-feather="${isInPortfolio ? 'heart' : 'heart'}" class="${isInPortfolio ? 'text-red-500' : ''}"></i>
-                        </button>
-                        <button class="action-btn" onclick="app.openCoinDetail('${crypto.id}')" title="Ver detalhes">
-                            <i data-feather="info"></i>
+            changeElement.className = `change-display ${trendClass} flex items-center gap-1`;
+            changeElement.innerHTML = `
+                ${feather.icons[trendIcon].toSvg({ class: 'w-4 h-4' })}
+                ${change24h >= 0 ? '+' : ''}${change24h.toFixed(2)}%
+            `;
+            entry.change = change24h;
+        }
+        
+        if (crypto.market_cap !== entry.marketCap) {
+            element.querySelector('.market-cap-display').textContent = Formatters.formatCurrency(crypto.market_cap, currency, true);
+            entry.marketCap = crypto.market_cap;
+        }
+        
+        if (crypto.total_volume !== entry.volume) {
+            element.querySelector('.volume-display').textContent = Formatters.formatCurrency(crypto.total_volume, currency, true);
+            entry.volume = crypto.total_volume;
+        }
+    }
+    
+    flashTick(element, direction) {
+        element.classList.remove('tick-up', 'tick-down');
+        
+        // Forces a reflow so the animation restarts when ticks arrive faster than it runs
+        void element.offsetWidth;
+        element.classList.add(`tick-${direction}`);
+    }
+    
+    renderCoinCard(crypto, currency, portfolioCoins) {
+        const isInPortfolio = portfolioCoins.includes(crypto.id);
+        const activeWatchlist = Watchlists.getActive();
+        const isWatched = activeWatchlist?.coins.includes(crypto.id) || false;
+        const inWatchlistView = Boolean(this.getWatchlistFilter());
+        const change24h = crypto.price_change_percentage_24h || 0;
+        const trendClass = change24h >= 0 ? 'trend-up' : 'trend-down';
+        const trendIcon = change24h >= 0 ? 'trending-up' : 'trending-down';
+        
+        return `
+            <div class="coin-card card-hover" data-coin-id="${crypto.id}">
+                <div class="quick-actions">
+                    <button class="action-btn" onclick="app.toggleWatchlist('${crypto.id}')" title="${Formatters.sanitizeText(isWatched ? `Remover de ${activeWatchlist.name}` : `Adicionar a ${activeWatchlist?.name || 'uma lista'}`)}">
+                        <i data-feather="star" class="${isWatched ? 'text-yellow-400' : ''}"></i>
+                    </button>
+                    <button class="action-btn" onclick="app.togglePortfolio('${crypto.id}')" title="${isInPortfolio ? 'Remover do portfólio' : 'Adicionar ao portfólio'}">
+                        <i data-feather="${isInPortfolio ? 'heart' : 'heart'}" class="${isInPortfolio ? 'text-red-500' : ''}"></i>
+                    </button>
+                    ${inWatchlistView ? `
+                        <button class="action-btn" onclick="app.moveWatchlistCoin('${crypto.id}', -1)" title="Mover para antes">
+                            <i data-feather="chevron-left"></i>
                         </button>
-                        <button class="action-btn" onclick="app.createQuickAlert('${crypto.id}')" title="Criar alerta">
-                            <i data-feather="bell"></i>
+                        <button class="action-btn" onclick="app.moveWatchlistCoin('${crypto.id}', 1)" title="Mover para depois">
+                            <i data-feather="chevron-right"></i>
                         </button>
-                    </div>
-                    
-                    <div class="flex items-center justify-between mb-4">
-                        <div class="flex items-center gap-3">
-                            <div class="coin-icon ${crypto.id}" title="${crypto.name}">
-                                ${crypto.symbol.charAt(0).toUpperCase()}
-                            </div>
-                            <div>
-                                <h3 class="coin-name">${crypto.name}</h3>
-                                <p class="text-sm text-gray-400 uppercase">${crypto.symbol}</p>
-                            </div>
+                    ` : ''}
+                    <button class="action-btn" onclick="app.openCoinDetail('${crypto.id}')" title="Ver detalhes">
+                        <i data-feather="info"></i>
+                    </button>
+                    <button class="action-btn" onclick="app.createQuickAlert('${crypto.id}')" title="Criar alerta">
+                        <i data-feather="bell"></i>
+                    </button>
+                </div>
+                
+                <div class="flex items-center justify-between mb-4">
+                    <div class="flex items-center gap-3">
+                        <div class="coin-icon ${crypto.id}" title="${crypto.name}">
+                            ${crypto.symbol.charAt(0).toUpperCase()}
                         </div>
-                        <div class="text-right">
-                            <p class="text-sm text-gray-400">#${crypto.market_cap_rank || '--'}</p>
+                        <div>
+                            <h3 class="coin-name">${crypto.name}</h3>
+                            <p class="text-sm text-gray-400 uppercase">${crypto.symbol}</p>
+                        </div>
+                    </div>
+                    <div class="text-right">
+                        <p class="text-sm text-gray-400">#${crypto.market_cap_rank || '--'}</p>
+                    </div>
+                </div>
+                
+                <div class="space-y-3">
+                    <div>
+                        <p class="text-2xl font-bold price-display">
+                            ${Formatters.formatCurrency(crypto.current_price, currency)}
+                        </p>
+                        <div class="flex items-center gap-2 mt-1">
+                            <span class="change-display ${trendClass} flex items-center gap-1">
+                                <i data-feather="${trendIcon}" class="w-4 h-4"></i>
+                                ${change24h >= 0 ? '+' : ''}${change24h.toFixed(2)}%
+                            </span>
+                            <span class="text-sm text-gray-400">24h</span>
                         </div>
                     </div>
                     
-                    <div class="space-y-3">
+                    <div class="grid grid-cols-2 gap-4 text-sm">
                         <div>
-                            <p class="text-2xl font-bold price-display">
-                                ${Formatters.formatCurrency(crypto.current_price, currency)}
-                            </p>
-                            <div class="flex items-center gap-2 mt-1">
-                                <span class="${trendClass} flex items-center gap-1">
-                                    <i data-feather="${trendIcon}" class="w-4 h-4"></i>
-                                    ${change24h >= 0 ? '+' : ''}${change24h.toFixed(2)}%
-                                </span>
-                                <span class="text-sm text-gray-400">24h</span>
-                            </div>
+                            <p class="text-gray-400">Market Cap</p>
+                            <p class="font-semibold market-cap-display">${Formatters.formatCurrency(crypto.market_cap, currency, true)}</p>
                         </div>
-                        
-                        <div class="grid grid-cols-2 gap-4 text-sm">
-                            <div>
-                                <p class="text-gray-400">Market Cap</p>
-                                <p class="font-semibold">${Formatters.formatCurrency(crypto.market_cap, currency, true)}</p>
-                            </div>
-                            <div>
-                                <p class="text-gray-400">Volume 24h</p>
-                                <p class="font-semibold">${Formatters.formatCurrency(crypto.total_volume, currency, true)}</p>
-                            </div>
+                        <div>
+                            <p class="text-gray-400">Volume 24h</p>
+                            <p class="font-semibold volume-display">${Formatters.formatCurrency(crypto.total_volume, currency, true)}</p>
                         </div>
-                        
-                        ${isInPortfolio ? `
-                            <div class="mt-3 p-3 bg-blue-500/20 rounded-lg border border-blue-500/30">
-                                <p class="text-xs text-blue-300 mb-1">No seu portfólio</p>
-                                <div id="portfolio-info-${crypto.id}">
-                                    <!-- Portfolio info will be populated -->
-                                </div>
-                            </div>
-                        ` : ''}
                     </div>
+                    
+                    ${isInPortfolio ? `
+                        <div class="mt-3 p-3 bg-blue-500/20 rounded-lg border border-blue-500/30">
+                            <p class="text-xs text-blue-300 mb-1">No seu portfólio</p>
+                            <div id="portfolio-info-${crypto.id}">
+                                <!-- Portfolio info will be populated -->
+                            </div>
+                        </div>
+                    ` : ''}
                 </div>
-            `;
-        }).join('');
-        
-        // Re-initialize feather icons
-        feather.replace();
-        
-        // Update portfolio info for coins in portfolio
-        portfolioCoins.forEach(coinId => {
-            Portfolio.updateCoinPortfolioInfo(coinId);
-        });
+            </div>
+        `;
     }
     
     renderErrorState() {
         const container = document.getElementById('crypto-grid');
         if (!container) return;
         
+        container.style.paddingTop = '';
+        container.style.paddingBottom = '';
+        this.gridCards.clear();
         container.innerHTML = `
             <div class="col-span-full text-center py-12">
                 <div class="glassmorphism p-8 rounded-2xl max-w-md mx-auto">
@@ -418,15 +891,8 @@ class CryptoMonitorApp {
     }
     
     setUpdateInterval(interval) {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-        }
-        
-        this.updateInterval = setInterval(() => {
-            if (document.visibilityState === 'visible') {
-                this.loadMarketData();
-            }
-        }, interval);
+        // The price bus owns the polling cadence for every module
+        PriceBus.setInterval(interval);
         
         // Save to storage
         Storage.set('updateInterval', interval);
@@ -482,21 +948,9 @@ class CryptoMonitorApp {
     }
     
     handleSearch(query) {
-        const cards = document.querySelectorAll('.coin-card');
-        const normalizedQuery = query.toLowerCase().trim();
-        
-        cards.forEach(card => {
-            const coinId = card.dataset.coinId;
-            const coinName = card.querySelector('.coin-name')?.textContent.toLowerCase() || '';
-            const coinSymbol = card.querySelector('.text-gray-400')?.textContent.toLowerCase() || '';
-            
-            const matches = !normalizedQuery || 
-                          coinName.includes(normalizedQuery) || 
-                          coinSymbol.includes(normalizedQuery) ||
-                          coinId.includes(normalizedQuery);
-            
-            card.style.display = matches ? 'block' : 'none';
-        });
+        // Matches every loaded coin, not just the cards currently in the DOM
+        this.gridView.query = query.toLowerCase().trim();
+        this.renderCryptoGrid(this.marketList.coins);
         
         Analytics.trackEvent('search', 'user_action', 'crypto_search', query.length);
     }
@@ -509,38 +963,27 @@ class CryptoMonitorApp {
     }
     
     handleFilter(filterBy) {
-        const cards = document.querySelectorAll('.coin-card');
-        const portfolioCoins = Portfolio.getPortfolioCoins();
+        this.gridView.filter = filterBy;
         
-        cards.forEach(card => {
-            const coinId = card.dataset.coinId;
-            let show = true;
-            
-            switch (filterBy) {
-                case 'portfolio':
-                    show = portfolioCoins.includes(coinId);
-                    break;
-                case 'gainers':
-                    const changeElement = card.querySelector('.trend-up');
-                    show = !!changeElement;
-                    break;
-                case 'losers':
-                    const lossElement = card.querySelector('.trend-down');
-                    show = !!lossElement;
-                    break;
-                case 'all':
-                default:
-                    show = true;
-            }
-            
-            card.style.display = show ? 'block' : 'none';
-        });
+        // The star button adds to whichever list is being viewed
+        const watchlistId = this.getWatchlistFilter();
+        if (watchlistId) {
+            Watchlists.setActive(watchlistId);
+        }
+        
+        this.renderCryptoGrid(this.marketList.coins);
+        this.loadWatchlistCoins(this.marketList.byId, 'interactive');
         
         Analytics.trackEvent('filter', 'user_action', 'crypto_filter', filterBy);
     }
     
     handleCurrencyChange(currency) {
-        Storage.set('currency', currency);
+        if (!Formatters.isValidCurrency(currency)) return;
+        
+        Storage.set('currency', currency.toLowerCase());
+        
+        // Loaded pages are priced in the old currency
+        this.resetMarketList();
         this.loadMarketData();
         Analytics.trackEvent('currency_change', 'user_action', 'currency_switch', currency);
     }
@@ -585,7 +1028,31 @@ class CryptoMonitorApp {
         Notifications.showAll();
     }
     
-    openAddCoinModal() {
+    openAddCoinModal(type = 'buy') {
+        document.getElementById('add-coin-form')?.reset();
+        
+        const typeSelect = document.getElementById('transaction-type');
+        if (typeSelect) typeSelect.value = type;
+        
+        // The consolidated view has no portfolio of its own, so it defaults to the first
+        const portfolioSelect = document.getElementById('transaction-portfolio');
+        if (portfolioSelect) {
+            const portfolios = Portfolio.getPortfolios();
+            portfolioSelect.innerHTML = portfolios.map(portfolio => `
+                <option value="${portfolio.id}">${Formatters.sanitizeText(portfolio.name)}</option>
+            `).join('');
+            portfolioSelect.value = Portfolio.getWritablePortfolioId() || portfolios[0]?.id;
+            document.getElementById('transaction-portfolio-group')?.classList.toggle('hidden', portfolios.length < 2);
+        }
+        this.updateLotOptions();
+        
+        // datetime-local expects local time without a zone
+        const dateInput = document.getElementById('transaction-date');
+        if (dateInput) {
+            const now = new Date();
+            dateInput.value = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        }
+        
         this.openModal('add-coin-modal');
         this.loadCoinSelectOptions();
     }
@@ -595,13 +1062,165 @@ class CryptoMonitorApp {
         Portfolio.openSettings();
     }
     
+    // Watchlist Methods
+    renderWatchlistControls() {
+        const lists = Watchlists.getLists();
+        
+        const filterOptions = document.getElementById('watchlist-filter-options');
+        if (filterOptions) {
+            filterOptions.innerHTML = lists.map(list => `
+                <option value="watchlist:${list.id}">${Formatters.sanitizeText(list.name)}</option>
+            `).join('');
+            document.getElementById('filter-select').value = this.gridView.filter;
+        }
+        
+        const arbitrageSelect = document.getElementById('arbitrage-watchlist-select');
+        if (arbitrageSelect) {
+            arbitrageSelect.innerHTML = `<option value="">Moedas padrão</option>` + lists.map(list => `
+                <option value="${list.id}">${Formatters.sanitizeText(list.name)}</option>
+            `).join('');
+            arbitrageSelect.value = Arbitrage.getWatchlist() || '';
+        }
+    }
+    
+    handleWatchlistUpdate() {
+        // A deleted list can't stay the grid filter
+        const watchlistId = this.getWatchlistFilter();
+        if (watchlistId && !Watchlists.get(watchlistId)) {
+            this.gridView.filter = 'all';
+        }
+        
+        this.renderWatchlistControls();
+        
+        if (!document.getElementById('watchlists-modal')?.classList.contains('hidden')) {
+            this.renderWatchlistManager();
+        }
+        
+        // Stars and watchlist views follow membership and order changes
+        if (this.marketList.coins.length > 0) {
+            this.renderCryptoGrid(this.marketList.coins);
+            this.loadWatchlistCoins(this.marketList.byId, 'interactive');
+        }
+    }
+    
+    openWatchlists() {
+        this.renderWatchlistManager();
+        this.openModal('watchlists-modal');
+    }
+    
+    renderWatchlistManager() {
+        const container = document.getElementById('watchlists-list');
+        if (!container) return;
+        
+        const lists = Watchlists.getLists();
+        const activeId = Watchlists.getActive()?.id;
+        
+        container.innerHTML = lists.map((list, index) => `
+            <div class="flex items-center justify-between gap-3 p-3 rounded-lg bg-white/5">
+                <div class="min-w-0">
+                    <p class="font-semibold truncate">${Formatters.sanitizeText(list.name)}</p>
+                    <p class="text-xs text-gray-400">
+                        ${list.coins.length} ${list.coins.length === 1 ? 'moeda' : 'moedas'}${list.id === activeId ? ' · ativa' : ''}
+                    </p>
+                </div>
+                <div class="flex items-center gap-1">
+                    <button class="action-btn" onclick="app.moveWatchlist('${list.id}', -1)" title="Mover para cima" ${index === 0 ? 'disabled' : ''}>
+                        <i data-feather="arrow-up" class="w-4 h-4"></i>
+                    </button>
+                    <button class="action-btn" onclick="app.moveWatchlist('${list.id}', 1)" title="Mover para baixo" ${index === lists.length - 1 ? 'disabled' : ''}>
+                        <i data-feather="arrow-down" class="w-4 h-4"></i>
+                    </button>
+                    <button class="action-btn" onclick="app.renameWatchlist('${list.id}')" title="Renomear">
+                        <i data-feather="edit-2" class="w-4 h-4"></i>
+                    </button>
+                    <button class="action-btn" onclick="app.createWatchlistAlert('${list.id}')" title="Alerta de variação para a lista">
+                        <i data-feather="bell" class="w-4 h-4"></i>
+                    </button>
+                    <button class="action-btn" onclick="app.removeWatchlist('${list.id}')" title="Excluir" ${lists.length === 1 ? 'disabled' : ''}>
+                        <i data-feather="trash-2" class="w-4 h-4"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+        
+        feather.replace();
+    }
+    
+    handleCreateWatchlist(event) {
+        event.preventDefault();
+        
+        const input = document.getElementById('watchlist-name');
+        
+        try {
+            const list = Watchlists.create(input.value);
+            input.value = '';
+            Notifications.show(`Lista ${list.name} criada`, 'success');
+        } catch (error) {
+            console.error('Failed to create watchlist:', error);
+            Notifications.show('Nome de lista inválido ou já existente', 'error');
+        }
+    }
+    
+    renameWatchlist(watchlistId) {
+        const list = Watchlists.get(watchlistId);
+        if (!list) return;
+        
+        const name = prompt('Novo nome da lista:', list.name);
+        if (name === null) return;
+        
+        try {
+            Watchlists.rename(watchlistId, name);
+        } catch (error) {
+            console.error('Failed to rename watchlist:', error);
+            Notifications.show('Nome de lista inválido ou já existente', 'error');
+        }
+    }
+    
+    moveWatchlist(watchlistId, offset) {
+        const index = Watchlists.getLists().findIndex(list => list.id === watchlistId);
+        if (index !== -1) {
+            Watchlists.move(watchlistId, index + offset);
+        }
+    }
+    
+    removeWatchlist(watchlistId) {
+        const list = Watchlists.get(watchlistId);
+        if (!list || !confirm(`Excluir a lista "${list.name}"? Alertas da lista também serão removidos.`)) return;
+        
+        try {
+            Watchlists.remove(watchlistId);
+        } catch (error) {
+            console.error('Failed to remove watchlist:', error);
+            Notifications.show('A última lista não pode ser excluída', 'error');
+        }
+    }
+    
+    async createWatchlistAlert(watchlistId) {
+        const list = Watchlists.get(watchlistId);
+        if (!list) return;
+        
+        const input = prompt(`Alertar quando uma moeda de "${list.name}" variar mais de (% em 24h):`, '5');
+        if (input === null) return;
+        
+        const threshold = parseFloat(input);
+        if (!Validators.isPositiveNumber(threshold)) {
+            Notifications.show('Informe uma variação válida', 'error');
+            return;
+        }
+        
+        try {
+            await Alerts.createWatchlistAlert(watchlistId, 'change', threshold);
+            Notifications.show(`Alerta criado para ${list.name}`, 'success');
+        } catch (error) {
+            console.error('Failed to create watchlist alert:', error);
+            Notifications.show('Erro ao criar alerta', 'error');
+        }
+    }
+    
     // Arbitrage Methods
     async startArbitrageMonitoring() {
         try {
-            const watchlist = Portfolio.getPortfolioCoins();
-            const coins = watchlist.length > 0 ? watchlist : ['bitcoin', 'ethereum', 'binancecoin', 'solana'];
-            
-            await Arbitrage.startMonitoring(coins, 60000); // Monitor every minute
+            await Arbitrage.startMonitoring(Arbitrage.getScanCoins()); // Scans on every price bus refresh
             
             // Update UI
             document.getElementById('start-arbitrage-btn').classList.add('hidden');
@@ -665,7 +1284,7 @@ class CryptoMonitorApp {
         grid.classList.remove('hidden');
         empty.classList.add('hidden');
         
-        grid.innerHTML = opportunities.map(opp => `
+        grid.innerHTML = opportunities.map(opp => opp.type === 'triangular' ? this.renderTriangularOpportunity(opp) : `
             <div class="opportunity-card glassmorphism p-4 rounded-xl">
                 <div class="flex items-center justify-between mb-3">
                     <div class="flex items-center gap-2">
@@ -676,7 +1295,8 @@ class CryptoMonitorApp {
                         ${opp.isSimulated ? '<span class="text-xs bg-yellow-500/20 text-yellow-300 px-2 py-1 rounded">SIM</span>' : ''}
                     </div>
                     <div class="text-right">
-                        <span class="text-lg font-bold text-green-400">+${opp.profitPercentageFormatted}</span>
+                        <span class="text-lg font-bold text-green-400">+${opp.netProfitPercentageFormatted}</span>
+                        <p class="text-xs text-gray-400">bruto ${opp.profitPercentageFormatted}</p>
                     </div>
                 </div>
                 
@@ -689,6 +1309,11 @@ class CryptoMonitorApp {
                             <span class="font-mono">${opp.buyPriceFormatted}</span>
                         </div>
                     </div>
+                    ${opp.buyOriginalPriceFormatted ? `
+                        <div class="flex justify-end text-xs text-gray-400">
+                            <span class="font-mono">${opp.buyOriginalPriceFormatted}</span>
+                        </div>
+                    ` : ''}
                     <div class="flex justify-between">
                         <span class="text-gray-400">Vender em:</span>
                         <div class="flex items-center gap-2">
@@ -697,16 +1322,47 @@ class CryptoMonitorApp {
                             <span class="font-mono">${opp.sellPriceFormatted}</span>
                         </div>
                     </div>
+                    ${opp.sellOriginalPriceFormatted ? `
+                        <div class="flex justify-end text-xs text-gray-400">
+                            <span class="font-mono">${opp.sellOriginalPriceFormatted}</span>
+                        </div>
+                    ` : ''}
+                    ${opp.depthFormatted ? `
+                        <div class="flex justify-between">
+                            <span class="text-gray-400">Slippage (${opp.depthFormatted.notional}):</span>
+                            <span class="font-mono">${opp.depthFormatted.buySlippage} / ${opp.depthFormatted.sellSlippage}</span>
+                        </div>
+                        <div class="flex justify-between">
+                            <span class="text-gray-400">Tamanho máx. lucrativo:</span>
+                            <span class="font-mono">${opp.depthFormatted.maxProfitableSize}${opp.depthFormatted.partial ? ' *' : ''}</span>
+                        </div>
+                    ` : ''}
+                    <div class="flex justify-between">
+                        <span class="text-gray-400">Taxas de transferência e rampa:</span>
+                        <span class="font-mono">${opp.transferCostsKnown ? opp.costsFormatted : 'indisponível'}</span>
+                    </div>
+                    ${opp.transferRoute ? `
+                        <div class="flex justify-between">
+                            <span class="text-gray-400">Rede / tempo estimado:</span>
+                            <span>${opp.transferRoute.network} · ${opp.transferTimeFormatted}</span>
+                        </div>
+                    ` : ''}
                     <div class="flex justify-between pt-2 border-t border-gray-600">
-                        <span class="text-gray-400">Lucro estimado:</span>
-                        <span class="font-semibold text-green-400">${opp.grossProfitFormatted}</span>
+                        <span class="text-gray-400">Lucro líquido:</span>
+                        <span class="font-semibold text-green-400">${opp.netProfitFormatted}</span>
                     </div>
+                    ${opp.annualizedReturnFormatted ? `
+                        <div class="flex justify-between">
+                            <span class="text-gray-400">Retorno anualizado:</span>
+                            <span class="font-mono">${opp.annualizedReturnFormatted}</span>
+                        </div>
+                    ` : ''}
                 </div>
                 
                 <div class="mt-3 pt-3 border-t border-gray-600">
                     <button class="btn-primary w-full text-sm" onclick="app.executeArbitrage('${opp.coinId}', '${opp.buyExchange}', '${opp.sellExchange}')">
-                        <i data-feather="trending-up" class="w-4 h-4 mr-2"></i>
-                        Executar Arbitragem
+                        <i data-feather="play" class="w-4 h-4 mr-2"></i>
+                        Simular Execução
                     </button>
                 </div>
             </div>
@@ -716,14 +1372,158 @@ class CryptoMonitorApp {
         feather.replace();
     }
     
-    executeArbitrage(coinId, buyExchange, sellExchange) {
-        // This would integrate with actual exchange APIs
-        const message = `Para executar esta arbitragem:\n\n1. Compre ${coinId} em ${buyExchange}\n2. Transfira para ${sellExchange}\n3. Venda por lucro\n\nLembre-se de considerar taxas de transferência e tempo de confirmação.`;
+    renderTriangularOpportunity(opp) {
+        return `
+            <div class="opportunity-card glassmorphism p-4 rounded-xl">
+                <div class="flex items-center justify-between mb-3">
+                    <div class="flex items-center gap-2">
+                        <i data-feather="${opp.exchangeIcon}" class="w-5 h-5"></i>
+                        <div>
+                            <h3 class="font-semibold">Triangular · ${opp.exchangeName}</h3>
+                            <p class="text-xs text-gray-400 font-mono">${opp.pathLabel}</p>
+                        </div>
+                        ${opp.isSimulated ? '<span class="text-xs bg-yellow-500/20 text-yellow-300 px-2 py-1 rounded">SIM</span>' : ''}
+                    </div>
+                    <div class="text-right">
+                        <span class="text-lg font-bold text-green-400">+${opp.netProfitPercentageFormatted}</span>
+                        <p class="text-xs text-gray-400">bruto ${opp.profitPercentageFormatted}</p>
+                    </div>
+                </div>
+                
+                <div class="space-y-2 text-sm">
+                    ${opp.legsFormatted.map((leg, i) => `
+                        <div class="flex justify-between">
+                            <span class="text-gray-400">${i + 1}. ${leg.sideLabel} ${leg.symbol}:</span>
+                            <span class="font-mono">${leg.priceFormatted}</span>
+                        </div>
+                    `).join('')}
+                    ${opp.maxStartAmountFormatted ? `
+                        <div class="flex justify-between pt-2 border-t border-gray-600">
+                            <span class="text-gray-400">Tamanho máx. no topo do livro:</span>
+                            <span class="font-mono">${opp.maxStartAmountFormatted}</span>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+    
+    async executeArbitrage(coinId, buyExchange, sellExchange) {
+        const opportunity = (Arbitrage.opportunities.get(coinId) || []).find(opp =>
+            opp.buyExchange === buyExchange && opp.sellExchange === sellExchange
+        );
+        
+        if (!opportunity) {
+            Notifications.show('Esta oportunidade não está mais disponível', 'warning');
+            return;
+        }
+        
+        try {
+            // Paper trading only: both legs are simulated against local balances
+            const entry = await PaperTrading.execute(opportunity);
+            
+            Notifications.show(
+                `Compra simulada de ${Formatters.formatCryptoAmount(entry.amount, 6)} ${coinId}. Chegada em ${entry.sellExchange} prevista para ${Formatters.formatTime(entry.arrivesAt)}`,
+                'success'
+            );
+            
+            Analytics.trackEvent('paper_trade', 'arbitrage', `${buyExchange}_${sellExchange}`, entry.notional);
+            
+        } catch (error) {
+            console.error('Paper trade failed:', error);
+            Notifications.show(`Simulação não executada: ${error.message}`, 'error');
+        }
+    }
+    
+    resetPaperTrading() {
+        const currency = Storage.get('currency', 'usd');
+        const input = prompt(`Saldo inicial simulado por exchange (${currency.toUpperCase()}):`, PaperTrading.startingBalance);
+        
+        if (input === null) return;
+        
+        try {
+            PaperTrading.reset(parseFloat(input), currency);
+            Notifications.show('Carteira simulada reiniciada', 'success');
+        } catch (error) {
+            console.error('Failed to reset paper trading:', error);
+            Notifications.show('Saldo inicial inválido', 'error');
+        }
+    }
+    
+    async openArbitrageHistory() {
+        const exchangeSelect = document.getElementById('history-exchange');
+        if (exchangeSelect && exchangeSelect.options.length === 1) {
+            Object.values(Arbitrage.exchanges).forEach(adapter => {
+                exchangeSelect.add(new Option(adapter.name, adapter.id));
+            });
+        }
+        
+        this.openModal('arbitrage-history-modal');
+        await this.renderArbitrageHistory();
+    }
+    
+    getArbitrageHistoryFilters() {
+        const period = parseInt(document.getElementById('history-period')?.value, 10);
         
-        alert(message);
+        return {
+            since: period ? Date.now() - period : null,
+            kind: document.getElementById('history-kind')?.value || null,
+            exchange: document.getElementById('history-exchange')?.value || null,
+            coinId: document.getElementById('history-coin')?.value.trim().toLowerCase() || null
+        };
+    }
+    
+    async renderArbitrageHistory() {
+        const body = document.getElementById('arbitrage-history-body');
+        const empty = document.getElementById('arbitrage-history-empty');
+        if (!body || !empty) return;
+        
+        const records = await Arbitrage.getOpportunityHistory(this.getArbitrageHistoryFilters());
         
-        // Track the execution attempt
-        console.log(`Arbitrage execution attempted: ${coinId} ${buyExchange} -> ${sellExchange}`);
+        empty.classList.toggle('hidden', records.length > 0);
+        body.innerHTML = records.map(record => {
+            const route = record.kind === 'triangular' ?
+                `${record.path.join(' → ')} · ${Arbitrage.exchanges[record.buyExchange]?.name || record.buyExchange}` :
+                `${record.coinId}: ${Arbitrage.exchanges[record.buyExchange]?.name || record.buyExchange} → ${Arbitrage.exchanges[record.sellExchange]?.name || record.sellExchange}`;
+            
+            return `
+                <tr class="border-b border-gray-700">
+                    <td class="py-2 pr-3">${Formatters.formatDateTime(record.firstSeen)}</td>
+                    <td class="py-2 pr-3">${route}</td>
+                    <td class="py-2 pr-3">${record.lifetime > 0 ? Formatters.formatDuration(record.lifetime) : '< 1 leitura'}</td>
+                    <td class="py-2 pr-3 text-right font-mono text-green-400">${record.peakSpread.toFixed(2)}%</td>
+                    <td class="py-2 pr-3 text-right font-mono">${record.lastSpread.toFixed(2)}%</td>
+                    <td class="py-2 text-right">${record.observations}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    async exportArbitrageHistory() {
+        try {
+            const records = await Arbitrage.getOpportunityHistory(this.getArbitrageHistoryFilters());
+            
+            if (records.length === 0) {
+                Notifications.show('Nenhum registro para exportar', 'info');
+                return;
+            }
+            
+            const blob = new Blob([Arbitrage.historyToCSV(records)], { type: 'text/csv;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `arbitrage-history-${new Date().toISOString().split('T')[0]}.csv`;
+            a.click();
+            
+            URL.revokeObjectURL(url);
+            
+            Notifications.show(`${records.length} registros exportados`, 'success');
+            
+        } catch (error) {
+            console.error('Arbitrage history export failed:', error);
+            Notifications.show('Erro ao exportar histórico', 'error');
+        }
     }
     
     openArbitrageSettings() {
@@ -737,6 +1537,47 @@ class CryptoMonitorApp {
                 Notifications.show(`Margem mínima atualizada para ${minProfit}%`, 'success');
             }
         }
+        
+        const currency = Storage.get('currency', 'usd');
+        const notional = prompt(`Tamanho da operação (${currency.toUpperCase()}):`, Arbitrage.getTradeNotional());
+        
+        if (notional !== null) {
+            const size = parseFloat(notional);
+            if (Validators.isPositiveNumber(size)) {
+                Arbitrage.setTradeNotional(size);
+                Notifications.show(`Tamanho da operação atualizado para ${Formatters.formatCurrency(size, currency)}`, 'success');
+            }
+        }
+        
+        const minTriangular = prompt('Margem mínima para arbitragem triangular (%):', (Arbitrage.getMinTriangularMargin() * 100).toFixed(2));
+        
+        if (minTriangular !== null) {
+            const margin = parseFloat(minTriangular) / 100;
+            if (!isNaN(margin) && margin >= 0) {
+                Arbitrage.setMinTriangularMargin(margin);
+                Notifications.show(`Margem triangular atualizada para ${minTriangular}%`, 'success');
+            }
+        }
+    }
+    
+    openDepegSettings() {
+        // Thresholds for every bounded band, from tightest to loosest
+        const current = Stablecoins.getBands()
+            .filter(band => band.maxBps !== null)
+            .map(band => band.maxBps)
+            .join(', ');
+        const input = prompt('Limites das faixas de desvio em bps (Estável, Atenção, Desvio):', current);
+        
+        if (input !== null) {
+            try {
+                const thresholds = input.split(',').map(value => parseFloat(value.trim()));
+                Stablecoins.setBandThresholds(thresholds);
+                Notifications.show('Faixas de desvio atualizadas', 'success');
+            } catch (error) {
+                console.error('Failed to update depeg bands:', error);
+                Notifications.show('Limites inválidos. Use valores crescentes, ex.: 10, 50, 200', 'error');
+            }
+        }
     }
     
     async openCoinDetail(coinId) {
@@ -746,14 +1587,17 @@ class CryptoMonitorApp {
     
     async loadCoinDetail(coinId) {
         try {
+            const currency = Storage.get('currency', 'usd');
             const coinData = await API.getCoinDetail(coinId);
-            const historicalData = await API.getHistoricalData(coinId, 30);
+            const historicalData = await API.getHistoricalData(coinId, 30, currency);
             
             // Update modal content
             document.getElementById('detail-coin-name').textContent = coinData.name;
             document.getElementById('detail-coin-symbol').textContent = coinData.symbol;
-            document.getElementById('detail-current-price').textContent = Formatters.formatCurrency(coinData.market_data.current_price.usd);
-            document.getElementById('detail-24h-change').textContent = `${coinData.market_data.price_change_percentage_24h >= 0 ? '+' : ''}${coinData.market_data.price_change_percentage_24h.toFixed(2)}%`;
+            document.getElementById('detail-current-price').textContent = Formatters.formatCurrency(coinData.market_data.current_price[currency], currency);
+            const change24h = coinData.market_data.price_change_percentage_24h_in_currency?.[currency] ??
+                coinData.market_data.price_change_percentage_24h;
+            document.getElementById('detail-24h-change').textContent = `${change24h >= 0 ? '+' : ''}${change24h.toFixed(2)}%`;
             
             // Update coin icon
             const iconElement = document.getElementById('detail-coin-icon');
@@ -764,7 +1608,7 @@ class CryptoMonitorApp {
             Charts.renderCoinChart('detail-chart', historicalData);
             
             // Render additional stats
-            this.renderCoinStats(coinData);
+            this.renderCoinStats(coinData, currency);
             
         } catch (error) {
             console.error('Failed to load coin detail:', error);
@@ -772,17 +1616,20 @@ class CryptoMonitorApp {
         }
     }
     
-    renderCoinStats(coinData) {
+    renderCoinStats(coinData, currency = Storage.get('currency', 'usd')) {
         const container = document.getElementById('detail-stats');
         if (!container) return;
         
+        // Market data comes keyed by every supported currency
+        const marketData = coinData.market_data;
+        
         const stats = [
-            { label: 'Market Cap', value: Formatters.formatCurrency(coinData.market_data.market_cap.usd, 'usd', true) },
-            { label: 'Volume 24h', value: Formatters.formatCurrency(coinData.market_data.total_volume.usd, 'usd', true) },
-            { label: 'Supply Circulante', value: Formatters.formatNumber(coinData.market_data.circulating_supply) },
-            { label: 'Supply Total', value: Formatters.formatNumber(coinData.market_data.total_supply) },
-            { label: 'ATH', value: Formatters.formatCurrency(coinData.market_data.ath.usd) },
-            { label: 'ATL', value: Formatters.formatCurrency(coinData.market_data.atl.usd) }
+            { label: 'Market Cap', value: Formatters.formatCurrency(marketData.market_cap[currency], currency, true) },
+            { label: 'Volume 24h', value: Formatters.formatCurrency(marketData.total_volume[currency], currency, true) },
+            { label: 'Supply Circulante', value: Formatters.formatNumber(marketData.circulating_supply) },
+            { label: 'Supply Total', value: Formatters.formatNumber(marketData.total_supply) },
+            { label: 'ATH', value: Formatters.formatCurrency(marketData.ath[currency], currency) },
+            { label: 'ATL', value: Formatters.formatCurrency(marketData.atl[currency], currency) }
         ];
         
         container.innerHTML = stats.map(stat => `
@@ -798,8 +1645,13 @@ class CryptoMonitorApp {
         event.preventDefault();
         
         const coinId = document.getElementById('coin-select').value;
+        const type = document.getElementById('transaction-type')?.value || 'buy';
         const amount = parseFloat(document.getElementById('coin-amount').value);
-        const buyPrice = parseFloat(document.getElementById('coin-buy-price').value) || null;
+        const price = parseFloat(document.getElementById('coin-buy-price').value);
+        const fee = parseFloat(document.getElementById('transaction-fee')?.value) || 0;
+        const date = document.getElementById('transaction-date')?.value;
+        const lotId = document.getElementById('transaction-lot')?.value;
+        const portfolioId = document.getElementById('transaction-portfolio')?.value || Portfolio.getWritablePortfolioId();
         
         if (!coinId || !amount || amount <= 0) {
             Notifications.show('Por favor, preencha todos os campos obrigatórios', 'warning');
@@ -807,16 +1659,27 @@ class CryptoMonitorApp {
         }
         
         try {
-            await Portfolio.addCoin(coinId, amount, buyPrice);
+            await Portfolio.addTransaction({
+                portfolioId,
+                coinId,
+                type,
+                amount,
+                price: isNaN(price) ? null : price,
+                fee,
+                timestamp: date ? new Date(date).toISOString() : undefined,
+                lotIds: lotId ? [lotId] : []
+            });
             this.closeModal('add-coin-modal');
-            Notifications.show('Moeda adicionada ao portfólio!', 'success');
+            Notifications.show('Transação registrada no portfólio!', 'success');
             
             // Refresh display
             await this.loadMarketData();
             
         } catch (error) {
-            console.error('Failed to add coin:', error);
-            Notifications.show('Erro ao adicionar moeda ao portfólio', 'error');
+            console.error('Failed to add transaction:', error);
+            Notifications.show(error.name === 'PortfolioError' ?
+                'Transação inválida: verifique quantidade, preço e saldo na data' :
+                'Erro ao registrar transação no portfólio', 'error');
         }
     }
     
@@ -876,7 +1739,20 @@ class CryptoMonitorApp {
         Theme.setTheme(theme);
         
         const currency = Storage.get('currency', 'usd');
+        this.renderCurrencyOptions();
         document.getElementById('currency-select').value = currency;
+        
+        this.renderWatchlistControls();
+    }
+    
+    renderCurrencyOptions() {
+        const select = document.getElementById('currency-select');
+        if (!select) return;
+        
+        // Every currency the formatters know, so the list can't drift from what's supported
+        select.innerHTML = Formatters.getSupportedCurrencies().map(code => `
+            <option value="${code}" title="${Formatters.currencies[code].name}">${code.toUpperCase()}</option>
+        `).join('');
     }
     
     saveSettings() {
@@ -909,6 +1785,7 @@ class CryptoMonitorApp {
             const data = {
                 portfolio: Portfolio.exportData(),
                 alerts: Alerts.exportData(),
+                watchlists: Watchlists.exportData(),
                 settings: {
                     theme: Theme.getCurrentTheme(),
                     currency: Storage.get('currency', 'usd'),
@@ -957,9 +1834,16 @@ class CryptoMonitorApp {
             await Portfolio.importData(data.portfolio);
             await Alerts.importData(data.alerts);
             
+            // Backups from before watchlists existed don't have them
+            if (data.watchlists) {
+                Watchlists.importData(data.watchlists);
+            }
+            
             // Apply settings
             Theme.setTheme(data.settings.theme);
-            Storage.set('currency', data.settings.currency);
+            if (Formatters.isValidCurrency(data.settings.currency)) {
+                Storage.set('currency', data.settings.currency.toLowerCase());
+            }
             this.setUpdateInterval(data.settings.updateInterval);
             Notifications.setEnabled(data.settings.notifications);
             
@@ -983,18 +1867,80 @@ class CryptoMonitorApp {
     togglePortfolio(coinId) {
         const portfolioCoins = Portfolio.getPortfolioCoins();
         
-        if (portfolioCoins.includes(coinId)) {
-            Portfolio.removeCoin(coinId);
-            Notifications.show('Moeda removida do portfólio', 'info');
-        } else {
-            // For quick add, we'll open the modal with the coin pre-selected
-            this.openAddCoinModal();
-            setTimeout(() => {
-                document.getElementById('coin-select').value = coinId;
-            }, 100);
+        // Held coins open as a sale of the whole position, so the ledger keeps the history
+        // In the consolidated view that is the first portfolio holding it, as a sale comes out of one portfolio only
+        const holdingPortfolioId = !portfolioCoins.includes(coinId) ? null :
+            Portfolio.getWritablePortfolioId() || Portfolio.getPortfolios()
+                .map(portfolio => portfolio.id)
+                .find(portfolioId => Portfolio.getPositionsAt(Date.now(), undefined, undefined, portfolioId).get(coinId)?.amount > 0);
+        const holding = holdingPortfolioId ?
+            Portfolio.getPositionsAt(Date.now(), undefined, undefined, holdingPortfolioId).get(coinId) : null;
+        this.openAddCoinModal(holding ? 'sell' : 'buy');
+        setTimeout(() => {
+            document.getElementById('coin-select').value = coinId;
+            if (holding) {
+                document.getElementById('transaction-portfolio').value = holdingPortfolioId;
+                document.getElementById('coin-amount').value = holding.amount;
+            }
+            this.updateLotOptions();
+        }, 100);
+    }
+    
+    // Lot picker, only for disposals under the specific lot method
+    updateLotOptions() {
+        const group = document.getElementById('transaction-lot-group');
+        const select = document.getElementById('transaction-lot');
+        if (!group || !select) return;
+        
+        const type = document.getElementById('transaction-type')?.value;
+        const coinId = document.getElementById('coin-select')?.value;
+        const portfolioId = document.getElementById('transaction-portfolio')?.value || Portfolio.getActivePortfolioId();
+        const lots = coinId ? Portfolio.getOpenLots(coinId, portfolioId) : [];
+        const visible = Portfolio.getCostBasisMethod() === 'specific' &&
+            Portfolio.transactionTypes[type]?.direction < 0 && lots.length > 0;
+        
+        group.classList.toggle('hidden', !visible);
+        if (!visible) {
+            select.value = '';
+            return;
+        }
+        
+        const currency = Storage.get('currency', 'usd');
+        select.innerHTML = '<option value="">Mais antigo primeiro</option>' + lots.map(lot => `
+            <option value="${lot.transactionId}">
+                ${Formatters.formatDate(lot.timestamp)} · ${Formatters.formatNumber(lot.amount, 8)} a ${Formatters.formatCurrency(lot.unitCost, currency)}
+            </option>
+        `).join('');
+    }
+    
+    removePortfolioTransaction(transactionId) {
+        if (!confirm('Remover esta transação do portfólio?')) return;
+        
+        try {
+            Portfolio.removeTransaction(transactionId);
+            Notifications.show('Transação removida', 'info');
+        } catch (error) {
+            console.error('Failed to remove transaction:', error);
+            Notifications.show('Não é possível remover: uma venda posterior ficaria sem saldo', 'error');
         }
     }
     
+    toggleWatchlist(coinId) {
+        const watchlist = Watchlists.getActive();
+        if (!watchlist) return;
+        
+        const added = Watchlists.toggleCoin(watchlist.id, coinId);
+        Notifications.show(added ? `Moeda adicionada a ${watchlist.name}` : `Moeda removida de ${watchlist.name}`, 'info');
+    }
+    
+    moveWatchlistCoin(coinId, offset) {
+        const watchlistId = this.getWatchlistFilter();
+        if (!watchlistId) return;
+        
+        const index = Watchlists.getCoins(watchlistId).indexOf(coinId);
+        Watchlists.moveCoin(watchlistId, coinId, index + offset);
+    }
+    
     createQuickAlert(coinId) {
         this.openCoinDetail(coinId);
         setTimeout(() => {
@@ -1055,14 +2001,23 @@ class CryptoMonitorApp {
     
     // Cleanup
     destroy() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
+        PriceBus.destroy();
+        
+        if (this.gridObserver) {
+            this.gridObserver.disconnect();
         }
+        clearTimeout(this.loadMoreRetryTimer);
+        window.removeEventListener('scroll', this.gridScrollHandler);
+        window.removeEventListener('resize', this.gridResizeHandler);
         
         document.removeEventListener('visibilitychange', this.visibilityChangeHandler);
         
         // Cleanup modules
         Charts.destroy();
+        PortfolioHistory.destroy();
+        Stablecoins.destroy();
+        PaperTrading.destroy();
+        Streaming.destroy();
         Notifications.destroy();
     }
 }
@@ -6,8 +6,7 @@
 class AlertsModule {
     constructor() {
         this.alerts = new Map();
-        this.checkInterval = null;
-        this.lastPrices = new Map();
+        this.lastPrices = new Map(); // `${coinId}:${currency}` -> last seen price
         this.soundEnabled = true;
         this.audioContext = null;
         this.alertSound = null;
@@ -19,6 +18,10 @@ class AlertsModule {
         this.setupAudioContext();
         this.startPriceMonitoring();
         this.requestNotificationPermission();
+        
+        // Price-crossing alerts also fire on live exchange ticks
+        document.addEventListener('priceUpdate', (event) => this.handlePriceUpdate(event.detail));
+        document.addEventListener('watchlistUpdate', () => this.handleWatchlistUpdate());
     }
     
     setupAudioContext() {
@@ -77,8 +80,10 @@ class AlertsModule {
                 this.alerts.set(alertId, {
                     id: alertId,
                     coinId: data.coinId,
+                    watchlistId: data.watchlistId || null, // Set instead of coinId for alerts on a whole watchlist
                     type: data.type, // 'above', 'below', 'change'
                     value: data.value,
+                    currency: data.currency || 'usd', // Alerts from before currency support were set in USD
                     isActive: data.isActive !== false,
                     createdAt: data.createdAt || new Date().toISOString(),
                     triggeredAt: data.triggeredAt || null,
@@ -103,13 +108,14 @@ class AlertsModule {
             });
             
             Storage.set('alerts', alertsObj);
+            this.updateWatchedCoins();
             
         } catch (error) {
             console.error('Failed to save alerts:', error);
         }
     }
     
-    async createAlert(coinId, type, value, conditions = {}) {
+    async createAlert(coinId, type, value, conditions = {}, currency = Storage.get('currency', 'usd')) {
         if (!coinId || !type || !value) {
             throw new Error('Invalid alert parameters');
         }
@@ -125,19 +131,25 @@ class AlertsModule {
             throw new Error('Alert value must be a positive number');
         }
         
+        if (!Formatters.isValidCurrency(currency)) {
+            throw new Error('Unsupported alert currency');
+        }
+        currency = currency.toLowerCase();
+        
         // Generate unique ID
         const alertId = `${coinId}_${type}_${Date.now()}`;
         
         // Get current price for reference
         try {
-            const currentPrice = await API.getCurrentPrice(coinId);
+            const currentPrice = await API.getCurrentPrice(coinId, currency);
             
             const alert = {
                 id: alertId,
                 coinId: coinId,
                 type: type,
                 value: value,
-                currentPrice: currentPrice?.usd || 0,
+                currency: currency,
+                currentPrice: currentPrice?.[currency] || 0,
                 isActive: true,
                 createdAt: new Date().toISOString(),
                 triggeredAt: null,
@@ -162,6 +174,50 @@ class AlertsModule {
         }
     }
     
+    // Applies to every coin in the list; only relative conditions make sense across different coins
+    async createWatchlistAlert(watchlistId, type, value, conditions = {}, currency = Storage.get('currency', 'usd')) {
+        const watchlist = Watchlists.get(watchlistId);
+        if (!watchlist) {
+            throw new Error('Invalid watchlist');
+        }
+        
+        if (!['change', 'volume'].includes(type)) {
+            throw new Error('Watchlist alerts support change and volume conditions only');
+        }
+        
+        if (typeof value !== 'number' || value <= 0) {
+            throw new Error('Alert value must be a positive number');
+        }
+        
+        if (!Formatters.isValidCurrency(currency)) {
+            throw new Error('Unsupported alert currency');
+        }
+        
+        const alertId = `${watchlistId}_${type}_${Date.now()}`;
+        
+        this.alerts.set(alertId, {
+            id: alertId,
+            coinId: null,
+            watchlistId,
+            type,
+            value,
+            currency: currency.toLowerCase(),
+            isActive: true,
+            createdAt: new Date().toISOString(),
+            triggeredAt: null,
+            lastTriggered: null,
+            coinTriggers: {}, // coinId -> last trigger, so each coin has its own cooldown
+            conditions: {
+                repeat: conditions.repeat ?? true,
+                cooldown: conditions.cooldown || 300000,
+                ...conditions
+            }
+        });
+        
+        this.saveAlerts();
+        return alertId;
+    }
+    
     removeAlert(alertId) {
         if (!this.alerts.has(alertId)) {
             return false;
@@ -190,27 +246,61 @@ class AlertsModule {
     
     // Price Monitoring
     startPriceMonitoring() {
-        if (this.checkInterval) {
-            clearInterval(this.checkInterval);
-        }
+        // Checked on every price bus snapshot, at the app's update interval
+        PriceBus.subscribe('alerts', { coinIds: this.getWatchedCoins(), currencies: this.getWatchedCurrencies() }, (snapshot) => {
+            this.checkAlerts(snapshot.prices);
+        });
+        
+        this.updateWatchedCoins();
+    }
+    
+    getAlertCoins(alert) {
+        return alert.watchlistId ? Watchlists.getCoins(alert.watchlistId) : [alert.coinId];
+    }
+    
+    getWatchedCoins() {
+        const coinIds = Array.from(this.alerts.values())
+            .filter(alert => alert.isActive)
+            .flatMap(alert => this.getAlertCoins(alert));
+        
+        return [...new Set(coinIds)];
+    }
+    
+    getWatchedCurrencies() {
+        const currencies = Array.from(this.alerts.values())
+            .filter(alert => alert.isActive)
+            .map(alert => alert.currency);
         
-        // Check every 30 seconds
-        this.checkInterval = setInterval(() => {
-            this.checkAlerts();
-        }, 30000);
+        return [...new Set(currencies)];
+    }
+    
+    updateWatchedCoins() {
+        const coinIds = this.getWatchedCoins();
         
-        // Initial check
-        this.checkAlerts();
+        PriceBus.setCoins('alerts', coinIds);
+        PriceBus.setCurrencies('alerts', this.getWatchedCurrencies());
+        Streaming.watch('alerts', coinIds);
     }
     
     stopPriceMonitoring() {
-        if (this.checkInterval) {
-            clearInterval(this.checkInterval);
-            this.checkInterval = null;
+        PriceBus.unsubscribe('alerts');
+    }
+    
+    handleWatchlistUpdate() {
+        // Alerts on a deleted list have nothing left to watch
+        const orphaned = Array.from(this.alerts.values())
+            .filter(alert => alert.watchlistId && !Watchlists.get(alert.watchlistId));
+        
+        orphaned.forEach(alert => this.alerts.delete(alert.id));
+        
+        if (orphaned.length > 0) {
+            this.saveAlerts();
+        } else {
+            this.updateWatchedCoins();
         }
     }
     
-    async checkAlerts() {
+    async checkAlerts(snapshotPrices = null) {
         const activeAlerts = Array.from(this.alerts.values()).filter(alert => alert.isActive);
         
         if (activeAlerts.length === 0) {
@@ -218,22 +308,18 @@ class AlertsModule {
         }
         
         try {
-            // Group alerts by coin to minimize API calls
-            const coinIds = [...new Set(activeAlerts.map(alert => alert.coinId))];
-            const pricesData = await API.getMultiplePrices(coinIds);
+            // Group alerts by coin to minimize API calls; watchlist alerts count for each coin on their list
+            const coinIds = this.getWatchedCoins();
+            if (coinIds.length === 0) return;
             
-            for (const alert of activeAlerts) {
-                const priceData = pricesData[alert.coinId];
+            const currencies = this.getWatchedCurrencies().join(',');
+            const pricesData = snapshotPrices || await API.getMultiplePrices(coinIds, currencies, 'background');
+            
+            for (const coinId of coinIds) {
+                const priceData = pricesData[coinId];
                 if (!priceData) continue;
                 
-                const currentPrice = priceData.usd;
-                const previousPrice = this.lastPrices.get(alert.coinId) || currentPrice;
-                
-                if (this.shouldTriggerAlert(alert, currentPrice, previousPrice, priceData)) {
-                    await this.triggerAlert(alert, currentPrice, priceData);
-                }
-                
-                this.lastPrices.set(alert.coinId, currentPrice);
+                await this.evaluateAlerts(coinId, priceData);
             }
             
         } catch (error) {
@@ -241,9 +327,47 @@ class AlertsModule {
         }
     }
     
-    shouldTriggerAlert(alert, currentPrice, previousPrice, priceData) {
+    async evaluateAlerts(coinId, priceData, types = null) {
+        const alerts = Array.from(this.alerts.values()).filter(alert =>
+            alert.isActive && this.getAlertCoins(alert).includes(coinId) && (!types || types.includes(alert.type))
+        );
+        
+        // Each alert is compared in the currency it was set in
+        const previousPrices = new Map();
+        this.getWatchedCurrencies().forEach(currency => {
+            previousPrices.set(currency, this.lastPrices.get(`${coinId}:${currency}`));
+        });
+        
+        for (const alert of alerts) {
+            const currentPrice = priceData[alert.currency];
+            if (currentPrice === undefined || currentPrice === null) continue;
+            
+            const previousPrice = previousPrices.get(alert.currency) ?? currentPrice;
+            
+            if (this.shouldTriggerAlert(alert, currentPrice, previousPrice, priceData, coinId)) {
+                await this.triggerAlert(alert, currentPrice, priceData, coinId);
+            }
+        }
+        
+        previousPrices.forEach((price, currency) => {
+            if (priceData[currency] !== undefined && priceData[currency] !== null) {
+                this.lastPrices.set(`${coinId}:${currency}`, priceData[currency]);
+            }
+        });
+    }
+    
+    handlePriceUpdate({ coinId, ticker }) {
+        // Only crossings are checked; single-exchange change/volume figures aren't comparable to alerts
+        const currency = Streaming.normalizeQuote(ticker.quoteCurrency);
+        if (!this.getWatchedCurrencies().includes(currency)) return;
+        
+        this.evaluateAlerts(coinId, { [currency]: ticker.price }, ['above', 'below']);
+    }
+    
+    shouldTriggerAlert(alert, currentPrice, previousPrice, priceData, coinId = alert.coinId) {
         const now = Date.now();
-        const lastTriggered = alert.lastTriggered ? new Date(alert.lastTriggered).getTime() : 0;
+        const triggeredAt = alert.watchlistId ? alert.coinTriggers?.[coinId] : alert.lastTriggered;
+        const lastTriggered = triggeredAt ? new Date(triggeredAt).getTime() : 0;
         const cooldownPeriod = alert.conditions.cooldown || 300000; // 5 minutes
         
         // Check cooldown
@@ -259,11 +383,11 @@ class AlertsModule {
                 return currentPrice <= alert.value && previousPrice > alert.value;
                 
             case 'change':
-                const change24h = Math.abs(priceData.usd_24h_change || 0);
+                const change24h = Math.abs(priceData[`${alert.currency}_24h_change`] || 0);
                 return change24h >= alert.value;
                 
             case 'volume':
-                const volume = priceData.usd_24h_vol || 0;
+                const volume = priceData[`${alert.currency}_24h_vol`] || 0;
                 return volume >= alert.value;
                 
             default:
@@ -271,10 +395,13 @@ class AlertsModule {
         }
     }
     
-    async triggerAlert(alert, currentPrice, priceData) {
+    async triggerAlert(alert, currentPrice, priceData, coinId = alert.coinId) {
         try {
             // Update alert
             alert.lastTriggered = new Date().toISOString();
+            if (alert.watchlistId) {
+                alert.coinTriggers = { ...alert.coinTriggers, [coinId]: alert.lastTriggered };
+            }
             if (!alert.conditions.repeat) {
                 alert.isActive = false;
             }
@@ -283,10 +410,10 @@ class AlertsModule {
             this.saveAlerts();
             
             // Create notification message
-            const message = this.createAlertMessage(alert, currentPrice, priceData);
+            const message = this.createAlertMessage(alert, currentPrice, priceData, coinId);
             
             // Show notifications
-            await this.showAlertNotification(alert, message);
+            await this.showAlertNotification(alert, message, coinId);
             
             // Play sound
             if (this.soundEnabled && this.alertSound) {
@@ -304,9 +431,10 @@ class AlertsModule {
         }
     }
     
-    createAlertMessage(alert, currentPrice, priceData) {
-        const currency = Storage.get('currency', 'usd');
-        const coinName = alert.coinId.charAt(0).toUpperCase() + alert.coinId.slice(1);
+    createAlertMessage(alert, currentPrice, priceData, coinId = alert.coinId) {
+        const currency = alert.currency;
+        const watchlist = alert.watchlistId ? Watchlists.get(alert.watchlistId) : null;
+        const coinName = coinId.charAt(0).toUpperCase() + coinId.slice(1) + (watchlist ? ` (${watchlist.name})` : '');
         const formattedPrice = Formatters.formatCurrency(currentPrice, currency);
         
         switch (alert.type) {
@@ -317,25 +445,25 @@ class AlertsModule {
                 return `${coinName} caiu para ${formattedPrice} (abaixo de ${Formatters.formatCurrency(alert.value, currency)})`;
                 
             case 'change':
-                const change = priceData.usd_24h_change || 0;
+                const change = priceData[`${currency}_24h_change`] || 0;
                 return `${coinName} teve variação de ${change >= 0 ? '+' : ''}${change.toFixed(2)}% (${formattedPrice})`;
                 
             case 'volume':
-                return `${coinName} atingiu volume de ${Formatters.formatCurrency(priceData.usd_24h_vol, currency, true)}`;
+                return `${coinName} atingiu volume de ${Formatters.formatCurrency(priceData[`${currency}_24h_vol`], currency, true)}`;
                 
             default:
                 return `Alerta para ${coinName}: ${formattedPrice}`;
         }
     }
     
-    async showAlertNotification(alert, message) {
+    async showAlertNotification(alert, message, coinId = alert.coinId) {
         // Browser notification
         if ('Notification' in window && Notification.permission === 'granted') {
             const notification = new Notification('Cripto Monitor Pro - Alerta de Preço', {
                 body: message,
                 icon: '/favicon.ico',
                 badge: '/favicon.ico',
-                tag: alert.id,
+                tag: `${alert.id}:${coinId}`,
                 renotify: true,
                 requireInteraction: false,
                 silent: false
@@ -345,7 +473,7 @@ class AlertsModule {
                 window.focus();
                 // Open coin details
                 if (window.app && window.app.openCoinDetail) {
-                    window.app.openCoinDetail(alert.coinId);
+                    window.app.openCoinDetail(coinId);
                 }
                 notification.close();
             };
@@ -476,8 +604,10 @@ class AlertsModule {
                 this.alerts.set(alertId, {
                     id: alertId,
                     coinId: alertData.coinId,
+                    watchlistId: alertData.watchlistId || null,
                     type: alertData.type,
                     value: alertData.value,
+                    currency: alertData.currency || 'usd',
                     isActive: alertData.isActive !== false,
                     createdAt: alertData.createdAt || new Date().toISOString(),
                     conditions: alertData.conditions || {}
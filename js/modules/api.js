@@ -8,44 +8,55 @@ class APIModule {
         this.baseURL = 'https://api.coingecko.com/api/v3';
         this.cache = new Map();
         this.cacheDuration = 5 * 60 * 1000; // 5 minutes
+        this.maxMemoryEntries = 100;
         this.requestQueue = new Map();
-        this.rateLimitDelay = 1000; // 1 second between requests
-        this.lastRequestTime = 0;
+        
+        // Persistent tier in the IndexedDB 'cache' store, evicted least recently used first
+        this.persistentIndex = new Map(); // key -> { size, expires, maxStale, lastAccess }
+        this.persistentIndexReady = null;
+        this.maxPersistentBytes = 10 * 1024 * 1024;
+        
+        // ttl: served without a request; maxStale: how long after that a persisted copy
+        // may still be shown while it revalidates (0 keeps the endpoint out of IndexedDB)
+        this.cachePolicies = [
+            { pattern: /simple\/price|assets\?ids=|pricemultifull|ticker\/24hr/, ttl: 20000, maxStale: 60 * 60 * 1000 },
+            { pattern: /coins\/markets|assets\?limit=|top\/mktcapfull/, ttl: 20000, maxStale: 24 * 60 * 60 * 1000 },
+            { pattern: /\/global$/, ttl: 20000, maxStale: 24 * 60 * 60 * 1000 },
+            { pattern: /market_chart|\/history\?|histoday|histohour|klines/, ttl: 10 * 60 * 1000, maxStale: 7 * 24 * 60 * 60 * 1000 },
+            { pattern: /coins\/list/, ttl: 24 * 60 * 60 * 1000, maxStale: 7 * 24 * 60 * 60 * 1000 },
+            { pattern: /exchange_rates/, ttl: 10 * 60 * 1000, maxStale: 24 * 60 * 60 * 1000 },
+            { pattern: /\/coins\/[^/?]+\?/, ttl: 2 * 60 * 1000, maxStale: 24 * 60 * 60 * 1000 },
+            { pattern: /\/search|\/ping$/, ttl: 60 * 1000, maxStale: 0 }
+        ];
+        
+        this.metrics = {
+            memoryHits: 0,
+            persistentHits: 0,
+            staleHits: 0,
+            misses: 0,
+            revalidations: 0,
+            evictions: 0
+        };
     }
     
     init() {
         console.log('🔌 API Module initialized');
-        this.setupRequestInterceptor();
-    }
-    
-    setupRequestInterceptor() {
-        // Override fetch to add rate limiting
-        const originalFetch = window.fetch;
-        window.fetch = async (...args) => {
-            await this.enforceRateLimit();
-            return originalFetch.apply(window, args);
-        };
+        this.persistentIndexReady = this.loadPersistentIndex();
     }
     
-    async enforceRateLimit() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        
-        if (timeSinceLastRequest < this.rateLimitDelay) {
-            const delay = this.rateLimitDelay - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-        
-        this.lastRequestTime = Date.now();
+    // options.lane is 'interactive' (user waiting), 'foreground' (visible refresh) or 'background'
+    async request(endpoint, options = {}) {
+        return this.requestURL(`${this.baseURL}${endpoint}`, options);
     }
     
-    async request(endpoint, options = {}) {
-        const url = `${this.baseURL}${endpoint}`;
-        const cacheKey = `${url}_${JSON.stringify(options)}`;
+    async requestURL(url, options = {}, allowStale = true) {
+        const { lane = 'foreground', ...fetchOptions } = options;
+        const cacheKey = `${url}_${JSON.stringify(fetchOptions)}`;
         
         // Check cache first
         const cached = this.getFromCache(cacheKey);
         if (cached) {
+            this.metrics.memoryHits++;
             return cached;
         }
         
@@ -54,20 +65,58 @@ class APIModule {
             return this.requestQueue.get(cacheKey);
         }
         
+        // Only keys not seen this session go to IndexedDB, so in-session refreshes stay fresh
+        await this.persistentIndexReady;
+        if (!this.cache.has(cacheKey) && this.persistentIndex.has(cacheKey)) {
+            const persisted = await this.getFromPersistentCache(cacheKey);
+            
+            if (persisted) {
+                this.cache.set(cacheKey, { data: persisted.value, timestamp: persisted.timestamp, expires: persisted.expires });
+                
+                if (Date.now() < persisted.expires) {
+                    this.metrics.persistentHits++;
+                    return persisted.value;
+                }
+                
+                // Stale-while-revalidate: answer now, refresh behind it
+                this.metrics.staleHits++;
+                this.revalidate(url, cacheKey, fetchOptions, lane);
+                return persisted.value;
+            }
+        }
+        
+        this.metrics.misses++;
+        return this.fetchAndCache(url, cacheKey, fetchOptions, allowStale, lane);
+    }
+    
+    async fetchAndCache(url, cacheKey, fetchOptions, allowStale, lane) {
         // Make the request
-        const requestPromise = this.makeRequest(url, options);
+        const requestPromise = this.makeRequest(url, fetchOptions, allowStale, lane);
         this.requestQueue.set(cacheKey, requestPromise);
         
         try {
             const data = await requestPromise;
-            this.setCache(cacheKey, data);
+            this.setCache(cacheKey, data, url);
             return data;
         } finally {
             this.requestQueue.delete(cacheKey);
         }
     }
     
-    async makeRequest(url, options = {}) {
+    revalidate(url, cacheKey, fetchOptions, lane) {
+        if (this.requestQueue.has(cacheKey)) return;
+        
+        this.metrics.revalidations++;
+        this.fetchAndCache(url, cacheKey, fetchOptions, false, lane)
+            .then(() => {
+                document.dispatchEvent(new CustomEvent('apiRevalidated', { detail: { url } }));
+            })
+            .catch(error => {
+                console.warn(`Revalidation failed for ${url}:`, error.message);
+            });
+    }
+    
+    async makeRequest(url, options = {}, allowStale = true, lane = 'foreground') {
         const defaultOptions = {
             method: 'GET',
             headers: {
@@ -78,21 +127,27 @@ class APIModule {
         };
         
         try {
-            const response = await fetch(url, defaultOptions);
+            // Throttled per host by the rate limiter rather than a global fetch override
+            const response = await RateLimiter.fetch(url, defaultOptions, lane);
             
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const httpError = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                httpError.status = response.status;
+                throw httpError;
             }
             
             const data = await response.json();
             return data;
             
         } catch (error) {
-            console.error(`API request failed: ${url}`, error);
+            if (!this.isCancellation(error)) {
+                console.error(`API request failed: ${url}`, error);
+            }
             
             // Return cached data if available, even if expired
+            // (providers opt out so failover can try the next source instead)
             const cacheKey = `${url}_${JSON.stringify(options)}`;
-            const staleCache = this.cache.get(cacheKey);
+            const staleCache = allowStale ? this.cache.get(cacheKey) : null;
             if (staleCache) {
                 console.warn('Returning stale cached data due to API error');
                 return staleCache.data;
@@ -102,64 +157,216 @@ class APIModule {
         }
     }
     
+    getCachePolicy(url) {
+        return this.cachePolicies.find(policy => policy.pattern.test(url)) ||
+            { ttl: this.cacheDuration, maxStale: 60 * 60 * 1000 };
+    }
+    
     getFromCache(key) {
         const cached = this.cache.get(key);
         if (!cached) return null;
         
-        const isExpired = Date.now() - cached.timestamp > this.cacheDuration;
-        if (isExpired) {
-            this.cache.delete(key);
+        // Expired entries stay for the stale fallback in makeRequest
+        if (Date.now() >= cached.expires) {
             return null;
         }
         
+        // Re-inserting keeps the Map in least-recently-used order
+        this.cache.delete(key);
+        this.cache.set(key, cached);
+        
         return cached.data;
     }
     
-    setCache(key, data) {
+    setCache(key, data, url = key) {
+        const policy = this.getCachePolicy(url);
+        const now = Date.now();
+        
+        this.cache.delete(key);
         this.cache.set(key, {
             data,
-            timestamp: Date.now()
+            timestamp: now,
+            expires: now + policy.ttl
         });
         
-        // Clean up old cache entries
-        if (this.cache.size > 100) {
+        // Clean up least recently used entries
+        if (this.cache.size > this.maxMemoryEntries) {
             const oldestKey = this.cache.keys().next().value;
             this.cache.delete(oldestKey);
         }
+        
+        if (policy.maxStale > 0) {
+            this.persistCache(key, data, now, policy);
+        }
     }
     
     clearCache() {
         this.cache.clear();
+        this.persistentIndex.clear();
+        Storage.clearCacheStore();
+    }
+    
+    // Persistent Cache (IndexedDB)
+    async loadPersistentIndex() {
+        const entries = await Storage.getCacheIndex();
+        
+        entries.forEach(({ key, size, expires, maxStale, lastAccess }) => {
+            this.persistentIndex.set(key, { size, expires, maxStale, lastAccess });
+        });
+        
+        await this.evictPersistentCache();
+    }
+    
+    async getFromPersistentCache(key) {
+        const entry = await Storage.getCacheEntry(key);
+        const now = Date.now();
+        
+        if (!entry || now > entry.expires + entry.maxStale) {
+            return null;
+        }
+        
+        // Persisted so LRU order survives restarts
+        entry.lastAccess = now;
+        this.persistentIndex.set(key, { size: entry.size, expires: entry.expires, maxStale: entry.maxStale, lastAccess: now });
+        Storage.putCacheEntry(entry);
+        
+        return entry;
+    }
+    
+    async persistCache(key, value, timestamp, policy) {
+        const size = JSON.stringify(value).length;
+        
+        // A single response may not take over the whole budget
+        if (size > this.maxPersistentBytes / 4) return;
+        
+        const entry = {
+            key,
+            value,
+            size,
+            timestamp,
+            expires: timestamp + policy.ttl,
+            maxStale: policy.maxStale,
+            lastAccess: timestamp
+        };
+        
+        this.persistentIndex.set(key, { size, expires: entry.expires, maxStale: entry.maxStale, lastAccess: timestamp });
+        
+        if (await Storage.putCacheEntry(entry)) {
+            await this.evictPersistentCache();
+        }
+    }
+    
+    async evictPersistentCache() {
+        const now = Date.now();
+        const evicted = [];
+        
+        // Past their stale window first, then least recently used until under budget
+        this.persistentIndex.forEach((meta, key) => {
+            if (now > meta.expires + meta.maxStale) {
+                evicted.push(key);
+            }
+        });
+        evicted.forEach(key => this.persistentIndex.delete(key));
+        
+        let totalSize = this.getPersistentCacheSize();
+        const byAge = Array.from(this.persistentIndex.entries())
+            .sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+        
+        for (const [key, meta] of byAge) {
+            if (totalSize <= this.maxPersistentBytes) break;
+            
+            totalSize -= meta.size;
+            evicted.push(key);
+            this.persistentIndex.delete(key);
+        }
+        
+        if (evicted.length > 0) {
+            this.metrics.evictions += evicted.length;
+            await Storage.deleteCacheEntries(evicted);
+        }
+    }
+    
+    getPersistentCacheSize() {
+        return Array.from(this.persistentIndex.values()).reduce((sum, meta) => sum + meta.size, 0);
+    }
+    
+    isCancellation(error) {
+        return error?.name === 'RequestCancelledError' ||
+            error?.originalError?.name === 'RequestCancelledError';
+    }
+    
+    // Provider Failover
+    async fetchWithFailover(capability, currency, lane, ...args) {
+        const providers = ProviderRegistry.getOrdered(capability, currency);
+        let lastError = null;
+        
+        for (const provider of providers) {
+            const started = Date.now();
+            
+            try {
+                const result = await provider.withLane(lane)[capability](...args);
+                
+                if (this.isEmptyResult(result)) {
+                    throw new APIError(`${provider.name} returned no data`, provider.apiUrl);
+                }
+                
+                ProviderRegistry.recordSuccess(provider.id, Date.now() - started);
+                return result;
+                
+            } catch (error) {
+                // Cancelled background work says nothing about the provider's health
+                if (this.isCancellation(error)) throw error;
+                
+                console.warn(`${provider.name} ${capability} failed, trying next provider:`, error.message);
+                ProviderRegistry.recordFailure(provider.id, error);
+                lastError = error;
+            }
+        }
+        
+        throw new APIError(`All providers failed for ${capability}`, null, lastError);
+    }
+    
+    isEmptyResult(result) {
+        if (!result) return true;
+        if (Array.isArray(result)) return result.length === 0;
+        return typeof result === 'object' && Object.keys(result).length === 0;
+    }
+    
+    getProviderHealth() {
+        return ProviderRegistry.getHealthReport();
     }
     
     // API Methods
-    async getMarketData(currency = 'usd') {
+    async getMarketData(currency = 'usd', lane = 'foreground') {
         try {
-            return await this.request(`/global`);
+            return await this.request(`/global`, { lane });
         } catch (error) {
             console.error('Failed to fetch market data:', error);
             return this.getFallbackMarketData();
         }
     }
     
-    async getCryptocurrencyData(currency = 'usd', limit = 100) {
+    async getCryptocurrencyData(currency = 'usd', limit = 100, lane = 'foreground', page = 1) {
         try {
-            const params = new URLSearchParams({
-                vs_currency: currency,
-                order: 'market_cap_desc',
-                per_page: limit.toString(),
-                page: '1',
-                sparkline: 'false',
-                price_change_percentage: '24h'
-            });
-            
-            return await this.request(`/coins/markets?${params}`);
+            return await this.fetchWithFailover('getMarkets', currency, lane, currency, limit, page);
         } catch (error) {
             console.error('Failed to fetch cryptocurrency data:', error);
             return this.getFallbackCryptoData();
         }
     }
     
+    // Market entries for specific coins, wherever they rank
+    async getMarketsByIds(coinIds, currency = 'usd', lane = 'foreground') {
+        if (coinIds.length === 0) return [];
+        
+        try {
+            return await this.fetchWithFailover('getMarketsByIds', currency, lane, coinIds, currency);
+        } catch (error) {
+            console.error('Failed to fetch market data by id:', error);
+            return [];
+        }
+    }
+    
     async getCoinDetail(coinId) {
         try {
             const params = new URLSearchParams({
@@ -171,29 +378,24 @@ class APIModule {
                 sparkline: 'false'
             });
             
-            return await this.request(`/coins/${coinId}?${params}`);
+            return await this.request(`/coins/${coinId}?${params}`, { lane: 'interactive' });
         } catch (error) {
             console.error(`Failed to fetch coin detail for ${coinId}:`, error);
             throw error;
         }
     }
     
-    async getHistoricalData(coinId, days = 30, currency = 'usd') {
+    async getHistoricalData(coinId, days = 30, currency = 'usd', lane = 'interactive') {
         try {
-            const params = new URLSearchParams({
-                vs_currency: currency,
-                days: days.toString(),
-                interval: days <= 1 ? 'hourly' : 'daily'
-            });
-            
-            const data = await this.request(`/coins/${coinId}/market_chart?${params}`);
+            // Every provider returns [[timestamp, price], ...]
+            const prices = await this.fetchWithFailover('getHistory', currency, lane, coinId, days, currency);
             
             // Transform data for Chart.js
             return {
-                labels: data.prices.map(([timestamp]) => new Date(timestamp)),
+                labels: prices.map(([timestamp]) => new Date(timestamp)),
                 datasets: [{
                     label: 'Price',
-                    data: data.prices.map(([, price]) => price),
+                    data: prices.map(([, price]) => price),
                     borderColor: '#3b82f6',
                     backgroundColor: 'rgba(59, 130, 246, 0.1)',
                     fill: true,
@@ -208,7 +410,7 @@ class APIModule {
     
     async getCoinsList() {
         try {
-            return await this.request('/coins/list');
+            return await this.request('/coins/list', { lane: 'interactive' });
         } catch (error) {
             console.error('Failed to fetch coins list:', error);
             return this.getFallbackCoinsList();
@@ -217,7 +419,7 @@ class APIModule {
     
     async searchCoins(query) {
         try {
-            return await this.request(`/search?query=${encodeURIComponent(query)}`);
+            return await this.request(`/search?query=${encodeURIComponent(query)}`, { lane: 'interactive' });
         } catch (error) {
             console.error('Failed to search coins:', error);
             return { coins: [] };
@@ -233,15 +435,44 @@ class APIModule {
         }
     }
     
-    async getExchangeRates(currency = 'usd') {
+    async getExchangeRates(currency = 'usd', lane = 'foreground') {
         try {
-            return await this.request(`/exchange_rates`);
+            return await this.request(`/exchange_rates`, { lane });
         } catch (error) {
             console.error('Failed to fetch exchange rates:', error);
             return { rates: {} };
         }
     }
     
+    // Currency Conversion
+    getConversionRate(from, to, rates) {
+        const source = (from || '').toLowerCase();
+        const target = (to || '').toLowerCase();
+        
+        if (source === target) return 1;
+        
+        // CoinGecko exchange rates are all quoted against BTC
+        const sourceRate = rates?.rates?.[source]?.value;
+        const targetRate = rates?.rates?.[target]?.value;
+        
+        if (!sourceRate || !targetRate) return null;
+        
+        return targetRate / sourceRate;
+    }
+    
+    async convertAmount(amount, from, to, lane = 'foreground') {
+        if ((from || '').toLowerCase() === (to || '').toLowerCase()) return amount;
+        
+        const rates = await this.getExchangeRates('usd', lane);
+        const rate = this.getConversionRate(from, to, rates);
+        
+        if (rate === null) {
+            throw new APIError(`No ${from}→${to} exchange rate available`, '/exchange_rates');
+        }
+        
+        return amount * rate;
+    }
+    
     // Fallback Data Methods
     getFallbackMarketData() {
         return {
@@ -265,6 +496,7 @@ class APIModule {
         const oneDay = 24 * 60 * 60 * 1000;
         
         return {
+            fallback: true, // Placeholder prices, not to be stored or computed with
             labels: Array.from({ length: 30 }, (_, i) => new Date(now - (29 - i) * oneDay)),
             datasets: [{
                 label: 'Price',
@@ -302,22 +534,29 @@ class APIModule {
     }
     
     getCacheStats() {
+        const { memoryHits, persistentHits, staleHits, misses } = this.metrics;
+        const lookups = memoryHits + persistentHits + staleHits + misses;
+        
         return {
             size: this.cache.size,
-            entries: Array.from(this.cache.keys())
+            entries: Array.from(this.cache.keys()),
+            persistent: {
+                entries: this.persistentIndex.size,
+                bytes: this.getPersistentCacheSize(),
+                maxBytes: this.maxPersistentBytes
+            },
+            ...this.metrics,
+            hitRate: lookups > 0 ? (memoryHits + persistentHits + staleHits) / lookups : 0,
+            inFlight: this.requestQueue.size,
+            queueDepth: RateLimiter.getQueueDepth(),
+            rateLimits: RateLimiter.getStats()
         };
     }
     
     // Price Alert Helpers
-    async getCurrentPrice(coinId, currency = 'usd') {
+    async getCurrentPrice(coinId, currency = 'usd', lane = 'interactive') {
         try {
-            const params = new URLSearchParams({
-                ids: coinId,
-                vs_currencies: currency,
-                include_24hr_change: 'true'
-            });
-            
-            const data = await this.request(`/simple/price?${params}`);
+            const data = await this.fetchWithFailover('getPrices', currency, lane, [coinId], currency);
             return data[coinId];
         } catch (error) {
             console.error(`Failed to get current price for ${coinId}:`, error);
@@ -325,17 +564,9 @@ class APIModule {
         }
     }
     
-    async getMultiplePrices(coinIds, currency = 'usd') {
+    async getMultiplePrices(coinIds, currency = 'usd', lane = 'foreground') {
         try {
-            const params = new URLSearchParams({
-                ids: coinIds.join(','),
-                vs_currencies: currency,
-                include_24hr_change: 'true',
-                include_market_cap: 'true',
-                include_24hr_vol: 'true'
-            });
-            
-            return await this.request(`/simple/price?${params}`);
+            return await this.fetchWithFailover('getPrices', currency, lane, coinIds, currency);
         } catch (error) {
             console.error('Failed to get multiple prices:', error);
             return {};
@@ -350,6 +581,7 @@ class APIError extends Error {
         this.name = 'APIError';
         this.url = url;
         this.originalError = originalError;
+        this.status = originalError?.status ?? null;
         this.timestamp = new Date().toISOString();
     }
 }
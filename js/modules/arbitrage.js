@@ -5,43 +5,46 @@
 
 class ArbitrageManager {
     constructor() {
-        this.exchanges = {
-            coingecko: {
-                name: 'CoinGecko',
-                apiUrl: 'https://api.coingecko.com/api/v3',
-                getFeeRate: () => 0.001, // 0.1% fee
-                icon: 'trending-up'
-            },
-            mercadopago: {
-                name: 'Mercado Pago',
-                // Note: Mercado Pago doesn't have a public crypto API
-                // This would need to be implemented with their private API
-                getFeeRate: () => 0.015, // 1.5% fee estimate
-                icon: 'dollar-sign'
-            },
-            binance: {
-                name: 'Binance',
-                apiUrl: 'https://api.binance.com/api/v3',
-                getFeeRate: () => 0.001, // 0.1% fee
-                icon: 'activity'
-            }
-        };
+        // Built from the adapter registry (js/modules/exchanges)
+        this.exchanges = ExchangeRegistry.toObject();
         
         this.opportunities = new Map();
         this.minProfitMargin = 0.02; // 2% minimum profit
-        this.updateInterval = null;
+        this.tradeNotional = 1000; // Order size walked through the books, in quote currency
+        this.bookDepth = 50; // Levels requested per side
+        this.minTriangularMargin = 0.001; // 0.1% minimum for single-exchange cycles
+        // Assets scanned for triangular cycles; earlier entries are preferred as the cycle start
+        this.triangularAssets = ['USDT', 'BRL', 'BTC', 'ETH', 'BNB', 'SOL', 'XRP', 'ADA', 'USDC', 'FDUSD'];
+        this.isMonitoring = false;
+        this.scanInProgress = false;
+        this.defaultCoins = ['bitcoin', 'ethereum', 'binancecoin', 'solana', 'ripple']; // Scanned without a watchlist
+        
+        // Open history episodes keyed by route, see recordOpportunityHistory
+        this.historyEpisodes = new Map();
+        this.historyGapTolerance = 2.5; // Missed scans before an episode is considered over
+        
+        // Coins re-evaluated on live ticks; their order books are fetched at most once per throttle window
+        this.monitoredCoins = [];
+        this.lastStreamEvaluation = new Map();
+        this.streamThrottle = 10000;
     }
 
-    async compareExchangePrices(coinId, currency = 'usd') {
+    async compareExchangePrices(coinId, currency = Storage.get('currency', 'usd')) {
         try {
-            const prices = await this.fetchPricesFromExchanges(coinId, currency);
-            const opportunities = this.calculateArbitrageOpportunities(prices, coinId);
+            const [prices, books] = await Promise.all([
+                this.fetchPricesFromExchanges(coinId, currency),
+                this.fetchOrderBooks(coinId, currency)
+            ]);
+            const opportunities = this.calculateArbitrageOpportunities(prices, coinId, books)
+                .map(opportunity => ({ ...opportunity, currency }));
             
             if (opportunities.length > 0) {
                 this.opportunities.set(coinId, opportunities);
                 return opportunities;
             }
             
+            // The spread closed, so stale routes shouldn't linger in the grid
+            this.opportunities.delete(coinId);
             return [];
             
         } catch (error) {
@@ -50,45 +53,43 @@ class ArbitrageManager {
         }
     }
 
-    async fetchPricesFromExchanges(coinId, currency) {
+    refreshExchanges() {
+        this.exchanges = ExchangeRegistry.toObject();
+        return this.exchanges;
+    }
+
+    getActiveAdapters(coinId) {
+        return Object.values(this.exchanges).filter(adapter => adapter.supports(coinId));
+    }
+
+    // `lane` is 'interactive' when a user action waits on the result
+    async fetchPricesFromExchanges(coinId, currency, lane = 'background') {
         const prices = {};
+        const adapters = this.getActiveAdapters(coinId);
         
         try {
-            // CoinGecko API (our primary source)
-            const coingeckoPrice = await this.fetchCoinGeckoPrice(coinId, currency);
-            if (coingeckoPrice) {
-                prices.coingecko = {
-                    exchange: 'coingecko',
-                    price: coingeckoPrice,
-                    fee: this.exchanges.coingecko.getFeeRate(),
-                    timestamp: Date.now()
-                };
-            }
-
-            // Binance API (if available)
-            const binancePrice = await this.fetchBinancePrice(coinId, currency);
-            if (binancePrice) {
-                prices.binance = {
-                    exchange: 'binance',
-                    price: binancePrice,
-                    fee: this.exchanges.binance.getFeeRate(),
-                    timestamp: Date.now()
-                };
-            }
-
-            // Note: Mercado Pago would require separate integration
-            // For demonstration, we'll simulate a price difference
-            if (prices.coingecko) {
-                const variation = (Math.random() - 0.5) * 0.04; // ±2% variation
-                prices.mercadopago = {
-                    exchange: 'mercadopago',
-                    price: prices.coingecko.price * (1 + variation),
-                    fee: this.exchanges.mercadopago.getFeeRate(),
-                    timestamp: Date.now(),
-                    simulated: true
+            const tickers = await Promise.all(adapters.map(adapter =>
+                this.fetchAdapterTicker(adapter.withLane(lane), coinId, currency)
+            ));
+            
+            // Only hit the exchange rates endpoint when some leg quotes another currency
+            const needsConversion = tickers.some(ticker =>
+                ticker && this.normalizeQuote(ticker.quoteCurrency) !== this.normalizeQuote(currency)
+            );
+            const rates = needsConversion ? await API.getExchangeRates('usd', lane) : null;
+            
+            tickers.forEach((ticker, i) => {
+                if (!ticker) return;
+                
+                const adapter = adapters[i];
+                const converted = this.convertTicker(ticker, currency, rates);
+                if (!converted) return;
+                
+                prices[adapter.id] = {
+                    ...converted,
+                    fee: adapter.getFeeRate('taker')
                 };
-            }
-
+            });
         } catch (error) {
             console.error('Error fetching exchange prices:', error);
         }
@@ -96,56 +97,248 @@ class ArbitrageManager {
         return prices;
     }
 
-    async fetchCoinGeckoPrice(coinId, currency) {
+    async fetchAdapterTicker(adapter, coinId, currency) {
+        // A fresh streamed ticker saves the REST round trip
+        const live = Streaming.getTicker(coinId, adapter.id);
+        if (live) return live;
+        
         try {
-            const response = await fetch(
-                `https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=${currency}`
-            );
-            
-            if (!response.ok) throw new Error('CoinGecko API error');
-            
-            const data = await response.json();
-            return data[coinId]?.[currency];
-            
+            return await adapter.fetchTicker(coinId, currency);
         } catch (error) {
-            console.error('CoinGecko price fetch error:', error);
+            console.error(`${adapter.name} price fetch error:`, error);
+            return null;
+        }
+    }
+
+    // Currency Conversion
+    normalizeQuote(currency) {
+        // Dollar stablecoin pairs are treated as USD
+        const quote = (currency || '').toLowerCase();
+        return ['usdt', 'usdc'].includes(quote) ? 'usd' : quote;
+    }
+
+    getConversionRate(from, to, rates) {
+        return API.getConversionRate(this.normalizeQuote(from), this.normalizeQuote(to), rates);
+    }
+
+    convertTicker(ticker, currency, rates) {
+        const rate = this.getConversionRate(ticker.quoteCurrency, currency, rates);
+        
+        if (rate === null) {
+            console.warn(`No ${ticker.quoteCurrency}→${currency} rate for ${ticker.exchange}, skipping`);
             return null;
         }
+        
+        if (rate === 1) {
+            return ticker;
+        }
+        
+        return {
+            ...ticker,
+            price: ticker.price * rate,
+            bid: ticker.bid * rate,
+            ask: ticker.ask * rate,
+            quoteCurrency: currency,
+            originalPrice: ticker.price,
+            originalQuoteCurrency: ticker.quoteCurrency,
+            conversionRate: rate
+        };
     }
 
-    async fetchBinancePrice(coinId, currency) {
+    // Order Book Depth
+    async fetchOrderBooks(coinId, currency, lane = 'background') {
+        const books = {};
+        const adapters = this.getActiveAdapters(coinId);
+        
         try {
-            // Map common coin IDs to Binance symbols
-            const symbolMap = {
-                'bitcoin': 'BTCUSDT',
-                'ethereum': 'ETHUSDT',
-                'binancecoin': 'BNBUSDT',
-                'cardano': 'ADAUSDT',
-                'solana': 'SOLUSDT',
-                'ripple': 'XRPUSDT'
-            };
+            const results = await Promise.all(adapters.map(adapter =>
+                this.fetchAdapterOrderBook(adapter.withLane(lane), coinId, currency)
+            ));
             
-            const symbol = symbolMap[coinId];
-            if (!symbol) return null;
-            
-            const response = await fetch(
-                `https://api.binance.com/api/v3/ticker/price?symbol=${symbol}`
+            const needsConversion = results.some(book =>
+                book && this.normalizeQuote(book.quoteCurrency) !== this.normalizeQuote(currency)
             );
+            const rates = needsConversion ? await API.getExchangeRates('usd', lane) : null;
             
-            if (!response.ok) throw new Error('Binance API error');
-            
-            const data = await response.json();
-            return parseFloat(data.price);
-            
+            results.forEach((book, i) => {
+                if (!book || book.asks.length === 0 || book.bids.length === 0) return;
+                
+                const converted = this.convertOrderBook(book, currency, rates);
+                if (converted) {
+                    books[adapters[i].id] = converted;
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching order books:', error);
+        }
+        
+        return books;
+    }
+
+    async fetchAdapterOrderBook(adapter, coinId, currency) {
+        try {
+            return await adapter.fetchOrderBook(coinId, currency, this.bookDepth);
         } catch (error) {
-            console.error('Binance price fetch error:', error);
+            console.error(`${adapter.name} order book fetch error:`, error);
             return null;
         }
     }
 
-    calculateArbitrageOpportunities(prices, coinId) {
+    convertOrderBook(book, currency, rates) {
+        const rate = this.getConversionRate(book.quoteCurrency, currency, rates);
+        if (rate === null) return null;
+        if (rate === 1) return book;
+        
+        const scale = (levels) => levels.map(([price, amount]) => [price * rate, amount]);
+        
+        return {
+            ...book,
+            bids: scale(book.bids),
+            asks: scale(book.asks),
+            quoteCurrency: currency,
+            conversionRate: rate
+        };
+    }
+
+    // Consumes levels until `notional` of quote currency has been spent
+    walkBookByQuote(levels, notional) {
+        let remaining = notional;
+        let amount = 0;
+        let quote = 0;
+        
+        for (const [price, size] of levels) {
+            if (remaining <= 0) break;
+            
+            const take = Math.min(price * size, remaining);
+            amount += take / price;
+            quote += take;
+            remaining -= take;
+        }
+        
+        return {
+            amount,
+            quote,
+            vwap: amount > 0 ? quote / amount : null,
+            complete: remaining <= notional * 1e-9
+        };
+    }
+
+    // Consumes levels until `targetAmount` of the base asset has been filled
+    walkBookByAmount(levels, targetAmount) {
+        let remaining = targetAmount;
+        let amount = 0;
+        let quote = 0;
+        
+        for (const [price, size] of levels) {
+            if (remaining <= 0) break;
+            
+            const take = Math.min(size, remaining);
+            amount += take;
+            quote += take * price;
+            remaining -= take;
+        }
+        
+        return {
+            amount,
+            quote,
+            vwap: amount > 0 ? quote / amount : null,
+            complete: remaining <= targetAmount * 1e-9
+        };
+    }
+
+    simulateDepthTrade(buyBook, sellBook, buyFee, sellFee, notional) {
+        const buy = this.walkBookByQuote(buyBook.asks, notional);
+        if (!buy.amount) return null;
+        
+        const sell = this.walkBookByAmount(sellBook.bids, buy.amount);
+        if (!sell.amount) return null;
+        
+        const bestAsk = buyBook.asks[0][0];
+        const bestBid = sellBook.bids[0][0];
+        const effectiveBuyPrice = buy.vwap * (1 + buyFee);
+        const effectiveSellPrice = sell.vwap * (1 - sellFee);
+        
+        return {
+            notional: buy.quote,
+            amount: sell.amount,
+            buyVwap: buy.vwap,
+            sellVwap: sell.vwap,
+            buySlippage: (buy.vwap - bestAsk) / bestAsk,
+            sellSlippage: (bestBid - sell.vwap) / bestBid,
+            profitMargin: (effectiveSellPrice - effectiveBuyPrice) / effectiveBuyPrice,
+            complete: buy.complete && sell.complete
+        };
+    }
+
+    // Net margin of a depth-filled trade of `notional` along `route` ({ coinId, buyExchange, sellExchange }),
+    // after transfer and ramp costs; null when the books can't fill it
+    getDepthNetMargin(buyBook, sellBook, buyFee, sellFee, notional, route) {
+        const trade = this.simulateDepthTrade(buyBook, sellBook, buyFee, sellFee, notional);
+        if (!trade || !trade.complete) return null;
+        
+        return this.calculateTransferCosts(route.coinId, route.buyExchange, route.sellExchange, {
+            notional: trade.notional,
+            effectiveBuyPrice: trade.buyVwap * (1 + buyFee),
+            effectiveSellPrice: trade.sellVwap * (1 - sellFee)
+        }).netProfitMargin;
+    }
+
+    // Largest notional whose net margin still clears the minimum. Fixed withdrawal fees make small trades
+    // unprofitable while slippage erodes large ones, so the margin isn't monotonic in size: a coarse scan
+    // finds the largest profitable step, and bisection refines the edge just past it.
+    findMaxProfitableSize(buyBook, sellBook, buyFee, sellFee, minMargin, route) {
+        const isProfitable = (notional) => {
+            const margin = this.getDepthNetMargin(buyBook, sellBook, buyFee, sellFee, notional, route);
+            return margin !== null && margin >= minMargin;
+        };
+        
+        const askDepth = buyBook.asks.reduce((sum, [price, size]) => sum + price * size, 0);
+        const steps = 40;
+        let largest = 0;
+        
+        for (let k = steps; k >= 1; k--) {
+            if (isProfitable(askDepth * k / steps)) {
+                largest = k;
+                break;
+            }
+        }
+        
+        if (largest === 0) return 0;
+        if (largest === steps) return askDepth;
+        
+        let low = askDepth * largest / steps;
+        let high = askDepth * (largest + 1) / steps;
+        
+        for (let i = 0; i < 30 && high - low > askDepth * 1e-4; i++) {
+            const mid = (low + high) / 2;
+            if (isProfitable(mid)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        
+        return low;
+    }
+
+    calculateDepth(buyBook, sellBook, buyFee, sellFee, route) {
+        if (!buyBook || !sellBook) return null;
+        
+        const trade = this.simulateDepthTrade(buyBook, sellBook, buyFee, sellFee, this.getTradeNotional());
+        if (!trade) return null;
+        
+        return {
+            ...trade,
+            maxProfitableSize: this.findMaxProfitableSize(
+                buyBook, sellBook, buyFee, sellFee, this.getMinProfitMargin(), route
+            )
+        };
+    }
+
+    calculateArbitrageOpportunities(prices, coinId, books = {}) {
         const opportunities = [];
         const exchanges = Object.keys(prices);
+        const minProfitMargin = this.getMinProfitMargin();
         
         if (exchanges.length < 2) return opportunities;
         
@@ -159,33 +352,46 @@ class ArbitrageManager {
                 const sellPrice = prices[sellExchange];
                 
                 const opportunity = this.calculateProfitability(
-                    buyPrice, sellPrice, coinId
+                    buyPrice, sellPrice, coinId, books
                 );
                 
-                if (opportunity.profitMargin >= this.minProfitMargin) {
+                if (opportunity.netProfitMargin >= minProfitMargin) {
                     opportunities.push(opportunity);
                 }
                 
                 // Check reverse direction
                 const reverseOpportunity = this.calculateProfitability(
-                    sellPrice, buyPrice, coinId
+                    sellPrice, buyPrice, coinId, books
                 );
                 
-                if (reverseOpportunity.profitMargin >= this.minProfitMargin) {
+                if (reverseOpportunity.netProfitMargin >= minProfitMargin) {
                     opportunities.push(reverseOpportunity);
                 }
             }
         }
         
-        return opportunities.sort((a, b) => b.profitMargin - a.profitMargin);
+        return opportunities.sort((a, b) => this.compareOpportunities(a, b));
+    }
+
+    // Routes without a transfer route between the exchanges leave network fees out of their net margin,
+    // so they rank after every fully costed route (triangular cycles never transfer)
+    compareOpportunities(a, b) {
+        return ((a.transferCostsKnown === false) - (b.transferCostsKnown === false)) ||
+            (b.netProfitMargin - a.netProfitMargin);
     }
 
-    calculateProfitability(buyData, sellData, coinId) {
-        const buyPrice = buyData.price;
-        const sellPrice = sellData.price;
+    calculateProfitability(buyData, sellData, coinId, books = {}) {
         const buyFee = buyData.fee;
         const sellFee = sellData.fee;
         
+        // Volume-weighted prices replace last prices when both books are available
+        const depth = this.calculateDepth(
+            books[buyData.exchange], books[sellData.exchange], buyFee, sellFee,
+            { coinId, buyExchange: buyData.exchange, sellExchange: sellData.exchange }
+        );
+        const buyPrice = depth ? depth.buyVwap : buyData.price;
+        const sellPrice = depth ? depth.sellVwap : sellData.price;
+        
         // Calculate effective prices after fees
         const effectiveBuyPrice = buyPrice * (1 + buyFee);
         const effectiveSellPrice = sellPrice * (1 - sellFee);
@@ -194,6 +400,12 @@ class ArbitrageManager {
         const grossProfit = effectiveSellPrice - effectiveBuyPrice;
         const profitMargin = grossProfit / effectiveBuyPrice;
         
+        const costs = this.calculateTransferCosts(coinId, buyData.exchange, sellData.exchange, {
+            notional: depth ? depth.notional : this.getTradeNotional(),
+            effectiveBuyPrice,
+            effectiveSellPrice
+        });
+        
         return {
             coinId,
             buyExchange: buyData.exchange,
@@ -207,21 +419,110 @@ class ArbitrageManager {
             profitPercentage: profitMargin * 100,
             buyFee: buyFee * 100,
             sellFee: sellFee * 100,
+            ...costs,
+            buyLastPrice: buyData.price,
+            sellLastPrice: sellData.price,
+            depth,
+            buyOriginalPrice: buyData.conversionRate ? buyPrice / buyData.conversionRate : null,
+            buyOriginalCurrency: buyData.originalQuoteCurrency ?? null,
+            sellOriginalPrice: sellData.conversionRate ? sellPrice / sellData.conversionRate : null,
+            sellOriginalCurrency: sellData.originalQuoteCurrency ?? null,
             timestamp: Date.now(),
             isSimulated: buyData.simulated || sellData.simulated
         };
     }
 
+    // Transfer and Ramp Costs
+    getTransferRoute(coinId, buyExchange, sellExchange) {
+        const from = this.exchanges[buyExchange];
+        const to = this.exchanges[sellExchange];
+        
+        if (!from?.canTransfer(coinId) || !to?.canTransfer(coinId)) return null;
+        
+        const withdrawals = from.getNetworks(coinId);
+        const deposits = to.getNetworks(coinId);
+        
+        const routes = Object.keys(withdrawals)
+            .filter(network => deposits[network])
+            .map(network => ({
+                network,
+                withdrawalFee: withdrawals[network].withdrawalFee || 0,
+                depositFee: deposits[network].depositFee || 0,
+                minutes: from.withdrawalProcessingMinutes +
+                    Math.max(withdrawals[network].minutes || 0, deposits[network].minutes || 0)
+            }));
+        
+        // Cheapest network both exchanges support
+        routes.sort((a, b) => (a.withdrawalFee + a.depositFee) - (b.withdrawalFee + b.depositFee));
+        return routes[0] || null;
+    }
+
+    calculateTransferCosts(coinId, buyExchange, sellExchange, trade) {
+        const { notional, effectiveBuyPrice, effectiveSellPrice } = trade;
+        const buyAdapter = this.exchanges[buyExchange];
+        const sellAdapter = this.exchanges[sellExchange];
+        const route = this.getTransferRoute(coinId, buyExchange, sellExchange);
+        
+        const amount = notional / effectiveBuyPrice;
+        const networkFees = route ? route.withdrawalFee + route.depositFee : 0;
+        const transferredAmount = Math.max(amount - networkFees, 0);
+        
+        const onRampCost = notional * (buyAdapter?.getFiatFeeRate('deposit') || 0);
+        const proceeds = transferredAmount * effectiveSellPrice;
+        const offRampCost = proceeds * (sellAdapter?.getFiatFeeRate('withdrawal') || 0);
+        
+        const netProfit = proceeds - offRampCost - notional - onRampCost;
+        const netProfitMargin = netProfit / (notional + onRampCost);
+        const transferMinutes = route ? route.minutes : null;
+        
+        // Simple (non-compounded) annualization over the capital lock-up time
+        const minutesPerYear = 365 * 24 * 60;
+        const annualizedReturn = transferMinutes ?
+            netProfitMargin * (minutesPerYear / transferMinutes) : null;
+        
+        return {
+            tradeNotional: notional,
+            tradeAmount: amount,
+            transferRoute: route,
+            transferCost: networkFees * effectiveSellPrice,
+            rampCost: onRampCost + offRampCost,
+            transferCostsKnown: route !== null,
+            transferMinutes,
+            netProfit,
+            netProfitMargin,
+            netProfitPercentage: netProfitMargin * 100,
+            annualizedReturn
+        };
+    }
+
     formatOpportunityForDisplay(opportunity) {
-        const currency = Storage.get('currency', 'usd');
-        const currencySymbol = currency === 'brl' ? 'R$' : '$';
+        // Amounts stay in the currency the route was scanned in
+        const currency = opportunity.currency || Storage.get('currency', 'usd');
         
         return {
             ...opportunity,
             buyPriceFormatted: Formatters.formatCurrency(opportunity.buyPrice, currency),
             sellPriceFormatted: Formatters.formatCurrency(opportunity.sellPrice, currency),
             grossProfitFormatted: Formatters.formatCurrency(Math.abs(opportunity.grossProfit), currency),
+            buyOriginalPriceFormatted: opportunity.buyOriginalPrice !== null ?
+                Formatters.formatCurrency(opportunity.buyOriginalPrice, opportunity.buyOriginalCurrency) : null,
+            sellOriginalPriceFormatted: opportunity.sellOriginalPrice !== null ?
+                Formatters.formatCurrency(opportunity.sellOriginalPrice, opportunity.sellOriginalCurrency) : null,
             profitPercentageFormatted: `${opportunity.profitPercentage.toFixed(2)}%`,
+            netProfitFormatted: Formatters.formatCurrency(opportunity.netProfit, currency),
+            netProfitPercentageFormatted: `${opportunity.netProfitPercentage.toFixed(2)}%`,
+            costsFormatted: Formatters.formatCurrency(opportunity.transferCost + opportunity.rampCost, currency),
+            transferTimeFormatted: opportunity.transferMinutes !== null ?
+                Formatters.formatDuration(opportunity.transferMinutes * 60000) : null,
+            annualizedReturnFormatted: opportunity.annualizedReturn !== null ?
+                Formatters.formatPercentage(opportunity.annualizedReturn * 100, 0) : null,
+            depthFormatted: opportunity.depth ? {
+                notional: Formatters.formatCurrency(opportunity.depth.notional, currency),
+                buySlippage: Formatters.formatPercentage(opportunity.depth.buySlippage * 100, 3, false),
+                sellSlippage: Formatters.formatPercentage(opportunity.depth.sellSlippage * 100, 3, false),
+                maxProfitableSize: Formatters.formatCurrency(opportunity.depth.maxProfitableSize, currency, true),
+                partial: !opportunity.depth.complete
+            } : null,
             buyExchangeName: this.exchanges[opportunity.buyExchange]?.name || opportunity.buyExchange,
             sellExchangeName: this.exchanges[opportunity.sellExchange]?.name || opportunity.sellExchange,
             buyExchangeIcon: this.exchanges[opportunity.buyExchange]?.icon || 'trending-down',
@@ -229,6 +530,156 @@ class ArbitrageManager {
         };
     }
 
+    // Triangular Arbitrage
+    async scanTriangularOpportunities() {
+        const adapters = Object.values(this.exchanges).filter(adapter => adapter.supportsMarkets());
+        const found = [];
+        
+        for (const adapter of adapters) {
+            const key = `triangular:${adapter.id}`;
+            
+            try {
+                const markets = await adapter.fetchMarkets(this.triangularAssets);
+                const cycles = this.findTriangularCycles(markets, adapter);
+                
+                if (cycles.length > 0) {
+                    this.opportunities.set(key, cycles);
+                    found.push(...cycles);
+                } else {
+                    this.opportunities.delete(key);
+                }
+            } catch (error) {
+                console.error(`${adapter.name} triangular scan error:`, error);
+            }
+        }
+        
+        return found;
+    }
+
+    buildConversionGraph(markets, fee) {
+        // from asset -> to asset -> leg; rates already net of the taker fee
+        const graph = new Map();
+        const addLeg = (from, to, leg) => {
+            if (!graph.has(from)) graph.set(from, new Map());
+            graph.get(from).set(to, { from, to, ...leg });
+        };
+        
+        markets.forEach(market => {
+            // Buying the base spends quote at the ask
+            addLeg(market.quote, market.base, {
+                symbol: market.symbol,
+                side: 'buy',
+                price: market.ask,
+                rate: (1 / market.ask) * (1 - fee),
+                capacity: market.askQty * market.ask
+            });
+            // Selling the base receives quote at the bid
+            addLeg(market.base, market.quote, {
+                symbol: market.symbol,
+                side: 'sell',
+                price: market.bid,
+                rate: market.bid * (1 - fee),
+                capacity: market.bidQty
+            });
+        });
+        
+        return graph;
+    }
+
+    findTriangularCycles(markets, adapter) {
+        const graph = this.buildConversionGraph(markets, adapter.getFeeRate('taker'));
+        const minMargin = this.getMinTriangularMargin();
+        const seen = new Set();
+        const cycles = [];
+        
+        this.triangularAssets.forEach(start => {
+            const fromStart = graph.get(start);
+            if (!fromStart) return;
+            
+            for (const [middle, firstLeg] of fromStart) {
+                const fromMiddle = graph.get(middle);
+                if (!fromMiddle) continue;
+                
+                for (const [last, secondLeg] of fromMiddle) {
+                    const closingLeg = last !== start ? graph.get(last)?.get(start) : null;
+                    if (!closingLeg) continue;
+                    
+                    // A cycle and its rotations are the same trade; keep the preferred start
+                    const cycleKey = this.getCycleKey([start, middle, last]);
+                    if (seen.has(cycleKey)) continue;
+                    seen.add(cycleKey);
+                    
+                    const legs = [firstLeg, secondLeg, closingLeg];
+                    const multiplier = legs.reduce((product, leg) => product * leg.rate, 1);
+                    
+                    if (multiplier - 1 >= minMargin) {
+                        cycles.push(this.createTriangularOpportunity(adapter, legs, multiplier));
+                    }
+                }
+            }
+        });
+        
+        return cycles.sort((a, b) => b.netProfitMargin - a.netProfitMargin);
+    }
+
+    getCycleKey(path) {
+        const offset = path.indexOf([...path].sort()[0]);
+        return [...path.slice(offset), ...path.slice(0, offset)].join('>');
+    }
+
+    createTriangularOpportunity(adapter, legs, multiplier) {
+        const startAsset = legs[0].from;
+        const path = [...legs.map(leg => leg.from), startAsset];
+        const fee = adapter.getFeeRate('taker');
+        
+        // Gross margin undoes the fee on each of the three legs
+        const grossMultiplier = multiplier / Math.pow(1 - fee, legs.length);
+        
+        // Largest start amount every leg can fill at the top of the book
+        let reached = 1;
+        const maxStartAmount = legs.reduce((max, leg) => {
+            const limit = leg.capacity / reached;
+            reached *= leg.rate;
+            return Math.min(max, limit);
+        }, Infinity);
+        
+        return {
+            type: 'triangular',
+            exchange: adapter.id,
+            startAsset,
+            path,
+            legs: legs.map(({ from, to, symbol, side, price }) => ({ from, to, symbol, side, price })),
+            fee,
+            profitMargin: grossMultiplier - 1,
+            profitPercentage: (grossMultiplier - 1) * 100,
+            netProfitMargin: multiplier - 1,
+            netProfitPercentage: (multiplier - 1) * 100,
+            maxStartAmount: isFinite(maxStartAmount) ? maxStartAmount : null,
+            timestamp: Date.now(),
+            isSimulated: adapter.simulated
+        };
+    }
+
+    formatTriangularForDisplay(opportunity) {
+        const adapter = this.exchanges[opportunity.exchange];
+        
+        return {
+            ...opportunity,
+            pathLabel: opportunity.path.join(' → '),
+            profitPercentageFormatted: `${opportunity.profitPercentage.toFixed(2)}%`,
+            netProfitPercentageFormatted: `${opportunity.netProfitPercentage.toFixed(2)}%`,
+            legsFormatted: opportunity.legs.map(leg => ({
+                ...leg,
+                sideLabel: leg.side === 'buy' ? 'Comprar' : 'Vender',
+                priceFormatted: Formatters.formatCryptoAmount(leg.price)
+            })),
+            maxStartAmountFormatted: opportunity.maxStartAmount !== null ?
+                `${Formatters.formatCryptoAmount(opportunity.maxStartAmount, 4)} ${opportunity.startAsset}` : null,
+            exchangeName: adapter?.name || opportunity.exchange,
+            exchangeIcon: adapter?.icon || 'repeat'
+        };
+    }
+
     getTopOpportunities(limit = 10) {
         const allOpportunities = [];
         
@@ -237,56 +688,272 @@ class ArbitrageManager {
         }
         
         return allOpportunities
-            .sort((a, b) => b.profitMargin - a.profitMargin)
+            .sort((a, b) => this.compareOpportunities(a, b))
             .slice(0, limit)
-            .map(opp => this.formatOpportunityForDisplay(opp));
+            .map(opp => opp.type === 'triangular' ?
+                this.formatTriangularForDisplay(opp) : this.formatOpportunityForDisplay(opp));
     }
 
-    startMonitoring(coins = [], interval = 60000) {
+    startMonitoring(coins = []) {
         this.stopMonitoring();
         
         if (coins.length === 0) {
-            coins = ['bitcoin', 'ethereum', 'binancecoin', 'solana', 'ripple'];
+            coins = this.defaultCoins;
         }
         
-        const updateOpportunities = async () => {
+        this.monitoredCoins = coins;
+        this.isMonitoring = true;
+        Streaming.watch('arbitrage', coins);
+        
+        // Scans follow the price bus cadence; the CoinGecko reference leg reads the same snapshot,
+        // which always carries the display currency routes are scanned in
+        PriceBus.subscribe('arbitrage', { coinIds: coins }, () => this.scanOpportunities());
+        
+        // Initial scan
+        this.scanOpportunities();
+    }
+
+    async scanOpportunities() {
+        // A slow scan is not stacked on by the next snapshot
+        if (!this.isMonitoring || this.scanInProgress) return;
+        this.scanInProgress = true;
+        
+        try {
             console.log('🔍 Scanning for arbitrage opportunities...');
+            const detected = [];
             
-            for (const coinId of coins) {
-                await this.compareExchangePrices(coinId);
+            for (const coinId of this.monitoredCoins) {
+                detected.push(...await this.compareExchangePrices(coinId));
                 // Add small delay to avoid rate limiting
                 await new Promise(resolve => setTimeout(resolve, 200));
             }
             
+            detected.push(...await this.scanTriangularOpportunities());
+            await this.recordOpportunityHistory(detected);
+            
             const opportunities = this.getTopOpportunities(5);
             if (opportunities.length > 0) {
                 console.log(`✅ Found ${opportunities.length} arbitrage opportunities`);
                 this.notifyOpportunities(opportunities);
             }
-        };
+        } catch (error) {
+            console.error('Arbitrage scan failed:', error);
+        } finally {
+            this.scanInProgress = false;
+        }
+    }
+
+    // Coins from the selected watchlist, or the defaults when none is selected or it's empty
+    getScanCoins() {
+        const watchlistId = this.getWatchlist();
+        const coins = watchlistId ? Watchlists.getCoins(watchlistId) : [];
         
-        // Initial scan
-        updateOpportunities();
+        return coins.length > 0 ? coins : this.defaultCoins;
+    }
+    
+    handleWatchlistUpdate({ watchlistId }) {
+        if (!this.isMonitoring || (watchlistId && watchlistId !== this.getWatchlist())) return;
         
-        // Set up periodic scanning
-        this.updateInterval = setInterval(updateOpportunities, interval);
+        // Takes effect on the next snapshot, without restarting the scan loop
+        this.monitoredCoins = this.getScanCoins();
+        PriceBus.setCoins('arbitrage', this.monitoredCoins);
+        Streaming.watch('arbitrage', this.monitoredCoins);
     }
-
+    
     stopMonitoring() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+        PriceBus.unsubscribe('arbitrage');
+        this.isMonitoring = false;
+        
+        // Gaps while stopped must not be counted as lifetime
+        this.historyEpisodes.clear();
+        
+        this.monitoredCoins = [];
+        Streaming.unwatch('arbitrage');
+    }
+
+    // Every tick is checked against the streamed top of book; order books are only fetched, at most once
+    // per throttle window, when some route clears the margin there, since depth can only make it worse
+    async handlePriceUpdate({ coinId }) {
+        if (!this.isMonitoring || !this.monitoredCoins.includes(coinId)) return;
+        
+        const currency = Storage.get('currency', 'usd');
+        const quotes = await this.getStreamedQuotes(coinId, currency);
+        if (!this.hasTopOfBookCandidate(quotes)) return;
+        
+        // Shares the scan guard, so a scan and a tick can't both open the same history episode
+        const now = Date.now();
+        if (this.scanInProgress || now - (this.lastStreamEvaluation.get(coinId) || 0) < this.streamThrottle) return;
+        this.lastStreamEvaluation.set(coinId, now);
+        this.scanInProgress = true;
+        
+        try {
+            const opportunities = await this.compareExchangePrices(coinId, currency);
+            await this.recordOpportunityHistory(opportunities);
+            
+            document.dispatchEvent(new CustomEvent('arbitrageUpdate', {
+                detail: { coinId, count: opportunities.length }
+            }));
+        } catch (error) {
+            console.error(`Failed to re-evaluate ${coinId} on a live tick:`, error);
+        } finally {
+            this.scanInProgress = false;
         }
     }
 
-    notifyOpportunities(opportunities) {
-        const topOpportunity = opportunities[0];
-        if (!topOpportunity) return;
+    // Fresh streamed tickers in the scan currency, without any REST call
+    async getStreamedQuotes(coinId, currency) {
+        const tickers = this.getActiveAdapters(coinId)
+            .map(adapter => ({ adapter, ticker: Streaming.getTicker(coinId, adapter.id) }))
+            .filter(({ ticker }) => ticker);
+        
+        if (tickers.length < 2) return [];
+        
+        const needsConversion = tickers.some(({ ticker }) =>
+            this.normalizeQuote(ticker.quoteCurrency) !== this.normalizeQuote(currency)
+        );
+        const rates = needsConversion ? await API.getExchangeRates('usd', 'background') : null;
+        
+        return tickers
+            .map(({ adapter, ticker }) => {
+                const rate = this.getConversionRate(ticker.quoteCurrency, currency, rates);
+                if (rate === null) return null;
+                
+                return {
+                    exchange: adapter.id,
+                    bid: (ticker.bid ?? ticker.price) * rate,
+                    ask: (ticker.ask ?? ticker.price) * rate,
+                    fee: adapter.getFeeRate('taker')
+                };
+            })
+            .filter(Boolean);
+    }
+    
+    // Buying at one ask and selling at another's bid, after trading fees, clears the minimum margin
+    hasTopOfBookCandidate(quotes) {
+        const minProfitMargin = this.getMinProfitMargin();
+        
+        return quotes.some(buy => quotes.some(sell => {
+            if (buy === sell || !(buy.ask > 0)) return false;
+            
+            const effectiveBuyPrice = buy.ask * (1 + buy.fee);
+            const effectiveSellPrice = sell.bid * (1 - sell.fee);
+            return (effectiveSellPrice - effectiveBuyPrice) / effectiveBuyPrice >= minProfitMargin;
+        }));
+    }
+
+    // Opportunity History
+    getRouteKey(opportunity) {
+        if (opportunity.type === 'triangular') {
+            return `triangular:${opportunity.exchange}:${opportunity.path.join('>')}`;
+        }
+        
+        return `${opportunity.coinId}:${opportunity.buyExchange}>${opportunity.sellExchange}`;
+    }
+
+    async recordOpportunityHistory(opportunities) {
+        const now = Date.now();
+        const maxGap = PriceBus.interval * this.historyGapTolerance;
+        
+        for (const opportunity of opportunities) {
+            const routeKey = this.getRouteKey(opportunity);
+            const open = this.historyEpisodes.get(routeKey);
+            const spread = opportunity.netProfitPercentage;
+            
+            // Seen again within the tolerance: same episode, otherwise a new one starts
+            const episode = open && now - open.lastSeen <= maxGap ? {
+                ...open,
+                lastSeen: now,
+                lastSpread: spread,
+                peakSpread: Math.max(open.peakSpread, spread),
+                observations: open.observations + 1,
+                timestamp: now // Last activity, so period filters include ongoing episodes
+            } : {
+                type: 'arbitrage',
+                routeKey,
+                kind: opportunity.type === 'triangular' ? 'triangular' : 'cross',
+                coinId: opportunity.coinId || null,
+                buyExchange: opportunity.buyExchange || opportunity.exchange,
+                sellExchange: opportunity.sellExchange || opportunity.exchange,
+                path: opportunity.path || null,
+                firstSeen: now,
+                lastSeen: now,
+                firstSpread: spread,
+                lastSpread: spread,
+                peakSpread: spread,
+                observations: 1,
+                timestamp: now
+            };
+            
+            const id = await Storage.addHistory(episode);
+            if (id !== null) {
+                episode.id = id;
+            }
+            
+            this.historyEpisodes.set(routeKey, episode);
+        }
+    }
+
+    async getOpportunityHistory(filters = {}) {
+        const { coinId, exchange, kind, since, minPeakSpread } = filters;
+        const records = await Storage.getHistory('arbitrage', since || null);
         
-        const message = `Oportunidade de arbitragem: ${topOpportunity.profitPercentageFormatted} de lucro em ${topOpportunity.coinId}`;
+        return records
+            .filter(record => !coinId || record.coinId === coinId)
+            .filter(record => !exchange || record.buyExchange === exchange || record.sellExchange === exchange)
+            .filter(record => !kind || record.kind === kind)
+            .filter(record => !minPeakSpread || record.peakSpread >= minPeakSpread)
+            .map(record => ({
+                ...record,
+                lifetime: record.lastSeen - record.firstSeen
+            }))
+            .sort((a, b) => b.firstSeen - a.firstSeen);
+    }
+
+    async clearOpportunityHistory() {
+        this.historyEpisodes.clear();
+        return Storage.clearHistory('arbitrage');
+    }
+
+    historyToCSV(records) {
+        const headers = [
+            'first_seen', 'last_seen', 'lifetime_seconds', 'kind', 'coin', 'route',
+            'buy_exchange', 'sell_exchange', 'first_spread_pct', 'peak_spread_pct',
+            'last_spread_pct', 'observations'
+        ];
+        
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const rows = records.map(record => [
+            new Date(record.firstSeen).toISOString(),
+            new Date(record.lastSeen).toISOString(),
+            Math.round((record.lastSeen - record.firstSeen) / 1000),
+            record.kind,
+            record.coinId,
+            record.path ? record.path.join('>') : `${record.buyExchange}>${record.sellExchange}`,
+            record.buyExchange,
+            record.sellExchange,
+            record.firstSpread.toFixed(4),
+            record.peakSpread.toFixed(4),
+            record.lastSpread.toFixed(4),
+            record.observations
+        ].map(escape).join(','));
+        
+        return [headers.join(','), ...rows].join('\n');
+    }
+
+    notifyOpportunities(opportunities) {
+        // An uncosted route's net profit is overstated, so it isn't announced
+        const topOpportunity = opportunities.find(opp => opp.transferCostsKnown !== false);
         
         // Show notification
-        if (Notifications) {
+        if (topOpportunity && Notifications) {
+            const subject = topOpportunity.type === 'triangular' ?
+                `${topOpportunity.pathLabel} (${topOpportunity.exchangeName})` : topOpportunity.coinId;
+            const message = `Oportunidade de arbitragem: ${topOpportunity.netProfitPercentageFormatted} de lucro líquido em ${subject}`;
+            
             Notifications.show(message, 'success');
         }
         
@@ -310,16 +977,39 @@ class ArbitrageManager {
     getMinProfitMargin() {
         return Storage.get('arbitrageMinProfit', this.minProfitMargin);
     }
+
+    setTradeNotional(notional) {
+        this.tradeNotional = notional;
+        Storage.set('arbitrageNotional', notional);
+    }
+
+    getTradeNotional() {
+        return Storage.get('arbitrageNotional', this.tradeNotional);
+    }
+
+    setWatchlist(watchlistId) {
+        Storage.set('arbitrageWatchlist', watchlistId || null);
+        this.handleWatchlistUpdate({});
+    }
+
+    getWatchlist() {
+        const watchlistId = Storage.get('arbitrageWatchlist', null);
+        return Watchlists.get(watchlistId) ? watchlistId : null;
+    }
+
+    setMinTriangularMargin(margin) {
+        this.minTriangularMargin = margin;
+        Storage.set('arbitrageMinTriangularProfit', margin);
+    }
+
+    getMinTriangularMargin() {
+        return Storage.get('arbitrageMinTriangularProfit', this.minTriangularMargin);
+    }
 }
 
 // Create global instance
 const Arbitrage = new ArbitrageManager();
 
-// Auto-start monitoring if enabled
-document.addEventListener('DOMContentLoaded', () => {
-    const autoStart = Storage.get('arbitrageAutoStart', false);
-    if (autoStart) {
-        const watchlist = Portfolio.getPortfolioCoins();
-        Arbitrage.startMonitoring(watchlist.length > 0 ? watchlist : undefined);
-    }
-});
\ No newline at end of file
+// Re-evaluate monitored coins as live prices arrive
+document.addEventListener('priceUpdate', (event) => Arbitrage.handlePriceUpdate(event.detail));
+document.addEventListener('watchlistUpdate', (event) => Arbitrage.handleWatchlistUpdate(event.detail));
\ No newline at end of file
@@ -294,6 +294,81 @@ class ChartsModule {
         return chart;
     }
     
+    renderPortfolioHistoryChart(canvasId, series, currency = Storage.get('currency', 'usd')) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas || !series || series.length === 0) {
+            return null;
+        }
+        
+        this.destroyChart(canvasId);
+        
+        const ctx = canvas.getContext('2d');
+        const chartOptions = this.mergeOptions(this.defaultOptions, {
+            plugins: {
+                legend: {
+                    display: true
+                },
+                tooltip: {
+                    callbacks: {
+                        title: (tooltipItems) => Formatters.formatDate(new Date(tooltipItems[0].parsed.x)),
+                        label: (context) => `${context.dataset.label}: ${Formatters.formatCurrency(context.parsed.y, currency)}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'time',
+                    time: {
+                        displayFormats: {
+                            hour: 'HH:mm',
+                            day: 'MMM dd',
+                            week: 'MMM dd',
+                            month: 'MMM yyyy'
+                        }
+                    },
+                    ticks: {
+                        source: 'auto',
+                        maxTicksLimit: 8
+                    }
+                }
+            }
+        });
+        
+        const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+        gradient.addColorStop(0, 'rgba(59, 130, 246, 0.3)');
+        gradient.addColorStop(1, 'rgba(59, 130, 246, 0.05)');
+        
+        const chart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Valor',
+                    data: series.map(point => ({ x: point.timestamp, y: point.value })),
+                    borderColor: this.colorPalette.primary,
+                    backgroundColor: gradient,
+                    fill: true,
+                    tension: 0.3,
+                    pointRadius: 0,
+                    pointHoverRadius: 6,
+                    borderWidth: 2
+                }, {
+                    label: 'Capital investido',
+                    data: series.map(point => ({ x: point.timestamp, y: point.invested })),
+                    borderColor: this.colorPalette.warning,
+                    borderDash: [6, 4],
+                    fill: false,
+                    stepped: true,
+                    pointRadius: 0,
+                    borderWidth: 1.5
+                }]
+            },
+            options: chartOptions
+        });
+        
+        this.charts.set(canvasId, chart);
+        return chart;
+    }
+    
     renderMarketOverviewChart(canvasId, marketData) {
         const canvas = document.getElementById(canvasId);
         if (!canvas || !marketData) return null;
@@ -0,0 +1,149 @@
+/**
+ * Binance Exchange Adapter
+ * Public spot ticker, order book, book ticker listing and WebSocket ticker streams
+ */
+
+class BinanceAdapter extends ExchangeAdapter {
+    constructor() {
+        super({
+            id: 'binance',
+            name: 'Binance',
+            icon: 'activity',
+            apiUrl: 'https://api.binance.com/api/v3',
+            quoteCurrency: 'usdt',
+            fees: { maker: 0.001, taker: 0.001 }, // 0.1% fee
+            symbolMap: {
+                'bitcoin': 'BTC',
+                'ethereum': 'ETH',
+                'binancecoin': 'BNB',
+                'cardano': 'ADA',
+                'solana': 'SOL',
+                'ripple': 'XRP'
+            },
+            fiatFees: { deposit: 0, withdrawal: 0.01 }, // P2P/card off-ramp estimate
+            withdrawalProcessingMinutes: 5,
+            // Estimates from the public fee page; check before trading
+            networks: {
+                'bitcoin': { BTC: { withdrawalFee: 0.0002, depositFee: 0, minutes: 30 } },
+                'ethereum': { ERC20: { withdrawalFee: 0.0012, depositFee: 0, minutes: 5 } },
+                'binancecoin': { BSC: { withdrawalFee: 0.0005, depositFee: 0, minutes: 2 } },
+                'cardano': { ADA: { withdrawalFee: 0.8, depositFee: 0, minutes: 5 } },
+                'solana': { SOL: { withdrawalFee: 0.008, depositFee: 0, minutes: 1 } },
+                'ripple': { XRP: { withdrawalFee: 0.2, depositFee: 0, minutes: 1 } }
+            }
+        });
+    }
+
+    getSymbol(coinId) {
+        const base = this.symbolMap[coinId];
+        return base ? `${base}${this.quoteCurrency.toUpperCase()}` : null;
+    }
+
+    // USDT pairs are compared against USD prices
+    supportsCurrency(currency) {
+        return ['usd', 'usdt'].includes(currency.toLowerCase());
+    }
+
+    async fetchTicker(coinId) {
+        const symbol = this.getSymbol(coinId);
+        if (!symbol) return null;
+
+        const data = await this.fetchJSON(`${this.apiUrl}/ticker/bookTicker?symbol=${symbol}`);
+        const bid = parseFloat(data.bidPrice);
+        const ask = parseFloat(data.askPrice);
+
+        return this.createTicker((bid + ask) / 2, { bid, ask });
+    }
+
+    async fetchOrderBook(coinId, currency, depth = 20) {
+        const symbol = this.getSymbol(coinId);
+        if (!symbol) return null;
+
+        const data = await this.fetchJSON(`${this.apiUrl}/depth?symbol=${symbol}&limit=${depth}`);
+
+        return {
+            exchange: this.id,
+            bids: data.bids.map(([price, amount]) => [parseFloat(price), parseFloat(amount)]),
+            asks: data.asks.map(([price, amount]) => [parseFloat(price), parseFloat(amount)]),
+            quoteCurrency: this.quoteCurrency,
+            timestamp: Date.now()
+        };
+    }
+
+    supportsStreaming() {
+        return true;
+    }
+
+    getStreamUrl(coinIds) {
+        const streams = coinIds
+            .map(coinId => this.getSymbol(coinId))
+            .filter(Boolean)
+            .map(symbol => `${symbol.toLowerCase()}@ticker`);
+
+        return streams.length > 0 ? `wss://stream.binance.com:9443/stream?streams=${streams.join('/')}` : null;
+    }
+
+    parseStreamMessage(message) {
+        // Combined stream payloads are wrapped as { stream, data }
+        const data = message.data;
+        if (!data || data.e !== '24hrTicker') return null;
+
+        const quote = this.quoteCurrency.toUpperCase();
+        const coinId = data.s.endsWith(quote) ? this.getCoinIdForBase(data.s.slice(0, -quote.length)) : null;
+        if (!coinId) return null;
+
+        return {
+            coinId,
+            ticker: {
+                ...this.createTicker(parseFloat(data.c), {
+                    bid: parseFloat(data.b),
+                    ask: parseFloat(data.a),
+                    volume: parseFloat(data.q),
+                    timestamp: data.E
+                }),
+                change24h: parseFloat(data.P)
+            }
+        };
+    }
+
+    supportsMarkets() {
+        return true;
+    }
+
+    async fetchMarkets(assets = []) {
+        const universe = new Set(assets.map(asset => asset.toUpperCase()));
+
+        // Without a symbol the endpoint returns the book ticker of every pair
+        const data = await this.fetchJSON(`${this.apiUrl}/ticker/bookTicker`);
+
+        return data.map(ticker => {
+            const pair = this.splitSymbol(ticker.symbol, universe);
+            if (!pair) return null;
+
+            return {
+                symbol: ticker.symbol,
+                ...pair,
+                bid: parseFloat(ticker.bidPrice),
+                ask: parseFloat(ticker.askPrice),
+                bidQty: parseFloat(ticker.bidQty),
+                askQty: parseFloat(ticker.askQty)
+            };
+        }).filter(market => market && market.bid > 0 && market.ask > 0);
+    }
+
+    // Binance symbols have no separator, so split on a known quote asset
+    splitSymbol(symbol, universe) {
+        for (const quote of universe) {
+            if (!symbol.endsWith(quote)) continue;
+
+            const base = symbol.slice(0, -quote.length);
+            if (universe.has(base)) {
+                return { base, quote };
+            }
+        }
+
+        return null;
+    }
+}
+
+ExchangeRegistry.register(new BinanceAdapter());
@@ -0,0 +1,45 @@
+/**
+ * CoinGecko Exchange Adapter
+ * Aggregated market price used as the reference leg for arbitrage
+ */
+
+class CoinGeckoAdapter extends ExchangeAdapter {
+    constructor() {
+        super({
+            id: 'coingecko',
+            name: 'CoinGecko',
+            icon: 'trending-up',
+            apiUrl: 'https://api.coingecko.com/api/v3',
+            quoteCurrency: 'usd',
+            fees: { maker: 0.001, taker: 0.001 } // 0.1% fee
+        });
+    }
+
+    // CoinGecko is keyed by its own coin IDs and quotes any fiat
+    getSymbol(coinId) {
+        return coinId || null;
+    }
+
+    supportsCurrency(currency) {
+        return Formatters.isValidCurrency(currency);
+    }
+
+    async fetchTicker(coinId, currency = 'usd') {
+        // The price bus already fetched this coin for the current refresh
+        const cached = PriceBus.getPrice(coinId, currency);
+        if (cached) {
+            return this.createTicker(cached.price, { quoteCurrency: currency, timestamp: cached.timestamp });
+        }
+
+        const data = await this.fetchJSON(
+            `${this.apiUrl}/simple/price?ids=${coinId}&vs_currencies=${currency}`
+        );
+
+        const price = data[coinId]?.[currency];
+        if (!price) return null;
+
+        return this.createTicker(price, { quoteCurrency: currency });
+    }
+}
+
+ExchangeRegistry.register(new CoinGeckoAdapter());
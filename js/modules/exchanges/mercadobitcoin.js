@@ -0,0 +1,123 @@
+/**
+ * Mercado Bitcoin Exchange Adapter
+ * Public v4 ticker, order book and WebSocket ticker feed (BRL pairs)
+ */
+
+class MercadoBitcoinAdapter extends ExchangeAdapter {
+    constructor() {
+        super({
+            id: 'mercadobitcoin',
+            name: 'Mercado Bitcoin',
+            icon: 'dollar-sign',
+            apiUrl: 'https://api.mercadobitcoin.net/api/v4',
+            quoteCurrency: 'brl',
+            fees: { maker: 0.003, taker: 0.007 }, // 0.30% maker / 0.70% taker
+            symbolMap: {
+                'bitcoin': 'BTC',
+                'ethereum': 'ETH',
+                'ripple': 'XRP',
+                'solana': 'SOL',
+                'cardano': 'ADA',
+                'litecoin': 'LTC',
+                'chainlink': 'LINK',
+                'dogecoin': 'DOGE',
+                'tether': 'USDT',
+                'usd-coin': 'USDC'
+            },
+            fiatFees: { deposit: 0, withdrawal: 0.0199 }, // PIX deposit free, withdrawal estimate
+            withdrawalProcessingMinutes: 15,
+            // Estimates from the public fee page; check before trading
+            networks: {
+                'bitcoin': { BTC: { withdrawalFee: 0.0004, depositFee: 0, minutes: 30 } },
+                'ethereum': { ERC20: { withdrawalFee: 0.004, depositFee: 0, minutes: 5 } },
+                'ripple': { XRP: { withdrawalFee: 0.25, depositFee: 0, minutes: 1 } },
+                'solana': { SOL: { withdrawalFee: 0.01, depositFee: 0, minutes: 1 } },
+                'cardano': { ADA: { withdrawalFee: 1, depositFee: 0, minutes: 5 } },
+                'litecoin': { LTC: { withdrawalFee: 0.001, depositFee: 0, minutes: 15 } },
+                'chainlink': { ERC20: { withdrawalFee: 0.6, depositFee: 0, minutes: 5 } },
+                'dogecoin': { DOGE: { withdrawalFee: 5, depositFee: 0, minutes: 20 } },
+                'tether': { ERC20: { withdrawalFee: 6, depositFee: 0, minutes: 5 } },
+                'usd-coin': { ERC20: { withdrawalFee: 6, depositFee: 0, minutes: 5 } }
+            }
+        });
+    }
+
+    getSymbol(coinId) {
+        const base = this.symbolMap[coinId];
+        return base ? `${base}-${this.quoteCurrency.toUpperCase()}` : null;
+    }
+
+    async fetchTicker(coinId) {
+        const symbol = this.getSymbol(coinId);
+        if (!symbol) return null;
+
+        const data = await this.fetchJSON(`${this.apiUrl}/tickers?symbols=${symbol}`);
+        const ticker = Array.isArray(data) ? data[0] : null;
+        if (!ticker) return null;
+
+        return this.createTicker(parseFloat(ticker.last), {
+            bid: parseFloat(ticker.buy),
+            ask: parseFloat(ticker.sell),
+            volume: parseFloat(ticker.vol),
+            timestamp: ticker.date ? ticker.date * 1000 : Date.now()
+        });
+    }
+
+    supportsStreaming() {
+        return true;
+    }
+
+    getStreamUrl(coinIds) {
+        return coinIds.some(coinId => this.supports(coinId)) ? 'wss://ws.mercadobitcoin.net/ws' : null;
+    }
+
+    // The feed names markets quote-first, e.g. BRLBTC
+    getStreamId(coinId) {
+        const base = this.symbolMap[coinId];
+        return base ? `${this.quoteCurrency.toUpperCase()}${base}` : null;
+    }
+
+    getSubscribeMessages(coinIds) {
+        return coinIds
+            .map(coinId => this.getStreamId(coinId))
+            .filter(Boolean)
+            .map(id => ({ type: 'subscribe', subscription: { name: 'ticker', id } }));
+    }
+
+    parseStreamMessage(message) {
+        if (message.type !== 'ticker' || !message.id || !message.data) return null;
+
+        const quote = this.quoteCurrency.toUpperCase();
+        const coinId = message.id.startsWith(quote) ? this.getCoinIdForBase(message.id.slice(quote.length)) : null;
+        if (!coinId) return null;
+
+        const data = message.data;
+
+        return {
+            coinId,
+            ticker: this.createTicker(parseFloat(data.last), {
+                bid: parseFloat(data.buy),
+                ask: parseFloat(data.sell),
+                volume: parseFloat(data.vol),
+                timestamp: data.date ? data.date * 1000 : Date.now()
+            })
+        };
+    }
+
+    async fetchOrderBook(coinId, currency, depth = 20) {
+        const symbol = this.getSymbol(coinId);
+        if (!symbol) return null;
+
+        const data = await this.fetchJSON(`${this.apiUrl}/${symbol}/orderbook?limit=${depth}`);
+
+        return {
+            exchange: this.id,
+            bids: data.bids.map(([price, amount]) => [parseFloat(price), parseFloat(amount)]),
+            asks: data.asks.map(([price, amount]) => [parseFloat(price), parseFloat(amount)]),
+            quoteCurrency: this.quoteCurrency,
+            timestamp: Date.now()
+        };
+    }
+}
+
+ExchangeRegistry.register(new MercadoBitcoinAdapter());
@@ -0,0 +1,199 @@
+/**
+ * Exchange Adapter Registry
+ * Common interface for exchange integrations and the registry arbitrage is built from
+ */
+
+class ExchangeAdapter {
+    constructor(config = {}) {
+        if (!config.id) {
+            throw new Error('Exchange adapter requires an id');
+        }
+
+        this.id = config.id;
+        this.name = config.name || config.id;
+        this.icon = config.icon || 'trending-up';
+        this.apiUrl = config.apiUrl || null;
+        this.quoteCurrency = config.quoteCurrency || 'usd';
+        this.symbolMap = config.symbolMap || {};
+        this.simulated = config.simulated || false;
+        this.lane = 'background'; // Exchange polling is served after user-initiated requests, see withLane
+        this.fees = {
+            maker: 0.001,
+            taker: 0.001,
+            ...config.fees
+        };
+
+        // Fiat on/off-ramp fees as rates of the amount moved
+        this.fiatFees = {
+            deposit: 0,
+            withdrawal: 0,
+            ...config.fiatFees
+        };
+
+        // Per asset and network: { [coinId]: { [network]: { withdrawalFee, depositFee, minutes } } }
+        // Fees are in units of the asset, minutes is the expected confirmation time
+        this.networks = config.networks || {};
+        this.withdrawalProcessingMinutes = config.withdrawalProcessingMinutes || 0;
+    }
+
+    // Symbol Mapping
+    getSymbol(coinId) {
+        return this.symbolMap[coinId] || null;
+    }
+
+    supports(coinId) {
+        return this.getSymbol(coinId) !== null;
+    }
+
+    getCoinIdForBase(base) {
+        const match = Object.entries(this.symbolMap).find(([, symbol]) => symbol === base);
+        return match ? match[0] : null;
+    }
+
+    supportsCurrency(currency) {
+        return currency.toLowerCase() === this.quoteCurrency;
+    }
+
+    // Fee Schedule
+    getFeeRate(side = 'taker') {
+        return this.fees[side] ?? this.fees.taker;
+    }
+
+    getFiatFeeRate(direction = 'deposit') {
+        return this.fiatFees[direction] || 0;
+    }
+
+    // Transfer Fee Schedule
+    getNetworks(coinId) {
+        return this.networks[coinId] || {};
+    }
+
+    canTransfer(coinId) {
+        return Object.keys(this.getNetworks(coinId)).length > 0;
+    }
+
+    // Market Data (to be implemented by each adapter)
+    async fetchTicker(coinId, currency) {
+        throw new ExchangeError('fetchTicker not implemented', this.id);
+    }
+
+    async fetchOrderBook(coinId, currency, depth = 20) {
+        // Adapters without a public order book simply report none
+        return null;
+    }
+
+    // Every pair listed on the exchange, used for triangular arbitrage
+    supportsMarkets() {
+        return false;
+    }
+
+    async fetchMarkets(assets = []) {
+        // Returns [{ symbol, base, quote, bid, ask, bidQty, askQty }] with upper-case assets
+        return [];
+    }
+
+    // WebSocket ticker feed (optional)
+    supportsStreaming() {
+        return false;
+    }
+
+    getStreamUrl(coinIds) {
+        return null;
+    }
+
+    getSubscribeMessages(coinIds) {
+        // Sent once the socket opens, for feeds that subscribe after connecting
+        return [];
+    }
+
+    parseStreamMessage(message) {
+        // Returns { coinId, ticker } for ticker messages, null for anything else
+        return null;
+    }
+
+    // Helpers
+    createTicker(price, extra = {}) {
+        return {
+            exchange: this.id,
+            price: price,
+            bid: extra.bid ?? price,
+            ask: extra.ask ?? price,
+            volume: extra.volume ?? null,
+            quoteCurrency: extra.quoteCurrency || this.quoteCurrency,
+            timestamp: extra.timestamp || Date.now(),
+            simulated: this.simulated
+        };
+    }
+
+    withLane(lane) {
+        // Per-call view of the adapter whose requests go through the given priority lane
+        return Object.create(this, { lane: { value: lane } });
+    }
+
+    async fetchJSON(url, lane = this.lane) {
+        const response = await RateLimiter.fetch(url, {}, lane);
+
+        if (!response.ok) {
+            throw new ExchangeError(`HTTP ${response.status}: ${response.statusText}`, this.id, url);
+        }
+
+        return response.json();
+    }
+}
+
+class ExchangeRegistryModule {
+    constructor() {
+        this.adapters = new Map();
+    }
+
+    register(adapter) {
+        if (!(adapter instanceof ExchangeAdapter)) {
+            throw new Error('Only ExchangeAdapter instances can be registered');
+        }
+
+        if (this.adapters.has(adapter.id)) {
+            console.warn(`Exchange adapter '${adapter.id}' replaced`);
+        }
+
+        this.adapters.set(adapter.id, adapter);
+        return adapter;
+    }
+
+    unregister(exchangeId) {
+        return this.adapters.delete(exchangeId);
+    }
+
+    get(exchangeId) {
+        return this.adapters.get(exchangeId) || null;
+    }
+
+    has(exchangeId) {
+        return this.adapters.has(exchangeId);
+    }
+
+    getAdapters() {
+        return Array.from(this.adapters.values());
+    }
+
+    getIds() {
+        return Array.from(this.adapters.keys());
+    }
+
+    toObject() {
+        return Object.fromEntries(this.adapters);
+    }
+}
+
+// Custom Error Class
+class ExchangeError extends Error {
+    constructor(message, exchangeId, url = null) {
+        super(message);
+        this.name = 'ExchangeError';
+        this.exchangeId = exchangeId;
+        this.url = url;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+// Export for use in other modules
+const ExchangeRegistry = new ExchangeRegistryModule();
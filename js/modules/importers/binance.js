@@ -0,0 +1,48 @@
+/**
+ * Binance CSV Importer
+ * Spot trade history export, in both the current layout (quantities carry their asset, e.g. 0.001BTC)
+ * and the older one with separate Total and Fee Coin columns
+ */
+
+class BinanceCsvImporter extends CsvImporter {
+    constructor() {
+        super({
+            id: 'binance',
+            name: 'Binance',
+            description: 'Histórico de negociações spot (Orders → Trade History → Export)',
+            columns: {
+                date: ['date(utc)', 'date(utc+0)', 'date', 'time'],
+                pair: ['pair', 'market', 'symbol'],
+                side: ['side', 'type'],
+                price: ['price'],
+                amount: ['executed', 'amount'],
+                total: ['total', 'amount'],
+                fee: ['fee'],
+                feeAsset: ['fee coin', 'fee asset']
+            },
+            required: ['date', 'pair', 'side', 'price', 'amount'],
+            typeMap: { buy: 'buy', sell: 'sell' }
+        });
+    }
+
+    parseRow(row, context) {
+        const { base, quote } = this.splitPair(row.get('pair'), context);
+        const executed = this.parseAmountWithUnit(row.get('amount'));
+        const total = this.parseAmountWithUnit(row.get('total'));
+        const fee = this.parseAmountWithUnit(row.get('fee'));
+
+        return this.createTrade({
+            side: this.getType(row.get('side')),
+            base: executed.unit || base,
+            quote: total.unit || quote,
+            amount: executed.amount,
+            price: this.parseNumber(row.get('price')),
+            total: total.amount,
+            fee: fee.amount || 0,
+            feeAsset: row.get('feeAsset') || fee.unit,
+            timestamp: this.parseDate(row.get('date'))
+        }, context);
+    }
+}
+
+CsvImportRegistry.register(new BinanceCsvImporter());
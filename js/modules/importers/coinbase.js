@@ -0,0 +1,124 @@
+/**
+ * Coinbase CSV Importer
+ * Transaction history report: trades, sends and receives, rewards and conversions between assets
+ */
+
+class CoinbaseCsvImporter extends CsvImporter {
+    constructor() {
+        super({
+            id: 'coinbase',
+            name: 'Coinbase',
+            description: 'Relatório de transações (Profile → Statements → Transaction history)',
+            columns: {
+                id: ['id'],
+                date: ['timestamp'],
+                type: ['transaction type'],
+                asset: ['asset'],
+                amount: ['quantity transacted'],
+                currency: ['price currency', 'spot price currency'],
+                price: ['price at transaction', 'spot price at transaction'],
+                subtotal: ['subtotal'],
+                fee: ['fees and/or spread', 'fees'],
+                notes: ['notes']
+            },
+            required: ['date', 'type', 'asset', 'amount', 'price'],
+            typeMap: {
+                'buy': 'buy',
+                'advanced trade buy': 'buy',
+                'sell': 'sell',
+                'advanced trade sell': 'sell',
+                'convert': 'convert',
+                'send': 'transfer_out',
+                'withdrawal': 'transfer_out',
+                'receive': 'transfer_in',
+                'deposit': 'transfer_in',
+                'rewards income': 'staking',
+                'staking income': 'staking',
+                'inflation reward': 'staking',
+                'learning reward': 'airdrop',
+                'coinbase earn': 'airdrop',
+                'incentives rewards payout': 'airdrop'
+            }
+        });
+    }
+
+    parseRow(row, context) {
+        const asset = row.get('asset').toUpperCase();
+
+        // Fiat deposits and withdrawals don't touch the portfolio
+        if (context.isFiat(asset)) return [];
+
+        const type = this.getType(row.get('type'));
+        const coinId = this.requireCoin(asset, context);
+        const currency = this.requireCurrency(row.get('currency') || 'USD', context);
+        const amount = Math.abs(this.parseNumber(row.get('amount')));
+        const price = this.parseNumber(row.get('price'));
+        const fee = Math.abs(this.parseNumber(row.get('fee')) || 0);
+        const timestamp = this.parseDate(row.get('date'));
+        const externalId = row.get('id') || null;
+
+        if (!(amount > 0)) {
+            throw new ImportError('Quantidade inválida', this.id);
+        }
+
+        if (type === 'convert') {
+            return this.parseConversion(row, { coinId, currency, amount, price, fee, timestamp, externalId }, context);
+        }
+
+        const priced = type === 'buy' || type === 'sell' || type === 'staking' || type === 'airdrop';
+        return [{
+            coinId,
+            type,
+            amount,
+            price: priced ? price : null,
+            fee: type === 'buy' || type === 'sell' ? fee : 0,
+            currency,
+            timestamp,
+            externalId
+        }];
+    }
+
+    // 'Converted 0.5 ETH to 1,000.00 USDC': a sale of one asset and a purchase of the other at the same value
+    parseConversion(row, trade, context) {
+        const match = row.get('notes').match(/converted\s+([\d.,]+)\s+(\w+)\s+to\s+([\d.,]+)\s+(\w+)/i);
+        if (!match) {
+            throw new ImportError('Conversão sem destino nas notas', this.id);
+        }
+
+        if (!(trade.price > 0)) {
+            throw new ImportError('Preço ausente', this.id);
+        }
+
+        const received = this.parseNumber(match[3], '.');
+        const value = this.parseNumber(row.get('subtotal')) || trade.amount * trade.price;
+
+        if (!(received > 0)) {
+            throw new ImportError('Quantidade inválida', this.id);
+        }
+
+        return [
+            {
+                coinId: trade.coinId,
+                type: 'sell',
+                amount: trade.amount,
+                price: trade.price,
+                fee: trade.fee,
+                currency: trade.currency,
+                timestamp: trade.timestamp,
+                externalId: trade.externalId ? `${trade.externalId}:sell` : null
+            },
+            {
+                coinId: this.requireCoin(match[4].toUpperCase(), context),
+                type: 'buy',
+                amount: received,
+                price: Math.abs(value) / received,
+                fee: 0,
+                currency: trade.currency,
+                timestamp: trade.timestamp,
+                externalId: trade.externalId ? `${trade.externalId}:buy` : null
+            }
+        ];
+    }
+}
+
+CsvImportRegistry.register(new CoinbaseCsvImporter());
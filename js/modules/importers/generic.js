@@ -0,0 +1,84 @@
+/**
+ * Generic CSV Importer
+ * Any spreadsheet with one transaction per row; columns are guessed from common English and Portuguese
+ * headers and can be remapped in the import preview
+ */
+
+class GenericCsvImporter extends CsvImporter {
+    constructor() {
+        super({
+            id: 'generic',
+            name: 'Genérico',
+            description: 'Uma transação por linha: data, tipo, moeda (ou par), quantidade, preço, taxa',
+            columns: {
+                date: ['date', 'data', 'timestamp', 'datetime', 'data/hora', 'data e hora', 'time'],
+                type: ['type', 'tipo', 'side', 'lado', 'operação', 'operacao', 'operation'],
+                coin: ['coin', 'asset', 'symbol', 'moeda', 'ativo', 'cripto', 'token'],
+                pair: ['pair', 'par', 'market', 'mercado'],
+                amount: ['amount', 'quantity', 'qty', 'quantidade', 'volume'],
+                price: ['price', 'preço', 'preco', 'unit price', 'preço unitário', 'preco unitario'],
+                total: ['total', 'valor total', 'value', 'valor'],
+                fee: ['fee', 'fees', 'taxa', 'taxas'],
+                currency: ['currency', 'quote', 'fiat', 'moeda de cotação', 'cotação'],
+                note: ['note', 'notes', 'nota', 'observação', 'observacao', 'description', 'descrição']
+            },
+            required: ['date', 'type', 'amount'],
+            decimal: 'auto',
+            dayFirst: true,
+            utc: false,
+            autoDetect: false, // The fallback when no exchange layout matches
+            typeMap: {
+                'buy': 'buy', 'compra': 'buy', 'b': 'buy', 'c': 'buy',
+                'sell': 'sell', 'venda': 'sell', 's': 'sell', 'v': 'sell',
+                'transfer_in': 'transfer_in', 'deposit': 'transfer_in', 'depósito': 'transfer_in', 'deposito': 'transfer_in',
+                'receive': 'transfer_in', 'recebimento': 'transfer_in', 'transferência recebida': 'transfer_in',
+                'transfer_out': 'transfer_out', 'withdrawal': 'transfer_out', 'withdraw': 'transfer_out', 'saque': 'transfer_out',
+                'send': 'transfer_out', 'envio': 'transfer_out', 'transferência enviada': 'transfer_out',
+                'fee': 'fee', 'taxa': 'fee',
+                'staking': 'staking', 'reward': 'staking', 'rewards': 'staking', 'recompensa': 'staking', 'rendimento': 'staking',
+                'airdrop': 'airdrop'
+            }
+        });
+    }
+
+    // The coin can come from its own column or from a pair
+    getMissingFields(mapping) {
+        const missing = super.getMissingFields(mapping);
+        return mapping.coin >= 0 || mapping.pair >= 0 ? missing : [...missing, 'coin'];
+    }
+
+    parseRow(row, context) {
+        const type = this.getType(row.get('type'));
+        const pair = row.get('pair') ? this.splitPair(row.get('pair'), context) : null;
+        const base = pair?.base || row.get('coin').toUpperCase();
+        const quote = row.get('currency').toUpperCase() || pair?.quote || context.currency.toUpperCase();
+        const amount = Math.abs(this.parseNumber(row.get('amount')));
+        const price = this.parseNumber(row.get('price'));
+        const total = this.parseNumber(row.get('total'));
+        const fee = Math.abs(this.parseNumber(row.get('fee')) || 0);
+        const timestamp = this.parseDate(row.get('date'));
+
+        if (type === 'buy' || type === 'sell') {
+            const drafts = this.createTrade({ side: type, base, quote, amount, price, total, fee, timestamp }, context);
+            drafts[0].note = row.get('note');
+            return drafts;
+        }
+
+        if (!(amount > 0)) {
+            throw new ImportError('Quantidade inválida', this.id);
+        }
+
+        return [{
+            coinId: this.requireCoin(base, context),
+            type,
+            amount,
+            price: price > 0 && type !== 'fee' ? price : null,
+            fee: 0,
+            currency: context.getCurrency(quote) || context.currency,
+            timestamp,
+            note: row.get('note')
+        }];
+    }
+}
+
+CsvImportRegistry.register(new GenericCsvImporter());
@@ -0,0 +1,74 @@
+/**
+ * Kraken CSV Importer
+ * Trades export (History → Export → Trades), with Kraken's own asset codes such as XXBT and ZUSD
+ */
+
+class KrakenCsvImporter extends CsvImporter {
+    constructor() {
+        super({
+            id: 'kraken',
+            name: 'Kraken',
+            description: 'Exportação de negociações (History → Export → Trades)',
+            columns: {
+                id: ['txid'],
+                pair: ['pair'],
+                date: ['time'],
+                side: ['type'],
+                price: ['price'],
+                total: ['cost'],
+                fee: ['fee'],
+                amount: ['vol']
+            },
+            required: ['id', 'pair', 'date', 'side', 'price', 'amount'],
+            typeMap: { buy: 'buy', sell: 'sell' }
+        });
+
+        // Kraken's legacy asset codes
+        this.assetCodes = {
+            XXBT: 'BTC', XBT: 'BTC', XETH: 'ETH', XXDG: 'DOGE', XDG: 'DOGE', XXRP: 'XRP', XLTC: 'LTC',
+            XXLM: 'XLM', XETC: 'ETC', XZEC: 'ZEC', XXMR: 'XMR',
+            ZUSD: 'USD', ZEUR: 'EUR', ZGBP: 'GBP', ZCAD: 'CAD', ZJPY: 'JPY', ZAUD: 'AUD', ZCHF: 'CHF'
+        };
+
+        // Pair suffixes, prefixed codes first so 'XXBTZUSD' splits as XXBT / ZUSD
+        this.quoteCodes = ['ZUSD', 'ZEUR', 'ZGBP', 'ZCAD', 'ZJPY', 'ZAUD', 'ZCHF', 'USDT', 'USDC', 'USD', 'EUR', 'GBP', 'CAD', 'JPY', 'AUD', 'CHF', 'XXBT', 'XBT', 'XETH', 'ETH'];
+    }
+
+    getAsset(code) {
+        return this.assetCodes[code] || code;
+    }
+
+    // 'XXBTZUSD' and 'XBT/USD' alike -> ['BTC', 'USD']
+    splitKrakenPair(pair) {
+        const text = String(pair ?? '').trim().toUpperCase();
+
+        if (text.includes('/')) {
+            return text.split('/').map(code => this.getAsset(code));
+        }
+
+        const quote = this.quoteCodes.find(code => text.length > code.length && text.endsWith(code));
+        if (!quote) {
+            throw new ImportError(`Par não reconhecido: ${pair || '(vazio)'}`, this.id);
+        }
+
+        return [this.getAsset(text.slice(0, -quote.length)), this.getAsset(quote)];
+    }
+
+    parseRow(row, context) {
+        const [base, quote] = this.splitKrakenPair(row.get('pair'));
+
+        return this.createTrade({
+            side: this.getType(row.get('side')),
+            base,
+            quote,
+            amount: this.parseNumber(row.get('amount')),
+            price: this.parseNumber(row.get('price')),
+            total: this.parseNumber(row.get('total')),
+            fee: this.parseNumber(row.get('fee')) || 0,
+            timestamp: this.parseDate(row.get('date')),
+            externalId: row.get('id')
+        }, context);
+    }
+}
+
+CsvImportRegistry.register(new KrakenCsvImporter());
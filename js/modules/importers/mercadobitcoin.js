@@ -0,0 +1,58 @@
+/**
+ * Mercado Bitcoin CSV Importer
+ * Extrato de negociações: semicolon separated, decimal commas and Brasília local times
+ */
+
+class MercadoBitcoinCsvImporter extends CsvImporter {
+    constructor() {
+        super({
+            id: 'mercadobitcoin',
+            name: 'Mercado Bitcoin',
+            description: 'Extrato de negociações (Conta → Extrato → Exportar CSV)',
+            columns: {
+                date: ['data', 'data/hora', 'data e hora'],
+                side: ['tipo', 'operação', 'operacao', 'lado'],
+                pair: ['par', 'mercado', 'ativo'],
+                amount: ['quantidade', 'quantidade executada'],
+                price: ['preço unitário', 'preco unitario', 'preço', 'preco', 'preço médio'],
+                total: ['valor total', 'total'],
+                fee: ['taxa', 'tarifa'],
+                feeAsset: ['moeda da taxa']
+            },
+            required: ['date', 'side', 'pair', 'amount'],
+            decimal: ',',
+            dayFirst: true,
+            timeZone: '-03:00', // Brasília, whatever the importing browser's zone
+            defaultQuote: 'BRL',
+            typeMap: { compra: 'buy', venda: 'sell', buy: 'buy', sell: 'sell' }
+        });
+    }
+
+    // A lone dot could be a decimal point ('0.5') or a thousands separator ('1.000'), so it isn't guessed
+    parseNumber(value, decimal = this.decimal) {
+        const text = String(value ?? '').trim();
+        if (text.includes('.') && !text.includes(',')) {
+            throw new ImportError(`Número ambíguo: ${text} (use vírgula como separador decimal)`, this.id);
+        }
+
+        return super.parseNumber(value, decimal);
+    }
+
+    parseRow(row, context) {
+        const { base, quote } = this.splitPair(row.get('pair'), context);
+
+        return this.createTrade({
+            side: this.getType(row.get('side')),
+            base,
+            quote,
+            amount: this.parseNumber(row.get('amount')),
+            price: this.parseNumber(row.get('price')),
+            total: this.parseNumber(row.get('total')),
+            fee: this.parseNumber(row.get('fee')) || 0,
+            feeAsset: row.get('feeAsset') || null,
+            timestamp: this.parseDate(row.get('date'))
+        }, context);
+    }
+}
+
+CsvImportRegistry.register(new MercadoBitcoinCsvImporter());
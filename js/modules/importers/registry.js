@@ -0,0 +1,290 @@
+/**
+ * CSV Importer Registry
+ * Common interface for exchange trade-history CSV formats and the registry the portfolio import picks from
+ */
+
+class CsvImporter {
+    constructor(config = {}) {
+        if (!config.id) {
+            throw new Error('CSV importer requires an id');
+        }
+
+        this.id = config.id;
+        this.name = config.name || config.id;
+        this.description = config.description || '';
+        this.columns = config.columns || {}; // field -> header aliases, lower case, in order of preference
+        this.required = config.required || [];
+        this.decimal = config.decimal || '.'; // '.', ',' or 'auto'
+        this.dayFirst = config.dayFirst || false; // 15/01/2024 rather than 01/15/2024
+        this.utc = config.utc ?? true; // Timestamps without a zone are UTC
+        this.timeZone = config.timeZone || null; // Fixed offset such as '-03:00' for timestamps without a zone, over `utc`
+        this.typeMap = config.typeMap || {}; // Lower-case exchange label -> transaction type
+        this.defaultQuote = config.defaultQuote || null; // Quote of pairs given as a bare asset
+        this.autoDetect = config.autoDetect ?? true;
+    }
+
+    // Columns
+    getFields() {
+        return Object.keys(this.columns);
+    }
+
+    // field -> column index, -1 when the file doesn't have it
+    getMapping(headers) {
+        const normalized = headers.map(header => (header || '').trim().toLowerCase());
+        const taken = new Set();
+        const mapping = {};
+
+        // A header claimed by an earlier field isn't reused, so 'Amount' can be the quantity in one layout and the total in another
+        Object.entries(this.columns).forEach(([field, aliases]) => {
+            const index = aliases
+                .map(alias => normalized.indexOf(alias))
+                .find(i => i !== -1 && !taken.has(i));
+
+            mapping[field] = index ?? -1;
+            if (index !== undefined) taken.add(index);
+        });
+
+        return mapping;
+    }
+
+    getMissingFields(mapping) {
+        return this.required.filter(field => !(mapping[field] >= 0));
+    }
+
+    detect(headers) {
+        return this.autoDetect && this.getMissingFields(this.getMapping(headers)).length === 0;
+    }
+
+    // Row Parsing (to be implemented by each importer)
+    // Returns transaction drafts { coinId, type, amount, price, fee, currency, timestamp, externalId };
+    // an empty list skips the row, an ImportError rejects it
+    parseRow(row, context) {
+        throw new ImportError('parseRow not implemented', this.id);
+    }
+
+    // Helpers
+    parseNumber(value, decimal = this.decimal) {
+        let text = String(value ?? '').replace(/[^\d.,-]/g, '');
+        if (!text) return null;
+
+        if (decimal === 'auto') {
+            // With both separators the last one is the decimal point
+            decimal = text.includes(',') && text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+        }
+
+        text = decimal === ',' ?
+            text.replace(/\./g, '').replace(',', '.') :
+            text.replace(/,/g, '');
+
+        const number = parseFloat(text);
+        return isNaN(number) ? null : number;
+    }
+
+    // '0.00100000BTC' -> { amount: 0.001, unit: 'BTC' }
+    parseAmountWithUnit(value) {
+        const match = String(value ?? '').trim().match(/^(-?[\d.,]+)\s*([A-Za-z][A-Za-z0-9]*)?$/);
+        if (!match) return { amount: this.parseNumber(value), unit: null };
+
+        return {
+            amount: this.parseNumber(match[1]),
+            unit: match[2] ? match[2].toUpperCase() : null
+        };
+    }
+
+    parseDate(value) {
+        const text = String(value ?? '').trim();
+
+        // Unix time in seconds or milliseconds
+        if (/^\d{10}(\.\d+)?$/.test(text)) return new Date(parseFloat(text) * 1000);
+        if (/^\d{13}$/.test(text)) return new Date(Number(text));
+
+        const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?\s*(Z|UTC|[+-]\d{2}:?\d{2})?$/i);
+        const local = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+
+        let parts;
+        let zone = null;
+        if (iso) {
+            parts = [iso[1], iso[2], iso[3], iso[4], iso[5], iso[6]];
+            zone = iso[8] ? iso[8].toUpperCase() : this.timeZone;
+        } else if (local) {
+            const [day, month] = this.dayFirst ? [local[1], local[2]] : [local[2], local[1]];
+            parts = [local[3], month, day, local[4], local[5], local[6]];
+            zone = this.timeZone;
+        } else {
+            throw new ImportError(`Data inválida: ${text || '(vazia)'}`, this.id);
+        }
+
+        const [year, month, day, hours, minutes, seconds] = parts.map(part => Number(part) || 0);
+
+        // Date.UTC would roll 31/02 over into March
+        const calendar = new Date(Date.UTC(year, month - 1, day));
+        if (calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day) {
+            throw new ImportError(`Data inválida: ${text}`, this.id);
+        }
+
+        let date;
+        if (zone && zone !== 'Z' && zone !== 'UTC') {
+            const offset = zone.replace(':', '');
+            const sign = offset[0] === '-' ? -1 : 1;
+            const offsetMinutes = sign * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(3, 5)));
+            date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds) - offsetMinutes * 60000);
+        } else if (zone || this.utc) {
+            date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+        } else {
+            date = new Date(year, month - 1, day, hours, minutes, seconds);
+        }
+
+        if (isNaN(date.getTime())) {
+            throw new ImportError(`Data inválida: ${text}`, this.id);
+        }
+
+        return date;
+    }
+
+    getType(label) {
+        const type = this.typeMap[String(label ?? '').trim().toLowerCase()];
+        if (!type) {
+            throw new ImportError(`Tipo de operação não reconhecido: ${label || '(vazio)'}`, this.id);
+        }
+        return type;
+    }
+
+    // 'BTCUSDT', 'BTC/USDT', 'BTC-BRL' -> { base, quote }
+    splitPair(pair, context) {
+        const text = String(pair ?? '').trim().toUpperCase();
+        const separated = text.split(/[/\-_ ]/).filter(Boolean);
+
+        if (separated.length === 2) {
+            return { base: separated[0], quote: separated[1] };
+        }
+
+        const quote = context.quoteSymbols.find(symbol => text.length > symbol.length && text.endsWith(symbol));
+        if (quote) {
+            return { base: text.slice(0, -quote.length), quote };
+        }
+
+        if (this.defaultQuote && text) {
+            return { base: text, quote: this.defaultQuote };
+        }
+
+        throw new ImportError(`Par não reconhecido: ${pair || '(vazio)'}`, this.id);
+    }
+
+    requireCoin(symbol, context) {
+        const coinId = context.getCoinId(symbol);
+        if (!coinId) {
+            throw new ImportError(`Moeda não reconhecida: ${symbol || '(vazia)'}`, this.id);
+        }
+        return coinId;
+    }
+
+    // Prices are kept in fiat; stablecoin quotes count as their peg currency
+    requireCurrency(symbol, context) {
+        const currency = context.getCurrency(symbol);
+        if (!currency) {
+            throw new ImportError(`Par cotado em ${symbol} não suportado: use pares em moeda fiduciária ou stablecoin`, this.id);
+        }
+        return currency;
+    }
+
+    // A buy or sell plus, when the fee was paid in a coin, a fee transaction in that coin's units
+    createTrade({ side, base, quote, amount, price = null, total = null, fee = 0, feeAsset = null, timestamp, externalId = null }, context) {
+        const coinId = this.requireCoin(base, context);
+        const currency = this.requireCurrency(quote, context);
+
+        if (!(amount > 0)) {
+            throw new ImportError('Quantidade inválida', this.id);
+        }
+
+        const unitPrice = price > 0 ? price : total > 0 ? total / amount : null;
+        if (unitPrice === null) {
+            throw new ImportError('Preço ausente', this.id);
+        }
+
+        const drafts = [{
+            coinId,
+            type: side,
+            amount,
+            price: unitPrice,
+            fee: 0,
+            currency,
+            timestamp,
+            externalId
+        }];
+
+        if (fee > 0) {
+            const asset = (feeAsset || quote).toUpperCase();
+
+            if (asset === quote.toUpperCase() || context.getCurrency(asset) === currency) {
+                drafts[0].fee = fee;
+            } else {
+                drafts.push({
+                    coinId: this.requireCoin(asset, context),
+                    type: 'fee',
+                    amount: fee,
+                    price: null,
+                    fee: 0,
+                    currency,
+                    timestamp,
+                    externalId: externalId ? `${externalId}:fee` : null
+                });
+            }
+        }
+
+        return drafts;
+    }
+}
+
+class CsvImportRegistryModule {
+    constructor() {
+        this.importers = new Map();
+    }
+
+    register(importer) {
+        if (!(importer instanceof CsvImporter)) {
+            throw new Error('Only CsvImporter instances can be registered');
+        }
+
+        if (this.importers.has(importer.id)) {
+            console.warn(`CSV importer '${importer.id}' replaced`);
+        }
+
+        this.importers.set(importer.id, importer);
+        return importer;
+    }
+
+    unregister(importerId) {
+        return this.importers.delete(importerId);
+    }
+
+    get(importerId) {
+        return this.importers.get(importerId) || null;
+    }
+
+    getImporters() {
+        return Array.from(this.importers.values());
+    }
+
+    getIds() {
+        return Array.from(this.importers.keys());
+    }
+
+    // First importer whose required columns are all in the header row
+    detect(headers) {
+        return this.getImporters().find(importer => importer.detect(headers)) || null;
+    }
+}
+
+// Custom Error Class
+class ImportError extends Error {
+    constructor(message, importerId = null, line = null) {
+        super(message);
+        this.name = 'ImportError';
+        this.importerId = importerId;
+        this.line = line;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+// Export for use in other modules
+const CsvImportRegistry = new CsvImportRegistryModule();
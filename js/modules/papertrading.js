@@ -0,0 +1,356 @@
+/**
+ * Paper Trading Module
+ * Simulated execution of arbitrage opportunities against per-exchange balances
+ */
+
+class PaperTradingModule {
+    constructor() {
+        this.startingBalance = 10000; // Per exchange, in the account currency
+        this.currency = 'usd';
+        this.balances = {};
+        this.ledger = [];
+        this.maxLedgerEntries = 200;
+        this.settlementInterval = null;
+        this.settlementDelay = 15000; // Checks for arrived transfers
+        this.settling = null; // Run in progress; a slow sell quote must not let the next check settle the same transfer
+    }
+
+    init() {
+        console.log('🧪 Paper Trading Module initialized');
+        this.loadState();
+        this.startSettlement();
+        this.renderPanel();
+    }
+
+    loadState() {
+        const state = Storage.get('paperTrading', null);
+
+        if (state) {
+            this.currency = state.currency || this.currency;
+            this.startingBalance = state.startingBalance || this.startingBalance;
+            this.balances = state.balances || {};
+            this.ledger = state.ledger || [];
+        }
+
+        this.ensureBalances();
+    }
+
+    saveState() {
+        Storage.set('paperTrading', {
+            currency: this.currency,
+            startingBalance: this.startingBalance,
+            balances: this.balances,
+            ledger: this.ledger.slice(0, this.maxLedgerEntries)
+        });
+    }
+
+    // Balances
+    ensureBalances() {
+        ExchangeRegistry.getIds().forEach(exchangeId => {
+            if (!this.balances[exchangeId]) {
+                this.balances[exchangeId] = { cash: this.startingBalance, coins: {} };
+            }
+        });
+    }
+
+    getBalance(exchangeId) {
+        return this.balances[exchangeId] || { cash: 0, coins: {} };
+    }
+
+    getBalances() {
+        return { ...this.balances };
+    }
+
+    reset(startingBalance = this.startingBalance, currency = Storage.get('currency', 'usd')) {
+        if (!Validators.isPositiveNumber(startingBalance)) {
+            throw new PaperTradingError('Starting balance must be a positive number');
+        }
+
+        this.startingBalance = parseFloat(startingBalance);
+        this.currency = currency;
+        this.balances = {};
+        this.ledger = [];
+        this.ensureBalances();
+        this.saveState();
+        this.renderPanel();
+    }
+
+    // Execution
+    async execute(opportunity) {
+        const { coinId, buyExchange, sellExchange } = opportunity;
+        const buyAdapter = ExchangeRegistry.get(buyExchange);
+        const sellAdapter = ExchangeRegistry.get(sellExchange);
+
+        if (!buyAdapter || !sellAdapter) {
+            throw new PaperTradingError('Exchange not registered', opportunity);
+        }
+
+        const route = Arbitrage.getTransferRoute(coinId, buyExchange, sellExchange);
+        if (!route) {
+            throw new PaperTradingError(`No transfer route for ${coinId} from ${buyAdapter.name} to ${sellAdapter.name}`, opportunity);
+        }
+
+        // Routes are sized and priced in the display currency they were scanned in, the account may be in another
+        const scanCurrency = opportunity.currency || Storage.get('currency', 'usd');
+        const tradeNotional = await API.convertAmount(Arbitrage.getTradeNotional(), scanCurrency, this.currency, 'interactive');
+        const expectedProfit = opportunity.netProfit != null ?
+            await API.convertAmount(opportunity.netProfit, scanCurrency, this.currency, 'interactive') : null;
+
+        this.ensureBalances();
+        const balance = this.balances[buyExchange];
+        const notional = Math.min(tradeNotional, balance.cash);
+
+        if (notional <= 0) {
+            throw new PaperTradingError(`Insufficient ${this.currency.toUpperCase()} balance on ${buyAdapter.name}`, opportunity);
+        }
+
+        // Fill the buy leg at the current book (or ticker) price, not the one on screen
+        const fill = await this.quoteBuy(buyAdapter, coinId, notional, 'interactive');
+        const buyFee = fill.quote * buyAdapter.getFeeRate('taker');
+        const amount = (fill.quote - buyFee) / fill.price;
+        const networkFee = route.withdrawalFee + route.depositFee;
+        const now = Date.now();
+
+        balance.cash -= fill.quote;
+
+        const entry = {
+            id: `paper_${now}_${Math.random().toString(36).slice(2, 8)}`,
+            coinId,
+            buyExchange,
+            sellExchange,
+            currency: this.currency,
+            status: 'in_transit',
+            network: route.network,
+            openedAt: now,
+            arrivesAt: now + route.minutes * 60000,
+            closedAt: null,
+            notional: fill.quote,
+            buyPrice: fill.price,
+            buyFee,
+            amount,
+            networkFee,
+            arrivedAmount: Math.max(amount - networkFee, 0),
+            expectedProfit,
+            sellPrice: null,
+            sellFee: null,
+            proceeds: null,
+            pnl: null
+        };
+
+        this.ledger.unshift(entry);
+        this.saveState();
+        this.renderPanel();
+
+        return entry;
+    }
+
+    // `lane` is 'interactive' for trades the user is waiting on, 'background' for automatic settlement
+    async quoteBuy(adapter, coinId, notional, lane = 'background') {
+        const books = await Arbitrage.fetchOrderBooks(coinId, this.currency, lane);
+        const book = books[adapter.id];
+
+        if (book) {
+            const walk = Arbitrage.walkBookByQuote(book.asks, notional);
+            if (walk.amount > 0) {
+                return { price: walk.vwap, quote: walk.quote, bookWalked: true };
+            }
+        }
+
+        const ticker = await this.fetchTicker(adapter, coinId, lane);
+        return { price: ticker.ask, quote: notional, bookWalked: false };
+    }
+
+    async quoteSell(adapter, coinId, amount, lane = 'background') {
+        const books = await Arbitrage.fetchOrderBooks(coinId, this.currency, lane);
+        const book = books[adapter.id];
+
+        if (book) {
+            const walk = Arbitrage.walkBookByAmount(book.bids, amount);
+            if (walk.amount > 0) {
+                // Anything past the book's depth is filled at its last level
+                const worstBid = book.bids[book.bids.length - 1][0];
+                const quote = walk.quote + (amount - walk.amount) * worstBid;
+                return { price: quote / amount, quote, bookWalked: true };
+            }
+        }
+
+        const ticker = await this.fetchTicker(adapter, coinId, lane);
+        return { price: ticker.bid, quote: amount * ticker.bid, bookWalked: false };
+    }
+
+    async fetchTicker(adapter, coinId, lane = 'background') {
+        const prices = await Arbitrage.fetchPricesFromExchanges(coinId, this.currency, lane);
+        const ticker = prices[adapter.id];
+
+        if (!ticker) {
+            throw new PaperTradingError(`No ${coinId} price from ${adapter.name}`);
+        }
+
+        return ticker;
+    }
+
+    // Settlement of transfers in flight
+    startSettlement() {
+        this.stopSettlement();
+        this.settlementInterval = setInterval(() => this.settleArrivedTransfers(), this.settlementDelay);
+        this.settleArrivedTransfers();
+    }
+
+    stopSettlement() {
+        if (this.settlementInterval) {
+            clearInterval(this.settlementInterval);
+            this.settlementInterval = null;
+        }
+    }
+
+    // Concurrent callers share the run already in progress
+    settleArrivedTransfers() {
+        if (!this.settling) {
+            this.settling = this.runSettlement().finally(() => {
+                this.settling = null;
+            });
+        }
+
+        return this.settling;
+    }
+
+    async runSettlement() {
+        const now = Date.now();
+        const arrived = this.ledger.filter(entry => entry.status === 'in_transit' && entry.arrivesAt <= now);
+
+        for (const entry of arrived) {
+            try {
+                await this.settle(entry);
+            } catch (error) {
+                // Left in transit and retried on the next check
+                console.error(`Paper trade settlement failed for ${entry.id}:`, error);
+            }
+        }
+
+        if (arrived.length > 0) {
+            this.saveState();
+            this.renderPanel();
+        }
+    }
+
+    async settle(entry) {
+        const adapter = ExchangeRegistry.get(entry.sellExchange);
+        if (!adapter) {
+            entry.status = 'failed';
+            entry.closedAt = Date.now();
+            return entry;
+        }
+
+        this.ensureBalances();
+        const balance = this.balances[entry.sellExchange];
+
+        if (entry.arrivedAmount <= 0) {
+            entry.status = 'failed';
+            entry.closedAt = Date.now();
+            entry.pnl = -entry.notional;
+            return entry;
+        }
+
+        // The sell leg executes once the coins land, at that moment's price
+        const fill = await this.quoteSell(adapter, entry.coinId, entry.arrivedAmount);
+        const sellFee = fill.quote * adapter.getFeeRate('taker');
+
+        entry.sellPrice = fill.price;
+        entry.sellFee = sellFee;
+        entry.proceeds = fill.quote - sellFee;
+        entry.pnl = entry.proceeds - entry.notional;
+        entry.status = 'completed';
+        entry.closedAt = Date.now();
+
+        balance.cash += entry.proceeds;
+
+        const sign = entry.pnl >= 0 ? '+' : '';
+        Notifications.show(
+            `Paper trade ${entry.coinId} concluído: ${sign}${Formatters.formatCurrency(entry.pnl, entry.currency)}`,
+            entry.pnl >= 0 ? 'success' : 'warning'
+        );
+
+        return entry;
+    }
+
+    // Reporting
+    getLedger() {
+        return [...this.ledger];
+    }
+
+    getStats() {
+        const completed = this.ledger.filter(entry => entry.status === 'completed');
+        const realizedPnl = completed.reduce((sum, entry) => sum + entry.pnl, 0);
+        const inTransit = this.ledger.filter(entry => entry.status === 'in_transit');
+        const cash = Object.values(this.balances).reduce((sum, balance) => sum + balance.cash, 0);
+
+        return {
+            currency: this.currency,
+            trades: this.ledger.length,
+            completed: completed.length,
+            inTransit: inTransit.length,
+            winners: completed.filter(entry => entry.pnl > 0).length,
+            realizedPnl,
+            inTransitNotional: inTransit.reduce((sum, entry) => sum + entry.notional, 0),
+            totalCash: cash
+        };
+    }
+
+    // Display
+    renderPanel() {
+        const balancesEl = document.getElementById('paper-balances');
+        const ledgerEl = document.getElementById('paper-ledger');
+        const pnlEl = document.getElementById('paper-pnl');
+        if (!balancesEl || !ledgerEl) return;
+
+        const stats = this.getStats();
+
+        if (pnlEl) {
+            const sign = stats.realizedPnl >= 0 ? '+' : '';
+            pnlEl.textContent = `${sign}${Formatters.formatCurrency(stats.realizedPnl, this.currency)}`;
+            pnlEl.className = stats.realizedPnl >= 0 ? 'font-semibold text-green-400' : 'font-semibold text-red-400';
+        }
+
+        balancesEl.innerHTML = Object.entries(this.balances).map(([exchangeId, balance]) => `
+            <div class="flex justify-between text-sm">
+                <span class="text-gray-400">${ExchangeRegistry.get(exchangeId)?.name || exchangeId}</span>
+                <span class="font-mono">${Formatters.formatCurrency(balance.cash, this.currency)}</span>
+            </div>
+        `).join('');
+
+        const statusLabels = { in_transit: 'Em trânsito', completed: 'Concluído', failed: 'Falhou' };
+
+        ledgerEl.innerHTML = this.ledger.length === 0 ?
+            '<p class="text-sm text-gray-400">Nenhuma operação simulada ainda.</p>' :
+            this.ledger.slice(0, 10).map(entry => `
+                <div class="flex justify-between text-sm">
+                    <span>
+                        <span class="capitalize">${entry.coinId}</span>
+                        <span class="text-gray-400">${entry.buyExchange} → ${entry.sellExchange}</span>
+                    </span>
+                    <span class="font-mono ${entry.pnl === null ? 'text-gray-400' : entry.pnl >= 0 ? 'text-green-400' : 'text-red-400'}">
+                        ${entry.pnl === null ?
+                            `${statusLabels[entry.status]} · ${Formatters.formatTime(entry.arrivesAt)}` :
+                            Formatters.formatCurrency(entry.pnl, entry.currency)}
+                    </span>
+                </div>
+            `).join('');
+    }
+
+    destroy() {
+        this.stopSettlement();
+    }
+}
+
+// Custom Error Class
+class PaperTradingError extends Error {
+    constructor(message, opportunity = null) {
+        super(message);
+        this.name = 'PaperTradingError';
+        this.opportunity = opportunity;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+// Export for use in other modules
+const PaperTrading = new PaperTradingModule();
@@ -1,51 +1,105 @@
 /**
  * Portfolio Module
- * Manages user's cryptocurrency portfolio with detailed tracking
+ * Named portfolios, each a transaction ledger from which holdings, cost basis and realized/unrealized P&L are derived
  */
 
 class PortfolioModule {
     constructor() {
-        this.portfolio = new Map();
+        this.transactions = []; // Every portfolio's ledger, source of truth: see normalizeTransaction for the entry shape
+        this.portfolio = new Map(); // coinId -> position in the active view, see calculatePositions
+        this.portfolios = []; // { id, name, createdAt }, each persisted under its own ledger key
+        this.defaultPortfolio = { id: 'default', name: 'Principal' };
+        this.consolidatedId = 'all'; // Active view that rolls up every portfolio
+        this.activeId = this.defaultPortfolio.id;
+        this.maxNameLength = 40;
+        this.prices = {}; // coinId -> { price, change24h } from the last snapshots, for every portfolio
+        this.pricesCurrency = null;
+        this.rates = null; // Last exchange rates, for transactions entered in another currency
+        this.historicalRates = {}; // currency -> { from, fetched, days: { dayKey: BTC price } }, see loadHistoricalRates
+        this.maxRateHistoryDays = 365;
         this.totalValue = 0;
+        this.totalCost = 0;
         this.totalChange = 0;
         this.totalChangePercent = 0;
+        this.totalRealized = 0;
         this.lastUpdateTime = null;
         this.chartInstance = null;
+        this.dust = 1e-10; // Remaining amounts below this are treated as zero
+        this.costBasisMethod = 'average';
+        this.rebalanceDefaults = {
+            targets: [], // { id, weight, band } with id a coin or 'cash'; weights in percent. Empty means equal weight
+            driftBand: 5, // Percentage points a bucket may drift from its target, unless it sets its own band
+            minTradeSize: 10, // In the display currency; smaller trades are left out of the plan
+            feeRate: 0.1, // Percent of each trade, for fee estimates
+            cashCoin: 'tether', // Stablecoin the cash bucket is topped up with
+            driftAlerts: false
+        };
+        this.rebalanceSettings = { ...this.rebalanceDefaults };
+        this.lastDriftKey = '';
+        this.longTermDays = 365; // Lots held longer than this count as long-term gains
+        
+        // Which lots a disposal takes its cost from
+        this.costBasisMethods = {
+            average: 'Custo médio ponderado',
+            fifo: 'PEPS (primeiro a entrar, primeiro a sair)',
+            lifo: 'UEPS (último a entrar, primeiro a sair)',
+            specific: 'Lote específico'
+        };
+        
+        // Inflows add coins (and cost); outflows remove them
+        this.transactionTypes = {
+            buy: { direction: 1, label: 'Compra' },
+            sell: { direction: -1, label: 'Venda' },
+            transfer_in: { direction: 1, label: 'Transferência recebida' },
+            transfer_out: { direction: -1, label: 'Transferência enviada' },
+            fee: { direction: -1, label: 'Taxa' },
+            staking: { direction: 1, label: 'Recompensa de staking' },
+            airdrop: { direction: 1, label: 'Airdrop' }
+        };
     }
     
     init() {
         console.log('💼 Portfolio Module initialized');
         this.loadPortfolio();
+        this.loadRebalanceSettings();
         this.setupEventListeners();
     }
     
     setupEventListeners() {
         // Listen for portfolio updates
         document.addEventListener('portfolioUpdate', () => {
+            PriceBus.setCoins('portfolio', this.getTrackedCoins());
             this.updatePortfolioDisplay();
         });
+        
+        // Revalue holdings from the shared price snapshot instead of a separate fetch;
+        // snapshots always carry the display currency the portfolio is valued in
+        PriceBus.subscribe('portfolio', { coinIds: this.getTrackedCoins() }, (snapshot) => {
+            this.updatePortfolioValues(snapshot.prices, snapshot.currency);
+        });
     }
     
     // Core Portfolio Management
     loadPortfolio() {
         try {
-            const saved = Storage.get('portfolio', {});
-            this.portfolio.clear();
+            const method = Storage.get('costBasisMethod', 'average');
+            this.costBasisMethod = this.costBasisMethods[method] ? method : 'average';
+            this.historicalRates = Storage.get('portfolioHistoricalRates', {}) || {};
             
-            Object.entries(saved).forEach(([coinId, data]) => {
-                this.portfolio.set(coinId, {
-                    amount: data.amount || 0,
-                    buyPrice: data.buyPrice || null,
-                    buyDate: data.buyDate || new Date().toISOString(),
-                    currentPrice: data.currentPrice || 0,
-                    currentValue: 0,
-                    profitLoss: 0,
-                    profitLossPercent: 0,
-                    ...data
-                });
-            });
+            const saved = Storage.get('portfolios', null);
+            this.portfolios = Array.isArray(saved) && saved.length > 0 ? saved : this.migrateSinglePortfolio();
+            
+            this.transactions = this.portfolios.flatMap(portfolio =>
+                (Storage.get(this.getLedgerKey(portfolio.id), []) || [])
+                    .map(transaction => this.normalizeTransaction({ ...transaction, portfolioId: portfolio.id }))
+            );
+            
+            const activeId = Storage.get('activePortfolio', this.activeId);
+            this.activeId = activeId === this.consolidatedId || this.getPortfolio(activeId) ? activeId : this.portfolios[0].id;
+            
+            this.rebuildPositions();
             
-            console.log(`📊 Loaded ${this.portfolio.size} coins in portfolio`);
+            console.log(`📊 Loaded ${this.transactions.length} transactions in ${this.portfolios.length} portfolios`);
             return this.portfolio;
             
         } catch (error) {
@@ -54,21 +108,342 @@ class PortfolioModule {
         }
     }
     
+    getLedgerKey(portfolioId) {
+        return `portfolioLedger_${portfolioId}`;
+    }
+    
+    // The single ledger from before named portfolios becomes the default portfolio
+    migrateSinglePortfolio() {
+        const portfolios = [{ ...this.defaultPortfolio, createdAt: new Date().toISOString() }];
+        const ledger = Storage.get('portfolioLedger', null);
+        const transactions = Array.isArray(ledger) ? ledger : this.migrateLegacyPortfolio();
+        
+        Storage.set(this.getLedgerKey(this.defaultPortfolio.id), transactions);
+        Storage.set('portfolios', portfolios);
+        Storage.remove('portfolioLedger');
+        
+        return portfolios;
+    }
+    
+    // Holdings saved before the ledger become one buy each, at their average price
+    migrateLegacyPortfolio() {
+        const legacy = Storage.get('portfolio', {});
+        
+        const transactions = Object.entries(legacy || {})
+            .filter(([, data]) => data && data.amount > 0)
+            .map(([coinId, data]) => this.normalizeTransaction({
+                coinId,
+                type: 'buy',
+                amount: data.amount,
+                price: data.buyPrice || null,
+                currency: data.buyCurrency || 'usd',
+                timestamp: data.buyDate,
+                note: 'Migrado do portfólio anterior'
+            }));
+        
+        if (transactions.length > 0) {
+            Storage.remove('portfolio');
+            console.log(`📊 Migrated ${transactions.length} holdings to the transaction ledger`);
+        }
+        
+        return transactions;
+    }
+    
     savePortfolio() {
         try {
-            const portfolioObj = {};
-            this.portfolio.forEach((data, coinId) => {
-                portfolioObj[coinId] = data;
-            });
-            
-            Storage.set('portfolio', portfolioObj);
+            const stored = this.portfolios.map(portfolio =>
+                Storage.set(this.getLedgerKey(portfolio.id), this.transactions.filter(tx => tx.portfolioId === portfolio.id))
+            );
+            if (!Storage.set('portfolios', this.portfolios) || stored.includes(false)) {
+                throw new PortfolioError('Portfolio ledgers could not be stored');
+            }
+            Storage.set('activePortfolio', this.activeId);
+            this.rebuildPositions();
             
             // Dispatch update event
             document.dispatchEvent(new CustomEvent('portfolioUpdate'));
             
+            return true;
         } catch (error) {
             console.error('Failed to save portfolio:', error);
+            return false;
+        }
+    }
+    
+    // Portfolios
+    getPortfolios() {
+        return this.portfolios;
+    }
+    
+    getPortfolio(portfolioId) {
+        return this.portfolios.find(portfolio => portfolio.id === portfolioId) || null;
+    }
+    
+    getActivePortfolioId() {
+        return this.activeId;
+    }
+    
+    isConsolidated() {
+        return this.activeId === this.consolidatedId;
+    }
+    
+    // The consolidated view has no single portfolio to write to
+    getWritablePortfolioId() {
+        return this.isConsolidated() ? null : this.activeId;
+    }
+    
+    validatePortfolioName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        
+        if (!trimmed || trimmed.length > this.maxNameLength) {
+            throw new PortfolioError(`Portfolio name must have 1 to ${this.maxNameLength} characters`);
+        }
+        
+        const taken = this.portfolios.some(portfolio =>
+            portfolio.id !== exceptId && portfolio.name.toLowerCase() === trimmed.toLowerCase()
+        );
+        if (taken) {
+            throw new PortfolioError(`A portfolio named '${trimmed}' already exists`);
+        }
+        
+        return trimmed;
+    }
+    
+    createPortfolio(name) {
+        const portfolio = {
+            id: `portfolio_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+            name: this.validatePortfolioName(name),
+            createdAt: new Date().toISOString()
+        };
+        
+        this.portfolios.push(portfolio);
+        this.savePortfolio();
+        
+        return portfolio;
+    }
+    
+    renamePortfolio(portfolioId, name) {
+        const portfolio = this.getPortfolio(portfolioId);
+        if (!portfolio) {
+            throw new PortfolioError('Portfolio not found');
         }
+        
+        portfolio.name = this.validatePortfolioName(name, portfolioId);
+        this.savePortfolio();
+        
+        return portfolio;
+    }
+    
+    // Takes the portfolio's transactions with it
+    removePortfolio(portfolioId) {
+        if (!this.getPortfolio(portfolioId)) {
+            throw new PortfolioError('Portfolio not found');
+        }
+        
+        if (this.portfolios.length === 1) {
+            throw new PortfolioError('The last portfolio cannot be removed');
+        }
+        
+        this.portfolios = this.portfolios.filter(portfolio => portfolio.id !== portfolioId);
+        this.transactions = this.transactions.filter(tx => tx.portfolioId !== portfolioId);
+        Storage.remove(this.getLedgerKey(portfolioId));
+        
+        if (this.activeId === portfolioId) {
+            this.activeId = this.portfolios[0].id;
+        }
+        
+        this.savePortfolio();
+        this.updatePortfolioValues();
+        
+        return true;
+    }
+    
+    setActivePortfolio(portfolioId) {
+        if (portfolioId !== this.consolidatedId && !this.getPortfolio(portfolioId)) {
+            throw new PortfolioError('Portfolio not found');
+        }
+        
+        this.activeId = portfolioId;
+        this.savePortfolio();
+        this.updatePortfolioValues();
+    }
+    
+    // Transaction Ledger
+    normalizeTransaction(data) {
+        return {
+            id: data.id || `tx_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            portfolioId: data.portfolioId || this.defaultPortfolio.id,
+            coinId: data.coinId,
+            type: data.type,
+            amount: Number(data.amount), // Coin units, always positive
+            price: data.price !== null && data.price !== undefined && data.price !== '' ? Number(data.price) : null, // Per coin, in `currency`
+            fee: Number(data.fee) || 0, // In `currency`; a 'fee' transaction is instead paid in coin units
+            currency: (data.currency || 'usd').toLowerCase(),
+            timestamp: new Date(data.timestamp || Date.now()).toISOString(),
+            lotIds: Array.isArray(data.lotIds) ? [...data.lotIds] : [], // Acquisitions a disposal takes under the specific lot method
+            note: data.note || '',
+            importId: data.importId || null // Source row of CSV imports, so importing the same file again skips it
+        };
+    }
+    
+    validateTransaction(transaction) {
+        if (!this.getPortfolio(transaction.portfolioId)) {
+            throw new PortfolioError('Transaction requires an existing portfolio', transaction);
+        }
+        
+        if (!transaction.coinId) {
+            throw new PortfolioError('Transaction requires a coin', transaction);
+        }
+        
+        if (!this.transactionTypes[transaction.type]) {
+            throw new PortfolioError(`Unknown transaction type '${transaction.type}'`, transaction);
+        }
+        
+        if (!Validators.isPositiveNumber(transaction.amount)) {
+            throw new PortfolioError('Transaction amount must be positive', transaction);
+        }
+        
+        if (transaction.price !== null && !(transaction.price >= 0)) {
+            throw new PortfolioError('Transaction price cannot be negative', transaction);
+        }
+        
+        if (transaction.type === 'sell' && transaction.price === null) {
+            throw new PortfolioError('A sale requires a price', transaction);
+        }
+        
+        if (!(transaction.fee >= 0)) {
+            throw new PortfolioError('Transaction fee cannot be negative', transaction);
+        }
+        
+        if (!Formatters.isValidCurrency(transaction.currency)) {
+            throw new PortfolioError(`Unsupported currency '${transaction.currency}'`, transaction);
+        }
+        
+        if (isNaN(new Date(transaction.timestamp).getTime())) {
+            throw new PortfolioError('Invalid transaction date', transaction);
+        }
+        
+        if (transaction.lotIds.length > 0 && this.transactionTypes[transaction.type].direction > 0) {
+            throw new PortfolioError('Only disposals can select lots', transaction);
+        }
+    }
+    
+    // Outflows can't take more than the same portfolio held at that point in time
+    validateLedger(coinId, portfolioId, transactions) {
+        const position = this.calculatePosition(
+            coinId,
+            transactions.filter(tx => tx.coinId === coinId && tx.portfolioId === portfolioId)
+        );
+        
+        if (position.shortfall > this.dust) {
+            throw new PortfolioError(
+                `Ledger for ${coinId} disposes of ${position.shortfall} more than was held`,
+                position.shortfallTransaction
+            );
+        }
+    }
+    
+    async addTransaction(data) {
+        if (!data.portfolioId && !this.getWritablePortfolioId()) {
+            throw new PortfolioError('Choose a portfolio for the transaction', data);
+        }
+        
+        const transaction = this.normalizeTransaction({
+            currency: Storage.get('currency', 'usd'),
+            portfolioId: this.getWritablePortfolioId(),
+            ...data
+        });
+        
+        // Trades without a price are recorded at the current market price
+        if ((transaction.type === 'buy' || transaction.type === 'sell') && transaction.price === null) {
+            const priceData = await API.getCurrentPrice(transaction.coinId, transaction.currency);
+            if (!priceData || !priceData[transaction.currency]) {
+                throw new PortfolioError('Coin not found', transaction);
+            }
+            transaction.price = priceData[transaction.currency];
+        }
+        
+        this.validateTransaction(transaction);
+        this.validateLedger(transaction.coinId, transaction.portfolioId, [...this.transactions, transaction]);
+        
+        this.transactions.push(transaction);
+        this.savePortfolio();
+        this.updatePortfolioValues();
+        
+        // Analytics.trackEvent('portfolio_transaction', 'portfolio', transaction.type, transaction.coinId);
+        
+        return transaction;
+    }
+    
+    // Bulk entry for imports: nothing is kept unless every transaction and the resulting ledgers are valid
+    addTransactions(list) {
+        const transactions = list.map(data => this.normalizeTransaction({
+            currency: Storage.get('currency', 'usd'),
+            portfolioId: this.getWritablePortfolioId(),
+            ...data
+        }));
+        
+        transactions.forEach(transaction => this.validateTransaction(transaction));
+        
+        const combined = [...this.transactions, ...transactions];
+        new Set(transactions.map(tx => `${tx.portfolioId}\u0000${tx.coinId}`)).forEach(key => {
+            const [portfolioId, coinId] = key.split('\u0000');
+            this.validateLedger(coinId, portfolioId, combined);
+        });
+        
+        this.transactions = combined;
+        this.savePortfolio();
+        this.updatePortfolioValues();
+        
+        return transactions;
+    }
+    
+    updateTransaction(transactionId, changes) {
+        const index = this.transactions.findIndex(tx => tx.id === transactionId);
+        if (index === -1) {
+            throw new PortfolioError('Transaction not found', { id: transactionId });
+        }
+        
+        const previous = this.transactions[index];
+        const transaction = this.normalizeTransaction({ ...previous, ...changes, id: transactionId });
+        const ledger = this.transactions.map(tx => tx.id === transactionId ? transaction : tx);
+        
+        this.validateTransaction(transaction);
+        this.validateLedger(transaction.coinId, transaction.portfolioId, ledger);
+        if (previous.coinId !== transaction.coinId || previous.portfolioId !== transaction.portfolioId) {
+            this.validateLedger(previous.coinId, previous.portfolioId, ledger);
+        }
+        
+        this.transactions = ledger;
+        this.savePortfolio();
+        this.updatePortfolioValues();
+        
+        return transaction;
+    }
+    
+    removeTransaction(transactionId) {
+        const transaction = this.transactions.find(tx => tx.id === transactionId);
+        if (!transaction) {
+            return false;
+        }
+        
+        // Removing a buy can leave a later sale uncovered
+        const ledger = this.transactions.filter(tx => tx.id !== transactionId);
+        this.validateLedger(transaction.coinId, transaction.portfolioId, ledger);
+        
+        this.transactions = ledger;
+        this.savePortfolio();
+        this.updatePortfolioValues();
+        
+        return true;
+    }
+    
+    // Of the active view unless a portfolio is given
+    getTransactions(coinId = null, portfolioId = this.activeId) {
+        return this.transactions
+            .filter(tx => portfolioId === this.consolidatedId || tx.portfolioId === portfolioId)
+            .filter(tx => !coinId || tx.coinId === coinId)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     }
     
     async addCoin(coinId, amount, buyPrice = null) {
@@ -76,131 +451,531 @@ class PortfolioModule {
             throw new Error('Invalid coin data');
         }
         
-        try {
-            // Validate coin exists
-            const coinData = await API.getCurrentPrice(coinId);
-            if (!coinData) {
-                throw new Error('Coin not found');
+        // Each purchase is its own entry; nothing is averaged away
+        await this.addTransaction({ coinId, type: 'buy', amount, price: buyPrice });
+        return true;
+    }
+    
+    removeCoin(coinId) {
+        // The consolidated view would take the coin's history out of every portfolio at once
+        if (!this.getWritablePortfolioId()) {
+            throw new PortfolioError('Choose a portfolio to remove the coin from');
+        }
+        
+        const removed = new Set(this.getTransactions(coinId));
+        if (removed.size === 0) {
+            return false;
+        }
+        
+        this.transactions = this.transactions.filter(tx => !removed.has(tx));
+        this.savePortfolio();
+        this.updatePortfolioValues();
+        
+        // Analytics.trackEvent('portfolio_remove_coin', 'portfolio', 'remove_coin', coinId);
+        
+        return true;
+    }
+    
+    // Recorded as a transfer, so the ledger still explains the new amount
+    async updateCoinAmount(coinId, newAmount) {
+        const position = this.portfolio.get(coinId);
+        if (!position || newAmount < 0) {
+            return false;
+        }
+        
+        const difference = newAmount - position.amount;
+        if (Math.abs(difference) <= this.dust) {
+            return true;
+        }
+        
+        await this.addTransaction({
+            coinId,
+            type: difference > 0 ? 'transfer_in' : 'transfer_out',
+            amount: Math.abs(difference),
+            note: 'Ajuste de quantidade'
+        });
+        
+        return true;
+    }
+    
+    // Cost Basis
+    setCostBasisMethod(method) {
+        if (!this.costBasisMethods[method]) {
+            throw new PortfolioError(`Unknown cost basis method '${method}'`);
+        }
+        
+        this.costBasisMethod = method;
+        Storage.set('costBasisMethod', method);
+        
+        // Realized gains of every past disposal depend on the method
+        this.rebuildPositions();
+        this.updatePortfolioValues();
+        document.dispatchEvent(new CustomEvent('portfolioUpdate'));
+    }
+    
+    getCostBasisMethod() {
+        return this.costBasisMethod;
+    }
+    
+    // Lots still held, oldest first, for picking a specific lot to sell
+    // Lots belong to one portfolio, so a sale can only pick from its own
+    getOpenLots(coinId, portfolioId = this.activeId) {
+        const position = portfolioId === this.activeId ?
+            this.portfolio.get(coinId) :
+            this.calculatePositions(this.getTransactions(coinId, portfolioId)).get(coinId);
+        if (!position) return [];
+        
+        return [...position.lots].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+    
+    // Sales and coins spent on fees, grouped by calendar month (Brazilian monthly reporting) or year
+    getRealizedGains({ groupBy = 'year', from = null, to = null, coinId = null } = {}) {
+        const start = from ? new Date(from).getTime() : -Infinity;
+        const end = to ? new Date(to).getTime() : Infinity;
+        
+        const disposals = Array.from(this.portfolio.values())
+            .filter(position => !coinId || position.coinId === coinId)
+            .flatMap(position => position.disposals)
+            .filter(disposal => {
+                const time = new Date(disposal.timestamp).getTime();
+                return time >= start && time <= end;
+            })
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        
+        const emptyTotals = () => ({ proceeds: 0, cost: 0, fees: 0, gain: 0, shortTermGain: 0, longTermGain: 0, count: 0 });
+        const addTo = (totals, disposal) => {
+            totals.proceeds += disposal.proceeds;
+            totals.cost += disposal.cost;
+            totals.fees += disposal.fees;
+            totals.gain += disposal.gain;
+            totals.shortTermGain += disposal.shortTermGain;
+            totals.longTermGain += disposal.longTermGain;
+            totals.count++;
+        };
+        
+        const total = emptyTotals();
+        const periods = new Map();
+        
+        disposals.forEach(disposal => {
+            const date = new Date(disposal.timestamp);
+            const period = groupBy === 'month' ?
+                `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}` :
+                String(date.getFullYear());
+            
+            if (!periods.has(period)) {
+                periods.set(period, { period, ...emptyTotals() });
+            }
+            
+            addTo(periods.get(period), disposal);
+            addTo(total, disposal);
+        });
+        
+        return {
+            method: this.costBasisMethod,
+            currency: Storage.get('currency', 'usd'),
+            groupBy,
+            total,
+            periods: Array.from(periods.values()),
+            disposals
+        };
+    }
+    
+    // Position Calculations
+    // Replays a coin's transactions in date order. Acquisitions open cost lots; outflows consume them
+    // according to `method`. Values are in `currency`, see getTransactionRate for the conversion.
+    calculatePosition(coinId, transactions, currency = Storage.get('currency', 'usd'), rates = this.rates, method = this.costBasisMethod) {
+        const ordered = [...transactions].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const position = {
+            coinId,
+            amount: 0,
+            costBasis: 0,
+            averageCost: 0,
+            realizedPnL: 0,
+            fees: 0,
+            income: 0, // Market value of staking rewards and airdrops when received
+            costKnown: true, // False when a transaction's currency had no exchange rate
+            shortfall: 0,
+            shortfallTransaction: null,
+            transactionCount: ordered.length,
+            firstTransaction: ordered[0]?.timestamp || null,
+            lots: [],
+            disposals: [] // Realized gain of each sale and coin fee, see recordDisposal
+        };
+        
+        ordered.forEach(transaction => {
+            const rate = this.getTransactionRate(transaction, currency, rates);
+            if (rate === null && (transaction.price !== null || transaction.fee > 0)) {
+                position.costKnown = false;
             }
             
-            const currentPrice = coinData.usd || 0;
-            const effectiveBuyPrice = buyPrice || currentPrice;
+            const price = transaction.price !== null && rate !== null ? transaction.price * rate : null;
+            const fee = rate !== null ? transaction.fee * rate : 0;
+            position.fees += fee;
             
-            // Check if coin already exists in portfolio
-            if (this.portfolio.has(coinId)) {
-                const existing = this.portfolio.get(coinId);
+            if (this.transactionTypes[transaction.type].direction > 0) {
+                // Received coins without a price (e.g. transfers from elsewhere) carry zero cost
+                const cost = (price || 0) * transaction.amount + fee;
                 
-                // Calculate average buy price
-                const totalValue = (existing.amount * existing.buyPrice) + (amount * effectiveBuyPrice);
-                const totalAmount = existing.amount + amount;
-                const avgBuyPrice = totalValue / totalAmount;
-                
-                existing.amount = totalAmount;
-                existing.buyPrice = avgBuyPrice;
-                existing.currentPrice = currentPrice;
+                if (transaction.type === 'staking' || transaction.type === 'airdrop') {
+                    position.income += (price || 0) * transaction.amount;
+                }
                 
-                this.portfolio.set(coinId, existing);
-            } else {
-                // Add new coin
-                this.portfolio.set(coinId, {
-                    amount: amount,
-                    buyPrice: effectiveBuyPrice,
-                    buyDate: new Date().toISOString(),
-                    currentPrice: currentPrice,
-                    currentValue: amount * currentPrice,
-                    profitLoss: (currentPrice - effectiveBuyPrice) * amount,
-                    profitLossPercent: ((currentPrice - effectiveBuyPrice) / effectiveBuyPrice) * 100
+                position.lots.push({
+                    transactionId: transaction.id,
+                    timestamp: transaction.timestamp,
+                    amount: transaction.amount,
+                    unitCost: cost / transaction.amount
                 });
+                position.amount += transaction.amount;
+                position.costBasis += cost;
+                return;
             }
             
-            this.savePortfolio();
-            this.updatePortfolioValues();
+            const disposed = Math.min(transaction.amount, position.amount);
+            if (transaction.amount - disposed > position.shortfall) {
+                position.shortfall = transaction.amount - disposed;
+                position.shortfallTransaction = transaction;
+            }
             
-            // Analytics.trackEvent('portfolio_add_coin', 'portfolio', 'add_coin', coinId);
+            const consumed = this.consumeLots(position, disposed, method, transaction.lotIds);
+            const cost = consumed.reduce((sum, lot) => sum + lot.cost, 0);
             
-            return true;
+            switch (transaction.type) {
+                case 'sell':
+                    // Proceeds in a currency without a rate can't be compared to cost
+                    if (price !== null) {
+                        const gain = price * disposed - fee - cost;
+                        position.realizedPnL += gain;
+                        this.recordDisposal(position, transaction, consumed, price * disposed, fee, gain);
+                    }
+                    break;
+                case 'fee':
+                    // Coins spent on fees are a cost with nothing received for them
+                    position.realizedPnL -= cost + fee;
+                    position.fees += cost;
+                    this.recordDisposal(position, transaction, consumed, 0, fee, -(cost + fee));
+                    break;
+                case 'transfer_out':
+                default:
+                    // Cost leaves with the coins; a transfer fee is the only loss
+                    position.realizedPnL -= fee;
+                    break;
+            }
+        });
+        
+        position.averageCost = position.amount > this.dust ? position.costBasis / position.amount : 0;
+        
+        if (position.amount <= this.dust) {
+            position.amount = 0;
+            position.costBasis = 0;
+            position.lots = [];
+        }
+        
+        return position;
+    }
+    
+    // Takes `amount` out of the open lots and returns the part used from each one
+    consumeLots(position, amount, method = 'average', lotIds = []) {
+        if (amount <= 0 || position.amount <= 0) return [];
+        
+        const consumed = [];
+        const take = (lot, used) => {
+            if (used <= 0) return;
             
-        } catch (error) {
-            console.error('Failed to add coin to portfolio:', error);
-            throw error;
+            consumed.push({
+                transactionId: lot.transactionId,
+                timestamp: lot.timestamp,
+                amount: used,
+                unitCost: lot.unitCost,
+                cost: used * lot.unitCost
+            });
+            lot.amount -= used;
+        };
+        
+        if (method === 'average') {
+            // Every lot gives up the same share, so the remaining average cost is unchanged
+            const ratio = Math.min(amount / position.amount, 1);
+            position.lots.forEach(lot => take(lot, lot.amount * ratio));
+        } else {
+            const byDate = [...position.lots].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            let order = method === 'lifo' ? byDate.reverse() : byDate;
+            
+            // Chosen lots go first; anything they don't cover falls back to FIFO
+            if (method === 'specific' && lotIds.length > 0) {
+                const chosen = lotIds
+                    .map(id => order.find(lot => lot.transactionId === id))
+                    .filter(Boolean);
+                order = [...chosen, ...order.filter(lot => !chosen.includes(lot))];
+            }
+            
+            let remaining = amount;
+            order.forEach(lot => {
+                const used = Math.min(lot.amount, remaining);
+                take(lot, used);
+                remaining -= used;
+            });
+        }
+        
+        const cost = consumed.reduce((sum, lot) => sum + lot.cost, 0);
+        
+        position.lots = position.lots.filter(lot => lot.amount > this.dust);
+        position.amount -= amount;
+        position.costBasis -= cost;
+        
+        return consumed;
+    }
+    
+    recordDisposal(position, transaction, consumed, proceeds, fees, gain) {
+        const cost = consumed.reduce((sum, lot) => sum + lot.cost, 0);
+        const amount = consumed.reduce((sum, lot) => sum + lot.amount, 0);
+        const soldAt = new Date(transaction.timestamp).getTime();
+        
+        // Gain is split between holding periods in proportion to the coins from each
+        const lots = consumed.map(lot => ({
+            ...lot,
+            heldDays: Math.floor((soldAt - new Date(lot.timestamp).getTime()) / 86400000)
+        }));
+        const longTermAmount = lots
+            .filter(lot => lot.heldDays > this.longTermDays)
+            .reduce((sum, lot) => sum + lot.amount, 0);
+        const longTermShare = amount > 0 ? longTermAmount / amount : 0;
+        
+        position.disposals.push({
+            transactionId: transaction.id,
+            coinId: position.coinId,
+            type: transaction.type,
+            timestamp: transaction.timestamp,
+            amount,
+            proceeds,
+            cost,
+            fees,
+            gain,
+            shortTermGain: gain * (1 - longTermShare),
+            longTermGain: gain * longTermShare,
+            lots
+        });
+    }
+    
+    // coinId -> position. Lots never cross portfolios, so each portfolio is replayed on its own
+    // and the results summed per coin.
+    calculatePositions(transactions, currency = Storage.get('currency', 'usd'), rates = this.rates) {
+        const positions = new Map();
+        const groups = new Map();
+        
+        transactions.forEach(tx => {
+            const key = `${tx.portfolioId}\u0000${tx.coinId}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(tx);
+        });
+        
+        groups.forEach(group => {
+            const coinId = group[0].coinId;
+            const position = this.calculatePosition(coinId, group, currency, rates);
+            positions.set(coinId, positions.has(coinId) ? this.mergePositions(positions.get(coinId), position) : position);
+        });
+        
+        return positions;
+    }
+    
+    mergePositions(a, b) {
+        const amount = a.amount + b.amount;
+        const costBasis = a.costBasis + b.costBasis;
+        
+        return {
+            ...a,
+            amount,
+            costBasis,
+            averageCost: amount > this.dust ? costBasis / amount : 0,
+            realizedPnL: a.realizedPnL + b.realizedPnL,
+            fees: a.fees + b.fees,
+            income: a.income + b.income,
+            costKnown: a.costKnown && b.costKnown,
+            shortfall: Math.max(a.shortfall, b.shortfall),
+            transactionCount: a.transactionCount + b.transactionCount,
+            firstTransaction: [a.firstTransaction, b.firstTransaction].filter(Boolean).sort()[0] || null,
+            lots: [...a.lots, ...b.lots],
+            disposals: [...a.disposals, ...b.disposals]
+        };
+    }
+    
+    // Exchange Rates
+    // Each transaction converts at its own day's rate, so a later move in the exchange rate isn't
+    // booked as a gain; `rates` (the latest) covers days without history
+    getTransactionRate(transaction, currency, rates = this.rates) {
+        const dayKey = this.getDayKey(transaction.timestamp);
+        const historical = { rates: {} };
+        
+        [transaction.currency, currency].forEach(cur => {
+            const value = this.historicalRates[cur]?.days?.[dayKey];
+            if (value) historical.rates[cur] = { value };
+        });
+        
+        return API.getConversionRate(transaction.currency, currency, historical) ??
+            API.getConversionRate(transaction.currency, currency, rates);
+    }
+    
+    // Bitcoin's daily price in every ledger currency gives each day's cross rates, in the same
+    // BTC-based shape as the exchange rates. Fetched at most once a day per currency.
+    async loadHistoricalRates(currency = Storage.get('currency', 'usd')) {
+        const foreign = this.transactions.filter(tx => tx.currency !== currency);
+        if (foreign.length === 0) return false;
+        
+        const first = Math.min(...foreign.map(tx => new Date(tx.timestamp).getTime()));
+        const from = this.getDayKey(first);
+        const today = this.getDayKey(Date.now());
+        const days = Math.min(Math.ceil((Date.now() - first) / 86400000) + 1, this.maxRateHistoryDays);
+        const currencies = [...new Set([currency, ...foreign.map(tx => tx.currency)])];
+        let changed = false;
+        
+        for (const cur of currencies) {
+            const known = this.historicalRates[cur];
+            if (known && known.from <= from && known.fetched === today) continue;
+            
+            const history = await API.getHistoricalData('bitcoin', days, cur, 'background');
+            if (history.fallback) continue;
+            
+            const byDay = {};
+            history.labels.forEach((label, i) => {
+                byDay[this.getDayKey(label)] = history.datasets[0].data[i];
+            });
+            
+            this.historicalRates[cur] = { from, fetched: today, days: byDay };
+            changed = true;
+        }
+        
+        if (changed) {
+            Storage.set('portfolioHistoricalRates', this.historicalRates);
         }
+        
+        return changed;
     }
     
-    removeCoin(coinId) {
-        if (!this.portfolio.has(coinId)) {
-            return false;
-        }
-        
-        this.portfolio.delete(coinId);
-        this.savePortfolio();
-        this.updatePortfolioValues();
+    getDayKey(date) {
+        const day = new Date(date);
+        return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+    }
+    
+    // Positions as they stood at `asOf`, from the transactions up to that moment
+    getPositionsAt(asOf, currency = Storage.get('currency', 'usd'), rates = this.rates, portfolioId = this.activeId) {
+        const until = new Date(asOf).getTime();
+        const transactions = this.getTransactions(null, portfolioId).filter(tx => new Date(tx.timestamp).getTime() <= until);
         
-        // Analytics.trackEvent('portfolio_remove_coin', 'portfolio', 'remove_coin', coinId);
+        return this.calculatePositions(transactions, currency, rates);
+    }
+    
+    // Net cash put in: buys minus sale proceeds. Rewards are returns, not capital. Transfers move coins
+    // between accounts; with `transferValue` (tx -> value in `currency`, or null) they count as capital too.
+    getInvestedCapital(asOf = Date.now(), currency = Storage.get('currency', 'usd'), rates = this.rates, portfolioId = this.activeId, transferValue = null) {
+        const until = new Date(asOf).getTime();
         
-        return true;
+        return this.getTransactions(null, portfolioId)
+            .filter(tx => new Date(tx.timestamp).getTime() <= until)
+            .reduce((invested, tx) => {
+                if (tx.type === 'transfer_in' || tx.type === 'transfer_out') {
+                    const value = transferValue ? transferValue(tx) : null;
+                    if (value === null) return invested;
+                    
+                    return tx.type === 'transfer_in' ? invested + value : invested - value;
+                }
+                
+                if (tx.type !== 'buy' && tx.type !== 'sell') return invested;
+                
+                const rate = this.getTransactionRate(tx, currency, rates);
+                if (rate === null || tx.price === null) return invested;
+                
+                return tx.type === 'buy' ?
+                    invested + (tx.price * tx.amount + tx.fee) * rate :
+                    invested - (tx.price * tx.amount - tx.fee) * rate;
+            }, 0);
     }
     
-    updateCoinAmount(coinId, newAmount) {
-        if (!this.portfolio.has(coinId) || newAmount < 0) {
-            return false;
-        }
+    // Positions of the active view at the last known prices; coins missing from a snapshot keep theirs
+    rebuildPositions(currency = Storage.get('currency', 'usd')) {
+        const positions = this.calculatePositions(this.getTransactions(), currency);
         
-        if (newAmount === 0) {
-            return this.removeCoin(coinId);
-        }
+        this.portfolio = new Map(Array.from(positions, ([coinId, position]) => {
+            const last = this.prices[coinId];
+            return [coinId, this.valuePosition(position, last?.price || 0, last?.change24h || 0)];
+        }));
         
-        const coin = this.portfolio.get(coinId);
-        coin.amount = newAmount;
-        coin.currentValue = newAmount * coin.currentPrice;
-        coin.profitLoss = (coin.currentPrice - coin.buyPrice) * newAmount;
+        return this.portfolio;
+    }
+    
+    valuePosition(position, currentPrice, change24h = 0) {
+        const currentValue = position.amount * currentPrice;
         
-        this.portfolio.set(coinId, coin);
-        this.savePortfolio();
-        this.updatePortfolioValues();
+        // Without a rate the cost basis is unknown, so the holding counts as break-even
+        const costBasis = position.costKnown ? position.costBasis : currentValue;
+        const unrealizedPnL = currentValue - costBasis;
         
-        return true;
+        return {
+            ...position,
+            costBasis,
+            currentPrice,
+            currentValue,
+            change24h,
+            unrealizedPnL,
+            profitLoss: unrealizedPnL,
+            profitLossPercent: costBasis > 0 ? (unrealizedPnL / costBasis) * 100 : 0
+        };
     }
     
-    // Portfolio Calculations
-    async updatePortfolioValues(cryptoData = null) {
-        if (this.portfolio.size === 0) {
+    async updatePortfolioValues(cryptoData = null, currency = Storage.get('currency', 'usd')) {
+        if (this.getTransactions().length === 0) {
+            this.portfolio.clear();
             this.resetPortfolioValues();
             return;
         }
         
         try {
-            // Get current prices for all portfolio coins
-            const coinIds = Array.from(this.portfolio.keys());
-            const pricesData = cryptoData || await API.getMultiplePrices(coinIds);
+            // Get current prices for all held coins
+            const coinIds = this.getHeldCoins();
+            const pricesData = cryptoData || (coinIds.length > 0 ? await API.getMultiplePrices(coinIds, currency) : {});
             
-            let totalValue = 0;
-            let totalInvested = 0;
-            
-            this.portfolio.forEach((coin, coinId) => {
-                const priceData = pricesData[coinId];
-                if (priceData) {
-                    coin.currentPrice = priceData.usd || 0;
-                    coin.currentValue = coin.amount * coin.currentPrice;
-                    coin.profitLoss = coin.currentValue - (coin.amount * coin.buyPrice);
-                    coin.profitLossPercent = coin.buyPrice > 0 ? 
-                        ((coin.currentPrice - coin.buyPrice) / coin.buyPrice) * 100 : 0;
-                    coin.change24h = priceData.usd_24h_change || 0;
-                    
-                    totalValue += coin.currentValue;
-                    totalInvested += coin.amount * coin.buyPrice;
-                    
-                    this.portfolio.set(coinId, coin);
+            // Kept for every portfolio, not just the active view, see getPortfolioSummary
+            if (currency !== this.pricesCurrency) {
+                this.prices = {};
+                this.pricesCurrency = currency;
+            }
+            Object.entries(pricesData).forEach(([coinId, priceData]) => {
+                if (priceData && priceData[currency] !== undefined) {
+                    this.prices[coinId] = { price: priceData[currency] || 0, change24h: priceData[`${currency}_24h_change`] || 0 };
                 }
             });
             
+            // Only fetch rates when some transaction was entered in another currency
+            const needsConversion = this.transactions.some(tx => tx.currency !== currency);
+            if (needsConversion) {
+                this.rates = await API.getExchangeRates('usd', 'background');
+                await this.loadHistoricalRates(currency);
+            }
+            
+            this.rebuildPositions(currency);
+            
+            let totalValue = 0;
+            let totalCost = 0;
+            let totalRealized = 0;
+            
+            this.portfolio.forEach(holding => {
+                totalValue += holding.currentValue;
+                totalCost += holding.costBasis;
+                totalRealized += holding.realizedPnL;
+            });
+            
             this.totalValue = totalValue;
-            this.totalChange = totalValue - totalInvested;
-            this.totalChangePercent = totalInvested > 0 ? 
-                (this.totalChange / totalInvested) * 100 : 0;
+            this.totalCost = totalCost;
+            this.totalChange = totalValue - totalCost;
+            this.totalChangePercent = totalCost > 0 ? 
+                (this.totalChange / totalCost) * 100 : 0;
+            this.totalRealized = totalRealized;
             this.lastUpdateTime = new Date();
             
-            this.savePortfolio();
             this.updatePortfolioDisplay();
+            this.checkRebalanceDrift();
+            
+            document.dispatchEvent(new CustomEvent('portfolioValueUpdate', {
+                detail: { currency, timestamp: this.lastUpdateTime.getTime() }
+            }));
             
         } catch (error) {
             console.error('Failed to update portfolio values:', error);
@@ -209,16 +984,53 @@ class PortfolioModule {
     
     resetPortfolioValues() {
         this.totalValue = 0;
+        this.totalCost = 0;
         this.totalChange = 0;
         this.totalChangePercent = 0;
+        this.totalRealized = 0;
         this.updatePortfolioDisplay();
     }
     
     // Display Updates
     updatePortfolioDisplay() {
+        this.updatePortfolioSelect();
+        this.updatePortfolioAccounts();
         this.updatePortfolioSummary();
         this.updatePortfolioChart();
         this.updateCoinPortfolioInfo();
+        this.updateTransactionList();
+    }
+    
+    updatePortfolioSelect() {
+        const select = document.getElementById('portfolio-select');
+        if (!select) return;
+        
+        select.innerHTML = [
+            ...this.portfolios.map(portfolio => `<option value="${portfolio.id}">${Formatters.sanitizeText(portfolio.name)}</option>`),
+            `<option value="${this.consolidatedId}">Consolidado</option>`
+        ].join('');
+        select.value = this.activeId;
+    }
+    
+    // One card per portfolio; only worth showing once there is more than one
+    updatePortfolioAccounts() {
+        const container = document.getElementById('portfolio-accounts');
+        if (!container) return;
+        
+        container.classList.toggle('hidden', this.portfolios.length < 2);
+        if (this.portfolios.length < 2) return;
+        
+        const currency = Storage.get('currency', 'usd');
+        container.innerHTML = this.getPortfolioSummaries().map(summary => `
+            <button onclick="Portfolio.setActivePortfolio('${summary.id}')" 
+                    class="text-left p-3 rounded-xl ${summary.id === this.activeId ? 'bg-blue-600/20' : 'bg-white/5 hover:bg-white/10'}">
+                <p class="text-xs text-gray-400">${Formatters.sanitizeText(summary.name)}</p>
+                <p class="font-semibold">${Formatters.formatCurrency(summary.totalValue, currency)}</p>
+                <p class="text-xs ${summary.totalChange >= 0 ? 'trend-up' : 'trend-down'}">
+                    ${summary.totalChange >= 0 ? '+' : ''}${Formatters.formatCurrency(summary.totalChange, currency)} (${summary.totalChangePercent.toFixed(1)}%)
+                </p>
+            </button>
+        `).join('');
     }
     
     updatePortfolioSummary() {
@@ -241,11 +1053,18 @@ class PortfolioModule {
             portfolioPercentageElement.textContent = `${this.totalChangePercent >= 0 ? '+' : ''}${this.totalChangePercent.toFixed(2)}%`;
             portfolioPercentageElement.className = this.totalChangePercent >= 0 ? 'trend-up' : 'trend-down';
         }
+        
+        const realizedElement = document.getElementById('portfolio-realized');
+        if (realizedElement) {
+            const currency = Storage.get('currency', 'usd');
+            realizedElement.textContent = `${this.totalRealized >= 0 ? '+' : ''}${Formatters.formatCurrency(this.totalRealized, currency)}`;
+            realizedElement.className = this.totalRealized >= 0 ? 'trend-up' : 'trend-down';
+        }
     }
     
     updatePortfolioChart() {
         const canvas = document.getElementById('portfolio-chart');
-        if (!canvas || this.portfolio.size === 0) {
+        if (!canvas || this.getPortfolioCoins().length === 0) {
             if (this.chartInstance) {
                 this.chartInstance.destroy();
                 this.chartInstance = null;
@@ -318,18 +1137,82 @@ class PortfolioModule {
                         <span>Valor:</span>
                         <span>${Formatters.formatCurrency(coin.currentValue, currency)}</span>
                     </div>
+                    <div class="flex justify-between text-xs">
+                        <span>Custo Médio:</span>
+                        <span>${Formatters.formatCurrency(coin.averageCost, currency)}</span>
+                    </div>
                     <div class="flex justify-between text-xs ${profitLossClass}">
                         <span>P&L:</span>
                         <span>${coin.profitLoss >= 0 ? '+' : ''}${Formatters.formatCurrency(coin.profitLoss, currency)} (${coin.profitLossPercent.toFixed(1)}%)</span>
                     </div>
+                    ${coin.realizedPnL !== 0 ? `
+                    <div class="flex justify-between text-xs ${coin.realizedPnL >= 0 ? 'trend-up' : 'trend-down'}">
+                        <span>Realizado:</span>
+                        <span>${coin.realizedPnL >= 0 ? '+' : ''}${Formatters.formatCurrency(coin.realizedPnL, currency)}</span>
+                    </div>` : ''}
                 `;
             }
         });
     }
     
+    updateTransactionList() {
+        const container = document.getElementById('portfolio-transactions');
+        if (!container) return;
+        
+        const transactions = this.getTransactions().reverse();
+        
+        if (transactions.length === 0) {
+            container.innerHTML = '<p class="text-gray-400 text-center py-4">Nenhuma transação registrada</p>';
+            return;
+        }
+        
+        container.innerHTML = transactions.map(tx => {
+            const type = this.transactionTypes[tx.type];
+            const amountClass = type.direction > 0 ? 'trend-up' : 'trend-down';
+            const total = tx.price !== null ? Formatters.formatCurrency(tx.price * tx.amount, tx.currency) : '—';
+            
+            return `
+                <div class="flex items-center justify-between py-2 border-b border-white/5 text-sm">
+                    <div>
+                        <span class="font-semibold">${Formatters.sanitizeText(tx.coinId.toUpperCase())}</span>
+                        <span class="text-gray-400 ml-2">${type.label}</span>
+                        ${this.isConsolidated() ? `<span class="text-xs text-gray-500 ml-2">${Formatters.sanitizeText(this.getPortfolio(tx.portfolioId)?.name || '')}</span>` : ''}
+                        <p class="text-xs text-gray-500">${Formatters.formatDate(tx.timestamp)}${tx.note ? ` · ${Formatters.sanitizeText(tx.note)}` : ''}</p>
+                    </div>
+                    <div class="flex items-center gap-3">
+                        <div class="text-right">
+                            <p class="${amountClass}">${type.direction > 0 ? '+' : '-'}${Formatters.formatNumber(tx.amount, 8)}</p>
+                            <p class="text-xs text-gray-400">${total}${tx.fee > 0 ? ` · taxa ${Formatters.formatCurrency(tx.fee, tx.currency)}` : ''}</p>
+                        </div>
+                        <button onclick="app.removePortfolioTransaction('${tx.id}')" class="p-1 hover:bg-white/10 rounded" title="Remover transação">
+                            <i data-feather="trash-2" class="w-4 h-4"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        feather.replace();
+    }
+    
     // Utility Methods
+    // Coins currently held; fully sold coins stay in the map for their realized P&L
     getPortfolioCoins() {
-        return Array.from(this.portfolio.keys());
+        return this.getHoldings().map(([coinId]) => coinId);
+    }
+    
+    getHoldings() {
+        return Array.from(this.portfolio.entries()).filter(([, coin]) => coin.amount > 0);
+    }
+    
+    // Coins held in any portfolio, whichever view is active
+    getHeldCoins() {
+        const net = new Map();
+        this.transactions.forEach(tx => {
+            net.set(tx.coinId, (net.get(tx.coinId) || 0) + this.transactionTypes[tx.type].direction * tx.amount);
+        });
+        
+        return Array.from(net).filter(([, amount]) => amount > this.dust).map(([coinId]) => coinId);
     }
     
     getCoinHolding(coinId) {
@@ -337,16 +1220,29 @@ class PortfolioModule {
     }
     
     getPortfolioStats() {
+        const yearlyGains = this.getRealizedGains({ groupBy: 'year' });
         const stats = {
-            totalCoins: this.portfolio.size,
+            totalCoins: this.getPortfolioCoins().length,
             totalValue: this.totalValue,
+            totalCost: this.totalCost,
             totalChange: this.totalChange,
             totalChangePercent: this.totalChangePercent,
+            totalRealized: this.totalRealized,
+            totalTransactions: this.getTransactions().length,
+            portfolioId: this.activeId,
+            portfolios: this.getPortfolioSummaries(),
+            costBasisMethod: this.costBasisMethod,
+            performance: PortfolioHistory.metrics, // Of the chart's range, see PortfolioHistory.getPerformanceMetrics
+            realizedGains: {
+                byMonth: this.getRealizedGains({ groupBy: 'month' }).periods,
+                byYear: yearlyGains.periods,
+                sales: yearlyGains.disposals
+            },
             lastUpdate: this.lastUpdateTime,
             holdings: []
         };
         
-        this.portfolio.forEach((coin, coinId) => {
+        this.getHoldings().forEach(([coinId, coin]) => {
             stats.holdings.push({
                 coinId,
                 ...coin,
@@ -359,6 +1255,40 @@ class PortfolioModule {
         return stats;
     }
     
+    // Totals of one portfolio (or the consolidated view) at the last known prices
+    getPortfolioSummary(portfolioId) {
+        const positions = this.calculatePositions(this.getTransactions(null, portfolioId));
+        const summary = {
+            id: portfolioId,
+            name: portfolioId === this.consolidatedId ? 'Consolidado' : this.getPortfolio(portfolioId)?.name,
+            totalCoins: 0,
+            totalValue: 0,
+            totalCost: 0,
+            totalRealized: 0
+        };
+        
+        positions.forEach((position, coinId) => {
+            const holding = this.valuePosition(position, this.prices[coinId]?.price || 0);
+            summary.totalCoins += holding.amount > 0 ? 1 : 0;
+            summary.totalValue += holding.currentValue;
+            summary.totalCost += holding.costBasis;
+            summary.totalRealized += holding.realizedPnL;
+        });
+        
+        summary.totalChange = summary.totalValue - summary.totalCost;
+        summary.totalChangePercent = summary.totalCost > 0 ? (summary.totalChange / summary.totalCost) * 100 : 0;
+        
+        return summary;
+    }
+    
+    // Each portfolio, then the roll-up of all of them
+    getPortfolioSummaries() {
+        return [
+            ...this.portfolios.map(portfolio => this.getPortfolioSummary(portfolio.id)),
+            this.getPortfolioSummary(this.consolidatedId)
+        ];
+    }
+    
     generateChartColors(count) {
         const colors = [
             '#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6',
@@ -371,55 +1301,263 @@ class PortfolioModule {
     
     // Advanced Features
     getTopPerformers(limit = 5) {
-        return Array.from(this.portfolio.entries())
+        return this.getHoldings()
             .filter(([, coin]) => coin.profitLossPercent > 0)
             .sort((a, b) => b[1].profitLossPercent - a[1].profitLossPercent)
             .slice(0, limit);
     }
     
     getWorstPerformers(limit = 5) {
-        return Array.from(this.portfolio.entries())
+        return this.getHoldings()
             .filter(([, coin]) => coin.profitLossPercent < 0)
             .sort((a, b) => a[1].profitLossPercent - b[1].profitLossPercent)
             .slice(0, limit);
     }
     
     getLargestHoldings(limit = 5) {
-        return Array.from(this.portfolio.entries())
+        return this.getHoldings()
             .sort((a, b) => b[1].currentValue - a[1].currentValue)
             .slice(0, limit);
     }
     
-    getRebalanceRecommendations() {
-        const target = 100 / this.portfolio.size; // Equal weight target
-        const recommendations = [];
+    // Rebalancing
+    loadRebalanceSettings() {
+        const saved = Storage.get('rebalanceSettings', {});
+        this.rebalanceSettings = { ...this.rebalanceDefaults, ...saved };
+        return this.rebalanceSettings;
+    }
+    
+    getRebalanceSettings() {
+        return { ...this.rebalanceSettings, targets: this.rebalanceSettings.targets.map(target => ({ ...target })) };
+    }
+    
+    // Normalized settings, or a PortfolioError; nothing is changed
+    validateRebalanceSettings(changes) {
+        const settings = { ...this.rebalanceSettings, ...changes };
+        const targets = (settings.targets || []).map(target => ({
+            id: target.id,
+            weight: Number(target.weight),
+            band: target.band === null || target.band === undefined || target.band === '' ? null : Number(target.band)
+        }));
         
-        this.portfolio.forEach((coin, coinId) => {
-            const currentAllocation = this.totalValue > 0 ? (coin.currentValue / this.totalValue) * 100 : 0;
-            const difference = currentAllocation - target;
-            
-            if (Math.abs(difference) > 5) { // 5% threshold
-                recommendations.push({
-                    coinId,
-                    currentAllocation,
-                    targetAllocation: target,
-                    difference,
-                    action: difference > 0 ? 'sell' : 'buy',
-                    amount: Math.abs(difference * this.totalValue / 100)
-                });
+        if (targets.some(target => !target.id || !(target.weight >= 0) || (target.band !== null && !(target.band >= 0)))) {
+            throw new PortfolioError('Target weights and bands must be zero or more');
+        }
+        
+        if (new Set(targets.map(target => target.id)).size !== targets.length) {
+            throw new PortfolioError('Each coin can only have one target');
+        }
+        
+        const totalWeight = targets.reduce((sum, target) => sum + target.weight, 0);
+        if (targets.length > 0 && Math.abs(totalWeight - 100) > 0.01) {
+            throw new PortfolioError(`Target weights must add up to 100% (got ${totalWeight.toFixed(2)}%)`);
+        }
+        
+        if (!(settings.driftBand >= 0) || !(settings.minTradeSize >= 0) || !(settings.feeRate >= 0 && settings.feeRate < 100)) {
+            throw new PortfolioError('Invalid drift band, minimum trade size or fee rate');
+        }
+        
+        if (!Stablecoins.isStablecoin(settings.cashCoin)) {
+            throw new PortfolioError(`'${settings.cashCoin}' is not a registered stablecoin`);
+        }
+        
+        return {
+            ...settings,
+            targets,
+            driftBand: Number(settings.driftBand),
+            minTradeSize: Number(settings.minTradeSize),
+            feeRate: Number(settings.feeRate)
+        };
+    }
+    
+    setRebalanceSettings(changes) {
+        this.rebalanceSettings = this.validateRebalanceSettings(changes);
+        this.lastDriftKey = '';
+        Storage.set('rebalanceSettings', this.rebalanceSettings);
+        
+        // Target coins not yet held still need prices to size their buys
+        PriceBus.setCoins('portfolio', this.getTrackedCoins());
+        
+        return this.getRebalanceSettings();
+    }
+    
+    setDriftAlerts(enabled) {
+        this.rebalanceSettings.driftAlerts = !!enabled;
+        this.lastDriftKey = '';
+        Storage.set('rebalanceSettings', this.rebalanceSettings);
+    }
+    
+    getTrackedCoins() {
+        const targetCoins = this.rebalanceSettings.targets
+            .map(target => target.id)
+            .filter(id => id !== 'cash');
+        
+        return [...new Set([...this.getHeldCoins(), ...targetCoins])];
+    }
+    
+    // Groups holdings into the buckets targets are set on. Stablecoins without a target of their own
+    // form the 'cash' bucket; holdings left out of the targets get a 0% target.
+    getRebalanceBuckets() {
+        const settings = this.rebalanceSettings;
+        const holdings = this.getHoldings();
+        
+        // Without targets every holding gets an equal share
+        const targets = settings.targets.length > 0 ? settings.targets :
+            holdings.map(([coinId]) => ({ id: coinId, weight: 100 / holdings.length, band: null }));
+        const targeted = new Set(targets.map(target => target.id));
+        const hasCash = targeted.has('cash');
+        
+        const buckets = new Map(targets.map(target => [target.id, {
+            id: target.id,
+            coins: [],
+            value: 0,
+            targetWeight: target.weight,
+            band: target.band ?? settings.driftBand
+        }]));
+        
+        holdings.forEach(([coinId, coin]) => {
+            const bucketId = targeted.has(coinId) ? coinId :
+                hasCash && Stablecoins.isStablecoin(coinId) ? 'cash' : coinId;
+            
+            if (!buckets.has(bucketId)) {
+                buckets.set(bucketId, { id: bucketId, coins: [], value: 0, targetWeight: 0, band: settings.driftBand });
             }
+            
+            const bucket = buckets.get(bucketId);
+            bucket.coins.push(coinId);
+            bucket.value += coin.currentValue;
+        });
+        
+        return Array.from(buckets.values());
+    }
+    
+    getRebalancePlan() {
+        const settings = this.rebalanceSettings;
+        const currency = Storage.get('currency', 'usd');
+        const buckets = this.getRebalanceBuckets();
+        const total = buckets.reduce((sum, bucket) => sum + bucket.value, 0);
+        
+        buckets.forEach(bucket => {
+            bucket.currentWeight = total > 0 ? (bucket.value / total) * 100 : 0;
+            bucket.drift = bucket.currentWeight - bucket.targetWeight; // Percentage points
+            bucket.breached = total > 0 && Math.abs(bucket.drift) > bucket.band;
+            bucket.targetValue = total * bucket.targetWeight / 100;
         });
         
-        return recommendations.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+        const breached = buckets.some(bucket => bucket.breached);
+        
+        // Once any band is breached the whole portfolio goes back to target, not just that bucket
+        const trades = breached ? buckets.flatMap(bucket => this.getBucketTrades(bucket, currency)) : [];
+        trades.sort((a, b) => (a.action === 'sell' ? 0 : 1) - (b.action === 'sell' ? 0 : 1) || b.value - a.value);
+        
+        const sum = (action) => trades
+            .filter(trade => action === null || trade.action === action)
+            .reduce((total, trade) => total + trade.value, 0);
+        
+        return {
+            currency,
+            total,
+            breached,
+            buckets,
+            trades,
+            totalSells: sum('sell'),
+            totalBuys: sum('buy'),
+            totalFees: trades.reduce((total, trade) => total + trade.fee, 0),
+            turnover: total > 0 ? (sum(null) / total) * 100 : 0
+        };
+    }
+    
+    getBucketTrades(bucket, currency) {
+        const settings = this.rebalanceSettings;
+        const difference = bucket.targetValue - bucket.value;
+        
+        if (Math.abs(difference) < Math.max(settings.minTradeSize, this.dust)) return [];
+        
+        const trade = (coinId, value) => {
+            const price = this.portfolio.get(coinId)?.currentPrice || PriceBus.getPrice(coinId, currency)?.price || null;
+            return {
+                bucket: bucket.id,
+                coinId,
+                action: value > 0 ? 'buy' : 'sell',
+                value: Math.abs(value),
+                price,
+                amount: price ? Math.abs(value) / price : null, // Unknown until the coin has a price
+                fee: Math.abs(value) * settings.feeRate / 100
+            };
+        };
+        
+        if (bucket.id !== 'cash') {
+            return [trade(bucket.id, difference)];
+        }
+        
+        if (difference > 0) {
+            return [trade(settings.cashCoin, difference)];
+        }
+        
+        // Cash is raised from the largest stablecoin holdings first
+        let remaining = -difference;
+        return bucket.coins
+            .map(coinId => [coinId, this.portfolio.get(coinId).currentValue])
+            .sort((a, b) => b[1] - a[1])
+            .map(([coinId, value]) => {
+                const used = Math.min(value, remaining);
+                remaining -= used;
+                return used >= settings.minTradeSize ? trade(coinId, -used) : null;
+            })
+            .filter(Boolean);
+    }
+    
+    // Notifies once each time the set of breached buckets changes, not on every refresh
+    checkRebalanceDrift() {
+        if (!this.rebalanceSettings.driftAlerts) return;
+        
+        const breached = this.getRebalancePlan().buckets.filter(bucket => bucket.breached);
+        const key = breached.map(bucket => bucket.id).sort().join(',');
+        
+        if (key && key !== this.lastDriftKey) {
+            const details = breached
+                .map(bucket => `${this.getBucketLabel(bucket.id)} ${bucket.drift > 0 ? '+' : ''}${bucket.drift.toFixed(1)} p.p.`)
+                .join(', ');
+            Notifications.show(`Alocação fora da banda: ${details}`, 'warning');
+        }
+        
+        this.lastDriftKey = key;
+    }
+    
+    getBucketLabel(bucketId) {
+        return bucketId === 'cash' ? 'Caixa' : bucketId.toUpperCase();
+    }
+    
+    getRebalanceRecommendations() {
+        const plan = this.getRebalancePlan();
+        
+        return plan.buckets
+            .filter(bucket => bucket.breached)
+            .map(bucket => ({
+                coinId: bucket.id,
+                currentAllocation: bucket.currentWeight,
+                targetAllocation: bucket.targetWeight,
+                difference: bucket.drift,
+                action: bucket.drift > 0 ? 'sell' : 'buy',
+                amount: Math.abs(bucket.targetValue - bucket.value)
+            }))
+            .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
     }
     
     // Import/Export
     exportData() {
         return {
-            portfolio: Object.fromEntries(this.portfolio),
+            portfolios: this.portfolios,
+            activePortfolio: this.activeId,
+            transactions: this.getTransactions(null, this.consolidatedId),
+            portfolio: Object.fromEntries(this.portfolio), // Derived positions of the active view, for reference only
             totalValue: this.totalValue,
             totalChange: this.totalChange,
             totalChangePercent: this.totalChangePercent,
+            totalRealized: this.totalRealized,
+            costBasisMethod: this.costBasisMethod,
+            rebalanceSettings: this.getRebalanceSettings(),
+            currency: Storage.get('currency', 'usd'), // Of the totals; transactions carry their own
             lastUpdateTime: this.lastUpdateTime,
             exportDate: new Date().toISOString()
         };
@@ -427,25 +1565,87 @@ class PortfolioModule {
     
     async importData(data) {
         try {
-            if (!data.portfolio) {
+            if (!Array.isArray(data.transactions) && !data.portfolio) {
                 throw new Error('Invalid portfolio data');
             }
             
-            this.portfolio.clear();
+            // Exports with several portfolios replace them all; older ones replace the active portfolio's
+            // ledger (the first portfolio's in the consolidated view)
+            const portfolios = Array.isArray(data.portfolios) && data.portfolios.length > 0 ?
+                data.portfolios.map(portfolio => ({
+                    id: portfolio.id,
+                    name: portfolio.name,
+                    createdAt: portfolio.createdAt || new Date().toISOString()
+                })) : null;
+            const targetId = this.getWritablePortfolioId() || this.portfolios[0].id;
+            const portfolioId = transaction => portfolios ? transaction.portfolioId || portfolios[0].id : targetId;
             
-            Object.entries(data.portfolio).forEach(([coinId, coinData]) => {
-                this.portfolio.set(coinId, {
-                    amount: coinData.amount || 0,
-                    buyPrice: coinData.buyPrice || 0,
-                    buyDate: coinData.buyDate || new Date().toISOString(),
-                    currentPrice: coinData.currentPrice || 0,
-                    currentValue: 0,
-                    profitLoss: 0,
-                    profitLossPercent: 0
+            // Exports from before the ledger only have holdings, imported as one buy each
+            const imported = Array.isArray(data.transactions) ?
+                data.transactions.map(transaction => this.normalizeTransaction({ ...transaction, portfolioId: portfolioId(transaction) })) :
+                Object.entries(data.portfolio)
+                    .filter(([, coinData]) => coinData && coinData.amount > 0)
+                    .map(([coinId, coinData]) => this.normalizeTransaction({
+                        portfolioId: targetId,
+                        coinId,
+                        type: 'buy',
+                        amount: coinData.amount,
+                        price: coinData.buyPrice || null,
+                        currency: coinData.buyCurrency || 'usd',
+                        timestamp: coinData.buyDate
+                    }));
+            
+            const previousPortfolios = this.portfolios;
+            const transactions = portfolios ? imported :
+                [...this.transactions.filter(tx => tx.portfolioId !== targetId), ...imported];
+            
+            // Everything is validated before anything changes: the incoming portfolio list, the ledgers
+            // and the rebalance settings (whose cash stablecoin may not be registered on this device)
+            let rebalanceSettings = null;
+            this.portfolios = portfolios || previousPortfolios;
+            try {
+                if (new Set(this.portfolios.map(portfolio => portfolio.id)).size !== this.portfolios.length) {
+                    throw new PortfolioError('Duplicate portfolio ids');
+                }
+                
+                transactions.forEach(transaction => this.validateTransaction(transaction));
+                new Set(transactions.map(tx => `${tx.portfolioId}\u0000${tx.coinId}`)).forEach(key => {
+                    const [id, coinId] = key.split('\u0000');
+                    this.validateLedger(coinId, id, transactions);
                 });
-            });
+                
+                if (data.rebalanceSettings) {
+                    rebalanceSettings = this.validateRebalanceSettings(data.rebalanceSettings);
+                }
+            } catch (error) {
+                this.portfolios = previousPortfolios;
+                throw error;
+            }
+            
+            if (portfolios) {
+                this.activeId = data.activePortfolio === this.consolidatedId || this.getPortfolio(data.activePortfolio) ?
+                    data.activePortfolio : this.portfolios[0].id;
+            }
+            
+            if (this.costBasisMethods[data.costBasisMethod]) {
+                this.costBasisMethod = data.costBasisMethod;
+                Storage.set('costBasisMethod', data.costBasisMethod);
+            }
+            
+            if (rebalanceSettings) {
+                this.setRebalanceSettings(rebalanceSettings);
+            }
+            
+            this.transactions = transactions;
+            this.portfolio.clear();
+            
+            // Ledgers of portfolios that no longer exist go only once the new ones are stored
+            if (this.savePortfolio()) {
+                previousPortfolios
+                    .filter(portfolio => !this.getPortfolio(portfolio.id))
+                    .forEach(portfolio => Storage.remove(this.getLedgerKey(portfolio.id)));
+            }
             
-            this.savePortfolio();
             await this.updatePortfolioValues();
             
             return true;
@@ -459,7 +1659,10 @@ class PortfolioModule {
     // Settings and Preferences
     openSettings() {
         // Implementation for portfolio-specific settings
+        const currency = Storage.get('currency', 'usd');
+        const yearlyGains = this.getRealizedGains({ groupBy: 'year' }).periods;
         const modal = document.createElement('div');
+        modal.id = 'portfolio-settings-modal';
         modal.className = 'fixed inset-0 bg-black/50 backdrop-blur-sm z-50';
         modal.innerHTML = `
             <div class="flex items-center justify-center min-h-screen p-4">
@@ -473,9 +1676,46 @@ class PortfolioModule {
                     
                     <div class="space-y-4">
                         <div>
-                            <label class="block text-sm font-medium mb-2">Rebalanceamento Automático</label>
+                            <label class="block text-sm font-medium mb-2">Carteiras</label>
+                            <div class="space-y-1">
+                                ${this.portfolios.map(portfolio => `
+                                    <div class="flex items-center justify-between text-sm">
+                                        <span>${Formatters.sanitizeText(portfolio.name)}</span>
+                                        <div class="flex gap-1">
+                                            <button onclick="Portfolio.promptRenamePortfolio('${portfolio.id}')" class="p-1 hover:bg-white/10 rounded" title="Renomear">
+                                                <i data-feather="edit-2" class="w-4 h-4"></i>
+                                            </button>
+                                            <button onclick="Portfolio.confirmRemovePortfolio('${portfolio.id}')" class="p-1 hover:bg-white/10 rounded" title="Excluir">
+                                                <i data-feather="trash-2" class="w-4 h-4"></i>
+                                            </button>
+                                        </div>
+                                    </div>
+                                `).join('')}
+                            </div>
+                            <button onclick="Portfolio.promptCreatePortfolio()" class="w-full btn-secondary mt-2">Nova Carteira</button>
+                        </div>
+                        
+                        <div>
+                            <label class="block text-sm font-medium mb-2">Método de Custo</label>
+                            <select onchange="Portfolio.setCostBasisMethod(this.value)" class="control-select w-full">
+                                ${Object.entries(this.costBasisMethods).map(([method, label]) => `
+                                    <option value="${method}" ${method === this.costBasisMethod ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                            <div class="mt-2 text-xs space-y-1">
+                                ${yearlyGains.map(year => `
+                                    <div class="flex justify-between">
+                                        <span class="text-gray-400">Ganho realizado ${year.period}</span>
+                                        <span class="${year.gain >= 0 ? 'trend-up' : 'trend-down'}">${Formatters.formatCurrency(year.gain, currency)}</span>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+                        
+                        <div>
+                            <label class="block text-sm font-medium mb-2">Alerta de Rebalanceamento</label>
                             <label class="relative inline-flex items-center cursor-pointer">
-                                <input type="checkbox" class="sr-only peer">
+                                <input type="checkbox" class="sr-only peer" onchange="Portfolio.setDriftAlerts(this.checked)" ${this.rebalanceSettings.driftAlerts ? 'checked' : ''}>
                                 <div class="w-11 h-6 bg-gray-600 peer-focus:outline-none rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
                             </label>
                         </div>
@@ -488,8 +1728,12 @@ class PortfolioModule {
                             </label>
                         </div>
                         
+                        <button onclick="this.closest('.fixed').remove(); Portfolio.openRebalancePlanner()" class="w-full btn-secondary">
+                            Planejar Rebalanceamento
+                        </button>
+                        
                         <div class="pt-4 border-t border-white/10">
-                            <button onclick="portfolio.clearPortfolio()" class="w-full btn-secondary text-red-400 hover:bg-red-500/20">
+                            <button onclick="Portfolio.clearPortfolio()" class="w-full btn-secondary text-red-400 hover:bg-red-500/20">
                                 Limpar Portfólio
                             </button>
                         </div>
@@ -502,8 +1746,188 @@ class PortfolioModule {
         feather.replace();
     }
     
+    openRebalancePlanner() {
+        const settings = this.rebalanceSettings;
+        const weights = new Map(settings.targets.map(target => [target.id, target]));
+        const rows = [...new Set([...this.getPortfolioCoins(), ...weights.keys(), 'cash'])];
+        
+        const modal = document.createElement('div');
+        modal.id = 'rebalance-modal';
+        modal.className = 'fixed inset-0 bg-black/50 backdrop-blur-sm z-50';
+        modal.innerHTML = `
+            <div class="flex items-center justify-center min-h-screen p-4">
+                <div class="glassmorphism p-6 rounded-2xl w-full max-w-2xl max-h-screen overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-xl font-bold">Planejar Rebalanceamento</h3>
+                        <button onclick="this.closest('.fixed').remove()" class="p-1 hover:bg-white/10 rounded">
+                            <i data-feather="x" class="w-5 h-5"></i>
+                        </button>
+                    </div>
+                    
+                    <p class="text-xs text-gray-400 mb-3">Metas em % do portfólio (somando 100%). Deixe tudo vazio para peso igual. A banda vazia usa a banda padrão.</p>
+                    
+                    <div id="rebalance-targets" class="space-y-2 mb-4">
+                        ${rows.map(id => `
+                            <div class="grid grid-cols-3 gap-2 items-center" data-target="${Formatters.sanitizeText(id)}">
+                                <span class="text-sm font-semibold">${id === 'cash' ? `Caixa (stablecoins)` : Formatters.sanitizeText(id.toUpperCase())}</span>
+                                <input type="number" step="any" min="0" class="control-input target-weight" placeholder="Meta %" value="${weights.get(id)?.weight ?? ''}">
+                                <input type="number" step="any" min="0" class="control-input target-band" placeholder="Banda p.p." value="${weights.get(id)?.band ?? ''}">
+                            </div>
+                        `).join('')}
+                        <div class="grid grid-cols-3 gap-2 items-center" data-target="">
+                            <input type="text" class="control-input target-coin" placeholder="Outra moeda (ex: solana)">
+                            <input type="number" step="any" min="0" class="control-input target-weight" placeholder="Meta %">
+                            <input type="number" step="any" min="0" class="control-input target-band" placeholder="Banda p.p.">
+                        </div>
+                    </div>
+                    
+                    <div class="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4">
+                        <div>
+                            <label class="block text-xs text-gray-400 mb-1">Banda padrão (p.p.)</label>
+                            <input type="number" id="rebalance-band" step="any" min="0" class="control-input w-full" value="${settings.driftBand}">
+                        </div>
+                        <div>
+                            <label class="block text-xs text-gray-400 mb-1">Operação mínima</label>
+                            <input type="number" id="rebalance-min-trade" step="any" min="0" class="control-input w-full" value="${settings.minTradeSize}">
+                        </div>
+                        <div>
+                            <label class="block text-xs text-gray-400 mb-1">Taxa estimada (%)</label>
+                            <input type="number" id="rebalance-fee" step="any" min="0" class="control-input w-full" value="${settings.feeRate}">
+                        </div>
+                        <div>
+                            <label class="block text-xs text-gray-400 mb-1">Stablecoin do caixa</label>
+                            <select id="rebalance-cash-coin" class="control-select w-full">
+                                ${Stablecoins.getStablecoinIds().map(coinId => `
+                                    <option value="${coinId}" ${coinId === settings.cashCoin ? 'selected' : ''}>${Stablecoins.getStablecoin(coinId).symbol}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    </div>
+                    
+                    <button onclick="Portfolio.saveRebalancePlanner()" class="w-full btn-primary mb-4">Salvar e Calcular</button>
+                    
+                    <div id="rebalance-plan"></div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.renderRebalancePlan();
+        feather.replace();
+    }
+    
+    saveRebalancePlanner() {
+        const modal = document.getElementById('rebalance-modal');
+        if (!modal) return;
+        
+        const targets = Array.from(modal.querySelectorAll('[data-target]'))
+            .map(row => ({
+                id: (row.dataset.target || row.querySelector('.target-coin')?.value || '').trim().toLowerCase(),
+                weight: row.querySelector('.target-weight').value,
+                band: row.querySelector('.target-band').value
+            }))
+            .filter(target => target.id && target.weight !== '');
+        
+        try {
+            this.setRebalanceSettings({
+                targets,
+                driftBand: parseFloat(document.getElementById('rebalance-band').value),
+                minTradeSize: parseFloat(document.getElementById('rebalance-min-trade').value),
+                feeRate: parseFloat(document.getElementById('rebalance-fee').value),
+                cashCoin: document.getElementById('rebalance-cash-coin').value
+            });
+            this.renderRebalancePlan();
+            Notifications.show('Metas de alocação salvas', 'success');
+        } catch (error) {
+            console.error('Failed to save rebalance settings:', error);
+            Notifications.show('Metas de alocação inválidas: os pesos precisam somar 100%', 'error');
+        }
+    }
+    
+    renderRebalancePlan() {
+        const container = document.getElementById('rebalance-plan');
+        if (!container) return;
+        
+        const plan = this.getRebalancePlan();
+        const format = value => Formatters.formatCurrency(value, plan.currency);
+        
+        const buckets = plan.buckets.map(bucket => `
+            <div class="flex justify-between text-sm py-1 ${bucket.breached ? 'text-yellow-400' : ''}">
+                <span>${Formatters.sanitizeText(this.getBucketLabel(bucket.id))}</span>
+                <span>${bucket.currentWeight.toFixed(1)}% / meta ${bucket.targetWeight.toFixed(1)}% (${bucket.drift > 0 ? '+' : ''}${bucket.drift.toFixed(1)} p.p., banda ${bucket.band} p.p.)</span>
+            </div>
+        `).join('');
+        
+        const trades = plan.trades.length === 0 ?
+            `<p class="text-gray-400 text-center py-4">${plan.breached ? 'Nenhuma operação acima do mínimo' : 'Alocação dentro das bandas'}</p>` :
+            plan.trades.map(trade => `
+                <div class="flex justify-between text-sm py-1 border-b border-white/5">
+                    <span class="${trade.action === 'sell' ? 'trend-down' : 'trend-up'}">
+                        ${trade.action === 'sell' ? 'Vender' : 'Comprar'} ${trade.amount !== null ? Formatters.formatNumber(trade.amount, 8) : ''} ${Formatters.sanitizeText(trade.coinId.toUpperCase())}
+                    </span>
+                    <span>${format(trade.value)} <span class="text-xs text-gray-400">taxa ≈ ${format(trade.fee)}</span></span>
+                </div>
+            `).join('') + `
+                <div class="flex justify-between text-sm pt-2 font-semibold">
+                    <span>Vendas ${format(plan.totalSells)} · Compras ${format(plan.totalBuys)}</span>
+                    <span>Taxas ≈ ${format(plan.totalFees)}</span>
+                </div>
+            `;
+        
+        container.innerHTML = `
+            <h4 class="font-semibold mb-2">Alocação</h4>
+            <div class="mb-4">${buckets || '<p class="text-gray-400">Portfólio vazio</p>'}</div>
+            <h4 class="font-semibold mb-2">Operações sugeridas</h4>
+            ${trades}
+        `;
+    }
+    
+    promptCreatePortfolio() {
+        const name = prompt('Nome da nova carteira (ex: Binance, Carteira fria, Tesouraria):');
+        if (name === null) return;
+        
+        try {
+            const portfolio = this.createPortfolio(name);
+            this.setActivePortfolio(portfolio.id);
+            document.getElementById('portfolio-settings-modal')?.remove();
+            Notifications.show(`Carteira ${portfolio.name} criada`, 'success');
+        } catch (error) {
+            Notifications.show('Nome de carteira inválido ou já existente', 'error');
+        }
+    }
+    
+    promptRenamePortfolio(portfolioId) {
+        const portfolio = this.getPortfolio(portfolioId);
+        const name = portfolio && prompt('Novo nome da carteira:', portfolio.name);
+        if (!name) return;
+        
+        try {
+            this.renamePortfolio(portfolioId, name);
+            document.getElementById('portfolio-settings-modal')?.remove();
+            this.openSettings();
+        } catch (error) {
+            Notifications.show('Nome de carteira inválido ou já existente', 'error');
+        }
+    }
+    
+    confirmRemovePortfolio(portfolioId) {
+        const portfolio = this.getPortfolio(portfolioId);
+        if (!portfolio || !confirm(`Excluir a carteira ${portfolio.name} e todas as suas transações?`)) return;
+        
+        try {
+            this.removePortfolio(portfolioId);
+            document.getElementById('portfolio-settings-modal')?.remove();
+            this.openSettings();
+        } catch (error) {
+            Notifications.show('A última carteira não pode ser excluída', 'error');
+        }
+    }
+    
+    // Clears the active view: one portfolio's transactions, or every portfolio's when consolidated
     clearPortfolio() {
         if (confirm('Tem certeza que deseja limpar todo o portfólio? Esta ação não pode ser desfeita.')) {
+            const cleared = new Set(this.getTransactions());
+            this.transactions = this.transactions.filter(tx => !cleared.has(tx));
             this.portfolio.clear();
             this.savePortfolio();
             this.resetPortfolioValues();
@@ -514,5 +1938,15 @@ class PortfolioModule {
     }
 }
 
+// Custom Error Class
+class PortfolioError extends Error {
+    constructor(message, transaction = null) {
+        super(message);
+        this.name = 'PortfolioError';
+        this.transaction = transaction;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
 // Export for use in other modules
 const Portfolio = new PortfolioModule();
@@ -0,0 +1,701 @@
+/**
+ * Portfolio History Module
+ * Daily and per-refresh snapshots of portfolio value in IndexedDB, backfilled from price history.
+ * Each portfolio, and the consolidated view, keeps its own series.
+ */
+
+class PortfolioHistoryModule {
+    constructor() {
+        this.type = 'portfolio'; // Record type in the IndexedDB history store
+        this.ranges = { '7d': 7, '30d': 30, '1y': 365, all: null }; // Days shown by each chart range
+        this.range = '30d';
+        this.intradayDays = 7; // Per-refresh snapshots older than this are dropped; daily ones are kept
+        this.snapshotInterval = 15 * 60 * 1000; // Per-refresh snapshots are kept at most this often
+        this.lastSnapshots = {}; // `${currency}:${viewId}` -> time of the last per-refresh snapshot
+        this.maxBackfillDays = 365;
+        this.dayMs = 24 * 60 * 60 * 1000;
+        this.ledgerSignatures = {}; // viewId -> ledger as last seen, to spot edits to past transactions
+        this.staleViews = new Set(); // Views whose ledger changed while another one was shown
+        this.viewId = null;
+        this.lastCurrency = null;
+        this.backfilling = null;
+        this.backfillTimer = null;
+        this.lastCompaction = 0;
+        this.benchmarks = { bitcoin: 'Bitcoin', ethereum: 'Ethereum', fiat: 'Caixa (sem investir)' };
+        this.benchmark = 'bitcoin';
+        this.riskFreeRate = 0; // Annual, in percent, for Sharpe and Sortino
+        this.periodsPerYear = 365; // Crypto trades every day
+        this.metrics = null; // Last result of getPerformanceMetrics
+        this.metricsKey = null; // What this.metrics was computed for, see renderMetrics
+        this.benchmarkPrices = null; // { key, days, prices } of the last benchmark fetch
+        this.transferValues = {}; // `${currency}:${txId}` -> value of a transfer on the day it happened
+        this.recordVersion = 2; // Version 2 counts transfers in invested capital
+    }
+
+    init() {
+        console.log('📈 Portfolio History Module initialized');
+        const range = Storage.get('portfolioHistoryRange', this.range);
+        this.range = this.ranges[range] !== undefined ? range : this.range;
+        const benchmark = Storage.get('portfolioBenchmark', this.benchmark);
+        this.benchmark = this.benchmarks[benchmark] ? benchmark : this.benchmark;
+        this.riskFreeRate = Storage.get('riskFreeRate', this.riskFreeRate);
+        this.viewId = Portfolio.getActivePortfolioId();
+        this.getViewIds().forEach(viewId => {
+            this.ledgerSignatures[viewId] = this.getLedgerSignature(viewId);
+        });
+        this.lastCurrency = Storage.get('currency', 'usd');
+        this.transferValues = Storage.get('portfolioTransferValues', {});
+        this.setupEventListeners();
+
+        // The history store only exists once the database has opened; records from an older version are rebuilt
+        Storage.waitForDB().then(async () => {
+            const outdated = Storage.get('portfolioHistoryVersion', 1) < this.recordVersion;
+            if (outdated) {
+                this.getViewIds().filter(viewId => viewId !== this.viewId).forEach(viewId => this.staleViews.add(viewId));
+            }
+
+            await this.compact();
+            await this.backfill(outdated);
+            Storage.set('portfolioHistoryVersion', this.recordVersion);
+            this.render();
+        });
+    }
+
+    setupEventListeners() {
+        document.addEventListener('portfolioValueUpdate', (event) => {
+            this.record(event.detail);
+        });
+
+        // Backdated or removed transactions change what the past was worth
+        document.addEventListener('portfolioUpdate', () => {
+            this.checkLedgers();
+        });
+    }
+
+    // Every portfolio plus the consolidated view
+    getViewIds() {
+        return [...Portfolio.getPortfolios().map(portfolio => portfolio.id), Portfolio.consolidatedId];
+    }
+
+    getLedgerSignature(viewId = Portfolio.getActivePortfolioId()) {
+        return JSON.stringify(Portfolio.getTransactions(null, viewId));
+    }
+
+    checkLedgers() {
+        const viewIds = this.getViewIds();
+
+        viewIds.forEach(viewId => {
+            const signature = this.getLedgerSignature(viewId);
+            const previous = this.ledgerSignatures[viewId];
+
+            if (previous !== undefined && previous !== signature) {
+                this.staleViews.add(viewId);
+            }
+            this.ledgerSignatures[viewId] = signature;
+        });
+
+        // A removed portfolio's series goes with it
+        Object.keys(this.ledgerSignatures)
+            .filter(viewId => !viewIds.includes(viewId))
+            .forEach(viewId => {
+                delete this.ledgerSignatures[viewId];
+                this.staleViews.delete(viewId);
+                this.removeView(viewId);
+            });
+
+        const viewId = Portfolio.getActivePortfolioId();
+        const stale = this.staleViews.delete(viewId);
+
+        if (viewId !== this.viewId) {
+            this.viewId = viewId;
+            this.render();
+            this.scheduleBackfill(stale);
+        } else if (stale) {
+            this.scheduleBackfill(true);
+        }
+    }
+
+    async removeView(viewId) {
+        const records = await Storage.getHistory(this.type);
+        return Storage.removeHistory(records
+            .filter(record => (record.portfolioId || Portfolio.defaultPortfolio.id) === viewId)
+            .map(record => record.id));
+    }
+
+    getDayKey(date) {
+        const day = new Date(date);
+        return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+    }
+
+    // Ids from before multiple portfolios belong to the default one
+    getDailyId(currency, dayKey, viewId = Portfolio.getActivePortfolioId()) {
+        return viewId === Portfolio.defaultPortfolio.id ?
+            `${this.type}:${currency}:${dayKey}` :
+            `${this.type}:${viewId}:${currency}:${dayKey}`;
+    }
+
+    // A transfer moves capital between accounts rather than earning anything, so it is valued like a
+    // deposit: at its own price if it has one, else at its day's price (remembered from the backfill);
+    // transfers too recent for that use the current price
+    getTransferValue(transaction, currency, rates = Portfolio.rates) {
+        if (transaction.price !== null) {
+            const rate = Portfolio.getTransactionRate(transaction, currency, rates);
+            return rate === null ? null : transaction.price * transaction.amount * rate;
+        }
+
+        const cached = this.transferValues[`${currency}:${transaction.id}`];
+        if (cached !== undefined) return cached;
+
+        const current = Portfolio.pricesCurrency === currency ? Portfolio.prices[transaction.coinId]?.price : null;
+        return current ? current * transaction.amount : null;
+    }
+
+    // Values unpriced transfers at their day's price while the backfill has that history at hand
+    cacheTransferValues(transactions, prices, currency) {
+        let changed = false;
+
+        transactions
+            .filter(tx => (tx.type === 'transfer_in' || tx.type === 'transfer_out') && tx.price === null)
+            .forEach(tx => {
+                const price = prices[tx.coinId]?.get(this.getDayKey(tx.timestamp));
+                if (price === undefined) return;
+
+                this.transferValues[`${currency}:${tx.id}`] = price * tx.amount;
+                changed = true;
+            });
+
+        if (changed) {
+            Storage.set('portfolioTransferValues', this.transferValues);
+        }
+    }
+
+    // Snapshots
+    async record({ currency = Storage.get('currency', 'usd'), timestamp = Date.now() } = {}) {
+        if (Portfolio.getTransactions().length === 0) return;
+
+        const viewId = Portfolio.getActivePortfolioId();
+        const dayKey = this.getDayKey(timestamp);
+        const snapshot = {
+            type: this.type,
+            portfolioId: viewId,
+            source: 'live',
+            currency,
+            day: dayKey,
+            timestamp,
+            value: Portfolio.totalValue,
+            invested: Portfolio.getInvestedCapital(timestamp, currency, undefined, viewId,
+                tx => this.getTransferValue(tx, currency)),
+            costBasis: Portfolio.totalCost,
+            realized: Portfolio.totalRealized,
+            allocation: Object.fromEntries(
+                Portfolio.getHoldings().map(([coinId, coin]) => [coinId, coin.currentValue])
+            )
+        };
+
+        // A per-refresh record every snapshot interval, plus the day's record which each refresh overwrites
+        const snapshotKey = `${currency}:${viewId}`;
+        const intraday = timestamp - (this.lastSnapshots[snapshotKey] || 0) >= this.snapshotInterval;
+
+        if (intraday) {
+            this.lastSnapshots[snapshotKey] = timestamp;
+            await Storage.addHistory({ ...snapshot, resolution: 'refresh' });
+        }
+        await Storage.addHistory({ ...snapshot, resolution: 'day', id: this.getDailyId(currency, dayKey, viewId) });
+
+        if (currency !== this.lastCurrency) {
+            this.lastCurrency = currency;
+            this.scheduleBackfill();
+        }
+
+        if (Date.now() - this.lastCompaction > this.dayMs) {
+            await this.compact();
+        }
+
+        if (intraday) {
+            this.render();
+        }
+    }
+
+    async getRecords(currency = Storage.get('currency', 'usd'), since = null, viewId = Portfolio.getActivePortfolioId()) {
+        const records = await Storage.getHistory(this.type, since);
+        return records
+            .filter(record => record.currency === currency)
+            .filter(record => (record.portfolioId || Portfolio.defaultPortfolio.id) === viewId)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    async compact() {
+        this.lastCompaction = Date.now();
+
+        const cutoff = Date.now() - this.intradayDays * this.dayMs;
+        const records = await Storage.getHistory(this.type);
+        const expired = records
+            .filter(record => record.resolution === 'refresh' && record.timestamp < cutoff)
+            .map(record => record.id);
+
+        return Storage.removeHistory(expired);
+    }
+
+    // Backfill
+    scheduleBackfill(force = false) {
+        clearTimeout(this.backfillTimer);
+        this.backfillTimer = setTimeout(async () => {
+            await this.backfill(force);
+            this.render();
+        }, 2000);
+    }
+
+    // Concurrent callers share the run already in progress
+    backfill(force = false) {
+        if (!this.backfilling) {
+            this.backfilling = this.runBackfill(force)
+                .catch(error => {
+                    console.error('Portfolio history backfill failed:', error);
+                    return 0;
+                })
+                .finally(() => {
+                    this.backfilling = null;
+                });
+        }
+
+        return this.backfilling;
+    }
+
+    // Rebuilds each past day from the ledger and that day's prices. Without `force`, days that already
+    // have a record are left alone; with it, every past day is recomputed against the current ledger.
+    async runBackfill(force = false) {
+        const currency = Storage.get('currency', 'usd');
+        // Pinned for the whole run, which may outlast a switch of view
+        const viewId = Portfolio.getActivePortfolioId();
+        const transactions = Portfolio.getTransactions(null, viewId);
+
+        if (transactions.length === 0) {
+            await this.removeView(viewId);
+            return 0;
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const firstDay = new Date(transactions[0].timestamp);
+        firstDay.setHours(0, 0, 0, 0);
+
+        const days = Math.min(Math.round((today - firstDay) / this.dayMs), this.maxBackfillDays);
+        const existing = new Set((await this.getRecords(currency, null, viewId))
+            .filter(record => record.resolution === 'day')
+            .map(record => record.day));
+
+        // Today's record comes from live refreshes. Calendar steps rather than fixed 24h ones, which DST would skew.
+        const missing = Array.from({ length: days }, (_, i) => {
+            const day = new Date(today);
+            day.setDate(today.getDate() - (days - i));
+            return day;
+        }).filter(day => force || !existing.has(this.getDayKey(day)));
+
+        if (missing.length === 0) return 0;
+
+        const rates = transactions.some(tx => tx.currency !== currency) ?
+            await API.getExchangeRates('usd', 'background') : null;
+        if (rates) {
+            await Portfolio.loadHistoricalRates(currency);
+        }
+        const prices = await this.getDailyPrices([...new Set(transactions.map(tx => tx.coinId))], days + 1, currency);
+        this.cacheTransferValues(transactions, prices, currency);
+        const lastPrices = {};
+        let written = 0;
+
+        for (const day of missing) {
+            const end = new Date(day);
+            end.setHours(23, 59, 59, 999);
+            const positions = Portfolio.getPositionsAt(end, currency, rates, viewId);
+            const allocation = {};
+            let complete = true;
+            let costBasis = 0;
+            let realized = 0;
+
+            positions.forEach((position, coinId) => {
+                const price = prices[coinId]?.get(this.getDayKey(day)) ?? lastPrices[coinId] ?? null;
+                if (price !== null) lastPrices[coinId] = price;
+
+                costBasis += position.costBasis;
+                realized += position.realizedPnL;
+
+                if (position.amount <= 0) return;
+
+                // A partial total would read as a crash in the chart
+                if (price === null) {
+                    complete = false;
+                    return;
+                }
+
+                allocation[coinId] = position.amount * price;
+            });
+
+            if (!complete) continue;
+
+            const dayKey = this.getDayKey(day);
+            await Storage.addHistory({
+                id: this.getDailyId(currency, dayKey, viewId),
+                type: this.type,
+                portfolioId: viewId,
+                resolution: 'day',
+                source: 'backfill',
+                currency,
+                day: dayKey,
+                timestamp: end.getTime(),
+                value: Object.values(allocation).reduce((sum, value) => sum + value, 0),
+                invested: Portfolio.getInvestedCapital(end, currency, rates, viewId,
+                    tx => this.getTransferValue(tx, currency, rates)),
+                costBasis,
+                realized,
+                allocation
+            });
+            written++;
+        }
+
+        if (written > 0) {
+            this.metricsKey = null;
+        }
+
+        console.log(`📈 Backfilled ${written} days of portfolio history`);
+        return written;
+    }
+
+    // coinId -> Map(dayKey -> last price of that day)
+    async getDailyPrices(coinIds, days, currency) {
+        const prices = {};
+
+        // One at a time, in the background lane, so the backfill never crowds out the UI
+        for (const coinId of coinIds) {
+            const history = await API.getHistoricalData(coinId, days, currency, 'background');
+            if (history.fallback) continue;
+
+            const byDay = new Map();
+            history.labels.forEach((label, i) => {
+                byDay.set(this.getDayKey(label), history.datasets[0].data[i]);
+            });
+            prices[coinId] = byDay;
+        }
+
+        return prices;
+    }
+
+    // Series
+    getRangeStart(range = this.range) {
+        const days = this.ranges[range];
+        return days ? Date.now() - days * this.dayMs : null;
+    }
+
+    async getSeries(range = this.range, currency = Storage.get('currency', 'usd')) {
+        return this.toSeries(range, await this.getRecords(currency, this.getRangeStart(range)));
+    }
+
+    // Short ranges show every refresh; longer ones one point per day
+    toSeries(range, records) {
+        return records
+            .filter(record => range === '7d' ? record.resolution === 'refresh' || record.source === 'backfill' : record.resolution === 'day')
+            .map(record => ({
+                timestamp: record.timestamp,
+                value: record.value,
+                invested: record.invested,
+                costBasis: record.costBasis,
+                realized: record.realized,
+                allocation: record.allocation
+            }));
+    }
+
+    setRange(range) {
+        if (this.ranges[range] === undefined) {
+            throw new Error(`Unknown history range '${range}'`);
+        }
+
+        this.range = range;
+        Storage.set('portfolioHistoryRange', range);
+        this.render();
+    }
+
+    // Performance Metrics
+    // From the daily records: each day's change in invested capital is that day's external cash flow,
+    // coins transferred in or out included, so returns can be measured net of deposits and withdrawals.
+    // Percentages throughout.
+    // `records` can pass in the range's records when they were already read.
+    async getPerformanceMetrics(range = this.range, { benchmark = this.benchmark, riskFreeRate = this.riskFreeRate, records = null } = {}) {
+        const currency = Storage.get('currency', 'usd');
+        records = (records || await this.getRecords(currency, this.getRangeStart(range)))
+            .filter(record => record.resolution === 'day');
+
+        if (records.length < 2) return null;
+
+        const flows = records.map((record, i) => i === 0 ? 0 : record.invested - records[i - 1].invested);
+        const returns = this.getPeriodReturns(records, flows);
+        const index = returns.reduce((points, r) => [...points, points[points.length - 1] * (1 + r)], [1]);
+        const twr = index[index.length - 1] - 1;
+        const elapsedDays = (records[records.length - 1].timestamp - records[0].timestamp) / this.dayMs;
+
+        const first = records[0];
+        const last = records[records.length - 1];
+        const irr = this.calculateIRR([
+            { timestamp: first.timestamp, amount: -first.value },
+            ...records.slice(1).map((record, i) => ({ timestamp: record.timestamp, amount: -flows[i + 1] })),
+            { timestamp: last.timestamp, amount: last.value }
+        ]);
+
+        // IRR is annual; windows under a year report the rate over the window itself, like the TWR
+        const mwr = irr === null ? null :
+            elapsedDays >= this.periodsPerYear ? irr : Math.pow(1 + irr, elapsedDays / this.periodsPerYear) - 1;
+
+        const drawdown = this.calculateMaxDrawdown(index, records);
+        const risk = this.calculateRiskRatios(returns, riskFreeRate);
+
+        this.metrics = {
+            range,
+            currency,
+            start: first.timestamp,
+            end: last.timestamp,
+            days: Math.round(elapsedDays),
+            startValue: first.value,
+            endValue: last.value,
+            netFlows: flows.reduce((sum, flow) => sum + flow, 0),
+            timeWeightedReturn: twr * 100,
+            annualizedReturn: elapsedDays >= this.periodsPerYear ?
+                (Math.pow(1 + twr, this.periodsPerYear / elapsedDays) - 1) * 100 : null, // Not extrapolated from under a year
+            moneyWeightedReturn: mwr !== null ? mwr * 100 : null,
+            maxDrawdown: drawdown.maxDrawdown * 100,
+            drawdownPeak: drawdown.peak,
+            drawdownTrough: drawdown.trough,
+            ...risk,
+            benchmark: await this.getBenchmarkComparison(benchmark, records, flows, twr, currency)
+        };
+
+        return this.metrics;
+    }
+
+    // Daily return with that day's flow counted at the start of the day
+    getPeriodReturns(records, flows) {
+        return records.slice(1).map((record, i) => {
+            const base = records[i].value + flows[i + 1];
+            return base > 0 ? record.value / base - 1 : 0;
+        });
+    }
+
+    // Annualized rate where the flows' present values sum to zero, found by bisection
+    calculateIRR(flows) {
+        if (!flows.some(flow => flow.amount > 0) || !flows.some(flow => flow.amount < 0)) return null;
+
+        const start = flows[0].timestamp;
+        const npv = rate => flows.reduce((sum, flow) =>
+            sum + flow.amount / Math.pow(1 + rate, (flow.timestamp - start) / (this.periodsPerYear * this.dayMs)), 0);
+
+        let low = -0.9999;
+        let high = 1;
+        while (npv(low) * npv(high) > 0 && high < 1e6) {
+            high *= 2;
+        }
+
+        if (npv(low) * npv(high) > 0) return null;
+
+        for (let i = 0; i < 200 && high - low > 1e-10; i++) {
+            const mid = (low + high) / 2;
+            if (npv(mid) * npv(low) > 0) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return (low + high) / 2;
+    }
+
+    // On the time-weighted index, so deposits don't hide losses and withdrawals don't look like them
+    calculateMaxDrawdown(index, records) {
+        let peakIndex = 0;
+        const result = { maxDrawdown: 0, peak: null, trough: null };
+
+        index.forEach((value, i) => {
+            if (value > index[peakIndex]) {
+                peakIndex = i;
+            }
+
+            const drawdown = value / index[peakIndex] - 1;
+            if (drawdown < result.maxDrawdown) {
+                result.maxDrawdown = drawdown;
+                result.peak = records[peakIndex].timestamp;
+                result.trough = records[i].timestamp;
+            }
+        });
+
+        return result;
+    }
+
+    calculateRiskRatios(returns, riskFreeRate) {
+        const riskFree = riskFreeRate / 100 / this.periodsPerYear;
+        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+        const variance = returns.length > 1 ?
+            returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1) : 0;
+        const deviation = Math.sqrt(variance);
+        const downside = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(Math.min(r - riskFree, 0), 2), 0) / returns.length);
+        const annualize = Math.sqrt(this.periodsPerYear);
+
+        return {
+            volatility: deviation * annualize * 100,
+            sharpeRatio: deviation > 0 ? ((mean - riskFree) / deviation) * annualize : null,
+            sortinoRatio: downside > 0 ? ((mean - riskFree) / downside) * annualize : null
+        };
+    }
+
+    // The benchmark's own return, and what the same deposits and withdrawals would be worth had they gone into it
+    async getBenchmarkComparison(benchmark, records, flows, twr, currency) {
+        const first = records[0];
+        const last = records[records.length - 1];
+
+        if (benchmark === 'fiat') {
+            const shadowValue = first.value + flows.reduce((sum, flow) => sum + flow, 0);
+            return {
+                id: benchmark,
+                name: this.benchmarks[benchmark],
+                return: 0,
+                excessReturn: twr * 100,
+                shadowValue,
+                valueDifference: last.value - shadowValue
+            };
+        }
+
+        const days = Math.min(Math.ceil((Date.now() - first.timestamp) / this.dayMs) + 1, this.maxBackfillDays);
+        const prices = await this.getBenchmarkPrices(benchmark, days, currency);
+        if (!prices) return null;
+
+        // Days missing from the price history use the previous day's price
+        let lastPrice = null;
+        const priceOn = records.map(record => {
+            lastPrice = prices.get(record.day) ?? lastPrice;
+            return lastPrice;
+        });
+
+        if (!priceOn[0] || !priceOn[priceOn.length - 1]) return null;
+
+        const units = records.reduce((total, record, i) =>
+            total + (i === 0 ? record.value : flows[i]) / priceOn[i], 0);
+        const benchmarkReturn = priceOn[priceOn.length - 1] / priceOn[0] - 1;
+        const shadowValue = units * priceOn[priceOn.length - 1];
+
+        return {
+            id: benchmark,
+            name: this.benchmarks[benchmark],
+            return: benchmarkReturn * 100,
+            excessReturn: (twr - benchmarkReturn) * 100,
+            shadowValue,
+            valueDifference: last.value - shadowValue
+        };
+    }
+
+    // Daily closes don't change within the day, so one fetch serves every range until tomorrow
+    async getBenchmarkPrices(benchmark, days, currency) {
+        const key = `${benchmark}:${currency}:${this.getDayKey(Date.now())}`;
+        const cached = this.benchmarkPrices;
+
+        if (cached?.key === key && cached.days >= days) {
+            return cached.prices;
+        }
+
+        const prices = (await this.getDailyPrices([benchmark], days, currency))[benchmark];
+        if (prices) {
+            this.benchmarkPrices = { key, days, prices };
+        }
+
+        return prices || null;
+    }
+
+    setBenchmark(benchmark) {
+        if (!this.benchmarks[benchmark]) {
+            throw new Error(`Unknown benchmark '${benchmark}'`);
+        }
+
+        this.benchmark = benchmark;
+        Storage.set('portfolioBenchmark', benchmark);
+        this.renderMetrics();
+    }
+
+    // Display
+    async render() {
+        const canvas = document.getElementById('portfolio-history-chart');
+        if (!canvas) return;
+
+        document.querySelectorAll('.portfolio-range-btn').forEach(button => {
+            const active = button.dataset.range === this.range;
+            button.classList.toggle('btn-primary', active);
+            button.classList.toggle('btn-secondary', !active);
+        });
+
+        const currency = Storage.get('currency', 'usd');
+        const records = await this.getRecords(currency, this.getRangeStart(this.range));
+        const series = this.toSeries(this.range, records);
+
+        document.getElementById('portfolio-history-empty')?.classList.toggle('hidden', series.length > 1);
+        canvas.classList.toggle('hidden', series.length <= 1);
+
+        if (series.length <= 1) {
+            Charts.destroyChart('portfolio-history-chart');
+            return;
+        }
+
+        Charts.renderPortfolioHistoryChart('portfolio-history-chart', series, currency);
+        this.renderMetrics(records);
+    }
+
+    // Metrics are recomputed only when the view, range, benchmark or day changes, or a backfill rewrote
+    // the past; refreshes within the day reuse them
+    async renderMetrics(records = null) {
+        const container = document.getElementById('portfolio-metrics');
+        if (!container) return;
+
+        const select = document.getElementById('portfolio-benchmark');
+        if (select) select.value = this.benchmark;
+
+        const currency = Storage.get('currency', 'usd');
+        const key = [this.viewId, currency, this.range, this.benchmark, this.riskFreeRate, this.getDayKey(Date.now())].join(':');
+
+        if (key !== this.metricsKey) {
+            this.metrics = await this.getPerformanceMetrics(this.range, { records });
+            this.metricsKey = key;
+        }
+
+        const metrics = this.metrics;
+        if (!metrics) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const percent = value => value === null ? '--' : Formatters.formatPercentage(value);
+        const ratio = value => value === null ? '--' : value.toFixed(2);
+        const trend = value => value === null ? '' : value >= 0 ? 'trend-up' : 'trend-down';
+        const benchmark = metrics.benchmark;
+
+        const items = [
+            { label: 'Retorno (TWR)', value: percent(metrics.timeWeightedReturn), className: trend(metrics.timeWeightedReturn) },
+            { label: 'Retorno (MWR)', value: percent(metrics.moneyWeightedReturn), className: trend(metrics.moneyWeightedReturn) },
+            { label: 'Drawdown Máximo', value: percent(metrics.maxDrawdown), className: metrics.maxDrawdown < 0 ? 'trend-down' : '' },
+            { label: 'Volatilidade a.a.', value: percent(metrics.volatility), className: '' },
+            { label: 'Sharpe', value: ratio(metrics.sharpeRatio), className: '' },
+            { label: 'Sortino', value: ratio(metrics.sortinoRatio), className: '' },
+            {
+                label: `vs ${this.benchmarks[this.benchmark]}`,
+                value: benchmark ? percent(benchmark.excessReturn) : '--',
+                className: benchmark ? trend(benchmark.excessReturn) : ''
+            }
+        ];
+
+        container.innerHTML = items.map(item => `
+            <div class="text-center">
+                <p class="text-xs text-gray-400">${item.label}</p>
+                <p class="font-semibold ${item.className}">${item.value}</p>
+            </div>
+        `).join('');
+    }
+
+    destroy() {
+        clearTimeout(this.backfillTimer);
+    }
+}
+
+// Export for use in other modules
+const PortfolioHistory = new PortfolioHistoryModule();
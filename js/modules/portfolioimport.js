@@ -0,0 +1,512 @@
+/**
+ * Portfolio Import Module
+ * Turns exchange trade-history CSV files into portfolio transactions, with a preview before anything is saved
+ */
+
+class PortfolioImportModule {
+    constructor() {
+        this.maxFileSize = 5 * 1024 * 1024;
+        this.allowedTypes = ['.csv', '.txt', 'text/csv', 'text/plain'];
+        this.delimiters = [',', ';', '\t'];
+        this.previewRows = 100; // Rows listed in the preview; every valid row is imported
+        this.quoteSymbols = ['USDT', 'USDC', 'FDUSD', 'BUSD', 'TUSD', 'DAI', 'BRL', 'EUR', 'USD', 'GBP', 'TRY', 'BTC', 'ETH', 'BNB'];
+        this.symbolMap = {}; // Upper-case symbol -> coinId, for symbols the automatic lookup gets wrong or misses
+        this.fieldLabels = {
+            id: 'ID', date: 'Data', type: 'Tipo', side: 'Tipo', coin: 'Moeda', asset: 'Moeda', pair: 'Par',
+            amount: 'Quantidade', price: 'Preço', total: 'Total', subtotal: 'Subtotal', fee: 'Taxa',
+            feeAsset: 'Moeda da taxa', currency: 'Cotação', note: 'Nota', notes: 'Notas'
+        };
+        this.file = null; // { name, text } of the file being previewed
+        this.preview = null;
+    }
+
+    init() {
+        console.log('📥 Portfolio Import Module initialized');
+        this.symbolMap = Storage.get('importSymbolMap', {});
+    }
+
+    // Files
+    async readFile(file) {
+        const validation = Validators.validateFile(file, {
+            required: true,
+            maxSize: this.maxFileSize,
+            allowedTypes: this.allowedTypes
+        });
+
+        if (!validation.isValid) {
+            throw new ImportError(validation.errors.join('; '));
+        }
+
+        return file.text();
+    }
+
+    // CSV Parsing
+    detectDelimiter(text) {
+        const sample = text.split(/\r?\n/).find(line => line.trim()) || '';
+        const counts = this.delimiters.map(delimiter => sample.split(delimiter).length);
+        return this.delimiters[counts.indexOf(Math.max(...counts))];
+    }
+
+    // Quoted fields may hold delimiters, doubled quotes and line breaks
+    parseRecords(text, delimiter) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push({ line: recordLine, cells: record });
+                record = [];
+                field = '';
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || record.length > 0) {
+            record.push(field);
+            records.push({ line: recordLine, cells: record });
+        }
+
+        return records.filter(({ cells }) => cells.some(cell => cell.trim()));
+    }
+
+    parseCSV(text) {
+        const clean = String(text || '').replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(clean);
+        const records = this.parseRecords(clean, delimiter);
+
+        // Some exports open with a few lines of explanation before the header row
+        const headerIndex = records.findIndex(({ cells }) => cells.filter(cell => cell.trim()).length >= 3);
+        if (headerIndex === -1) {
+            throw new ImportError('Nenhuma linha de cabeçalho encontrada no arquivo');
+        }
+
+        return {
+            delimiter,
+            headers: records[headerIndex].cells.map(cell => cell.trim()),
+            rows: records.slice(headerIndex + 1)
+        };
+    }
+
+    // Symbols
+    // Later sources override earlier ones: the full coin list only for unambiguous symbols, then the
+    // market listing (largest cap wins), the exchange adapters, the stablecoin registry and the user's own choices
+    async getSymbolIndex() {
+        const index = new Map();
+        const add = (symbol, coinId) => {
+            if (symbol && coinId) index.set(symbol.toUpperCase(), coinId);
+        };
+
+        try {
+            const counts = new Map();
+            const coins = await API.getCoinsList();
+            coins.forEach(coin => counts.set(coin.symbol.toUpperCase(), (counts.get(coin.symbol.toUpperCase()) || 0) + 1));
+            coins.filter(coin => counts.get(coin.symbol.toUpperCase()) === 1).forEach(coin => add(coin.symbol, coin.id));
+        } catch (error) {
+            console.error('Failed to load coins list for import:', error);
+        }
+
+        const markets = PriceBus.getSnapshot()?.markets;
+        (Array.isArray(markets) ? [...markets].reverse() : []).forEach(coin => add(coin.symbol, coin.id));
+        Object.entries(Validators.cryptoCurrencies).forEach(([coinId, info]) => add(info.symbol, coinId));
+        ExchangeRegistry.getAdapters().forEach(adapter => {
+            Object.entries(adapter.symbolMap).forEach(([coinId, symbol]) => add(symbol, coinId));
+        });
+        Stablecoins.getStablecoinIds().forEach(coinId => add(Stablecoins.getStablecoin(coinId).symbol, coinId));
+        Object.entries(this.symbolMap).forEach(([symbol, coinId]) => add(symbol, coinId));
+
+        return index;
+    }
+
+    // What importers resolve symbols and currencies through
+    createContext(index, currency) {
+        const unknownSymbols = new Set();
+
+        return {
+            currency,
+            quoteSymbols: this.quoteSymbols,
+            unknownSymbols,
+            isFiat: symbol => Validators.isFiatCurrency(symbol),
+            getCoinId: symbol => {
+                const coinId = index.get(String(symbol || '').toUpperCase()) || null;
+                if (!coinId && symbol) unknownSymbols.add(symbol.toUpperCase());
+                return coinId;
+            },
+            getCurrency: symbol => {
+                const code = String(symbol || '').toUpperCase();
+                if (Validators.isFiatCurrency(code)) return code.toLowerCase();
+
+                const coinId = index.get(code);
+                return coinId && Stablecoins.isStablecoin(coinId) ? Stablecoins.getStablecoin(coinId).pegCurrency : null;
+            }
+        };
+    }
+
+    setSymbol(symbol, coinId) {
+        const key = (symbol || '').trim().toUpperCase();
+        if (!key) return;
+
+        if (coinId) {
+            this.symbolMap[key] = coinId.trim().toLowerCase();
+        } else {
+            delete this.symbolMap[key];
+        }
+        Storage.set('importSymbolMap', this.symbolMap);
+    }
+
+    // Deduplication
+    hash(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    // Matches transactions entered by hand, which only have minute precision
+    getFingerprint(transaction) {
+        const minute = Math.floor(new Date(transaction.timestamp).getTime() / 60000);
+        return `${transaction.coinId}|${transaction.type}|${transaction.amount}|${minute}`;
+    }
+
+    // Preview
+    async createPreview(text, { importerId = null, mapping = {}, portfolioId = null } = {}) {
+        const csv = this.parseCSV(text);
+        const importer = CsvImportRegistry.get(importerId) ||
+            CsvImportRegistry.detect(csv.headers) ||
+            CsvImportRegistry.get('generic');
+        const columns = { ...importer.getMapping(csv.headers), ...mapping };
+        const missing = importer.getMissingFields(columns);
+        const targetId = Portfolio.getPortfolio(portfolioId) ? portfolioId :
+            Portfolio.getWritablePortfolioId() || Portfolio.getPortfolios()[0].id;
+        const context = this.createContext(await this.getSymbolIndex(), Storage.get('currency', 'usd'));
+
+        const existing = Portfolio.getTransactions(null, targetId);
+        const importIds = new Set(existing.map(tx => tx.importId).filter(Boolean));
+        const fingerprints = new Set(existing.map(tx => this.getFingerprint(tx)));
+        const occurrences = new Map(); // Identical rows in one file are separate trades, not duplicates
+
+        const rows = missing.length > 0 ? [] : csv.rows.map(({ line, cells }) => {
+            const content = cells.join('\u0000');
+            const occurrence = (occurrences.get(content) || 0) + 1;
+            occurrences.set(content, occurrence);
+
+            const row = {
+                cells,
+                get: field => columns[field] >= 0 ? (cells[columns[field]] ?? '').trim() : ''
+            };
+
+            try {
+                const transactions = importer.parseRow(row, context).map((draft, i) => Portfolio.normalizeTransaction({
+                    ...draft,
+                    portfolioId: targetId,
+                    importId: `${importer.id}:${draft.externalId || `${this.hash(content)}:${occurrence}:${i}`}`,
+                    note: draft.note || `Importado de ${importer.name}`
+                }));
+                transactions.forEach(transaction => Portfolio.validateTransaction(transaction));
+
+                const fresh = transactions.filter(tx => !importIds.has(tx.importId) && !fingerprints.has(this.getFingerprint(tx)));
+
+                return {
+                    line,
+                    status: transactions.length === 0 ? 'skipped' : fresh.length === 0 ? 'duplicate' : 'new',
+                    transactions: fresh,
+                    error: null
+                };
+            } catch (error) {
+                return {
+                    line,
+                    status: 'error',
+                    transactions: [],
+                    error: error.name === 'ImportError' ? error.message : 'Valores inválidos'
+                };
+            }
+        });
+
+        this.checkLedgers(rows, targetId);
+
+        const count = status => rows.filter(row => row.status === status).length;
+        this.preview = {
+            importer,
+            headers: csv.headers,
+            mapping: columns,
+            missing,
+            portfolioId: targetId,
+            rows,
+            transactions: rows.flatMap(row => row.transactions),
+            unknownSymbols: Array.from(context.unknownSymbols),
+            counts: {
+                new: count('new'),
+                duplicate: count('duplicate'),
+                skipped: count('skipped'),
+                error: count('error')
+            }
+        };
+
+        return this.preview;
+    }
+
+    // A coin whose imported sales would exceed what the portfolio held is left out entirely,
+    // usually because the file doesn't include the deposits or earlier purchases
+    checkLedgers(rows, portfolioId) {
+        const incoming = rows.flatMap(row => row.transactions);
+        const combined = [...Portfolio.getTransactions(null, Portfolio.consolidatedId), ...incoming];
+
+        new Set(incoming.map(tx => tx.coinId)).forEach(coinId => {
+            try {
+                Portfolio.validateLedger(coinId, portfolioId, combined);
+            } catch (error) {
+                rows.forEach(row => {
+                    if (!row.transactions.some(tx => tx.coinId === coinId)) return;
+
+                    row.transactions = row.transactions.filter(tx => tx.coinId !== coinId);
+                    row.error = `Saldo insuficiente de ${coinId}: importe também os depósitos e compras anteriores`;
+                    if (row.transactions.length === 0) row.status = 'error';
+                });
+            }
+        });
+    }
+
+    async commit(preview = this.preview) {
+        if (!preview || preview.transactions.length === 0) return [];
+
+        const added = Portfolio.addTransactions(preview.transactions);
+        this.preview = null;
+
+        return added;
+    }
+
+    // Import Dialog
+    openImportModal() {
+        this.file = null;
+        this.preview = null;
+
+        const modal = document.createElement('div');
+        modal.id = 'portfolio-import-modal';
+        modal.className = 'fixed inset-0 bg-black/50 backdrop-blur-sm z-50';
+        modal.innerHTML = `
+            <div class="flex items-center justify-center min-h-screen p-4">
+                <div class="glassmorphism p-6 rounded-2xl w-full max-w-3xl max-h-screen overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-xl font-bold">Importar Histórico de Corretora</h3>
+                        <button onclick="this.closest('.fixed').remove()" class="p-1 hover:bg-white/10 rounded">
+                            <i data-feather="x" class="w-5 h-5"></i>
+                        </button>
+                    </div>
+
+                    <div class="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+                        <div>
+                            <label class="block text-xs text-gray-400 mb-1">Arquivo CSV</label>
+                            <input type="file" id="import-csv-file" accept=".csv,.txt" class="text-sm w-full" onchange="PortfolioImport.handleFile(this.files[0])">
+                        </div>
+                        <div>
+                            <label class="block text-xs text-gray-400 mb-1">Formato</label>
+                            <select id="import-csv-format" class="control-select w-full" onchange="PortfolioImport.refreshPreview(true)">
+                                <option value="">Detectar automaticamente</option>
+                                ${CsvImportRegistry.getImporters().map(importer => `
+                                    <option value="${importer.id}">${Formatters.sanitizeText(importer.name)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-xs text-gray-400 mb-1">Carteira</label>
+                            <select id="import-csv-portfolio" class="control-select w-full" onchange="PortfolioImport.refreshPreview()">
+                                ${Portfolio.getPortfolios().map(portfolio => `
+                                    <option value="${portfolio.id}" ${portfolio.id === Portfolio.getWritablePortfolioId() ? 'selected' : ''}>${Formatters.sanitizeText(portfolio.name)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div id="import-csv-preview">
+                        <p class="text-gray-400 text-sm">Aceita exportações da ${CsvImportRegistry.getImporters().map(importer => Formatters.sanitizeText(importer.name)).join(', ')}. Nada é salvo antes da confirmação.</p>
+                    </div>
+
+                    <button id="import-csv-confirm" onclick="PortfolioImport.confirmImport()" class="w-full btn-primary mt-4" disabled>Importar</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        feather.replace();
+    }
+
+    async handleFile(file) {
+        try {
+            this.file = { name: file?.name, text: await this.readFile(file) };
+            await this.refreshPreview(true);
+        } catch (error) {
+            console.error('Failed to read import file:', error);
+            this.file = null;
+            this.renderError(error.name === 'ImportError' ? error.message : 'Não foi possível ler o arquivo');
+        }
+    }
+
+    // Picking another format starts again from that format's own column guesses
+    async refreshPreview(resetMapping = false) {
+        if (!this.file) return;
+
+        const mapping = {};
+        if (!resetMapping) {
+            document.querySelectorAll('#import-csv-preview [data-field]').forEach(select => {
+                mapping[select.dataset.field] = Number(select.value);
+            });
+        }
+
+        try {
+            await this.createPreview(this.file.text, {
+                importerId: document.getElementById('import-csv-format')?.value || null,
+                mapping,
+                portfolioId: document.getElementById('import-csv-portfolio')?.value || null
+            });
+            this.renderPreview();
+        } catch (error) {
+            console.error('Failed to preview import:', error);
+            this.preview = null;
+            this.renderError(error.name === 'ImportError' ? error.message : 'Arquivo CSV inválido');
+        }
+    }
+
+    applySymbols() {
+        document.querySelectorAll('#import-csv-preview [data-symbol]').forEach(input => {
+            if (input.value.trim()) this.setSymbol(input.dataset.symbol, input.value);
+        });
+        this.refreshPreview();
+    }
+
+    renderError(message) {
+        const container = document.getElementById('import-csv-preview');
+        if (container) {
+            container.innerHTML = `<p class="trend-down text-sm">${Formatters.sanitizeText(message)}</p>`;
+        }
+
+        const button = document.getElementById('import-csv-confirm');
+        if (button) button.disabled = true;
+    }
+
+    renderPreview() {
+        const container = document.getElementById('import-csv-preview');
+        const preview = this.preview;
+        if (!container || !preview) return;
+
+        const statusLabels = { new: 'Nova', duplicate: 'Duplicada', skipped: 'Ignorada', error: 'Erro' };
+        const headerOptions = selected => ['<option value="-1">—</option>', ...preview.headers.map((header, i) => `
+            <option value="${i}" ${i === selected ? 'selected' : ''}>${Formatters.sanitizeText(header)}</option>
+        `)].join('');
+
+        const mapping = preview.importer.getFields().map(field => `
+            <div>
+                <label class="block text-xs text-gray-400 mb-1">${this.fieldLabels[field] || field}${preview.importer.required.includes(field) ? ' *' : ''}</label>
+                <select data-field="${field}" class="control-select w-full text-xs" onchange="PortfolioImport.refreshPreview()">
+                    ${headerOptions(preview.mapping[field])}
+                </select>
+            </div>
+        `).join('');
+
+        const symbols = preview.unknownSymbols.length === 0 ? '' : `
+            <div class="mb-4">
+                <h4 class="font-semibold mb-2 text-sm">Moedas não reconhecidas</h4>
+                <div class="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-2">
+                    ${preview.unknownSymbols.map(symbol => `
+                        <input type="text" data-symbol="${Formatters.sanitizeText(symbol)}" class="control-input text-xs" placeholder="${Formatters.sanitizeText(symbol)} → id (ex: solana)">
+                    `).join('')}
+                </div>
+                <button onclick="PortfolioImport.applySymbols()" class="btn-secondary text-xs">Aplicar</button>
+            </div>
+        `;
+
+        const problems = preview.rows.filter(row => row.error).slice(0, this.previewRows).map(row => `
+            <p class="text-xs ${row.status === 'error' ? 'trend-down' : 'text-yellow-400'}">Linha ${row.line}: ${Formatters.sanitizeText(row.error)}</p>
+        `).join('');
+
+        const transactions = preview.rows
+            .filter(row => row.status !== 'error')
+            .slice(0, this.previewRows)
+            .flatMap(row => (row.transactions.length > 0 ? row.transactions : [null]).map(tx => ({ row, tx })))
+            .map(({ row, tx }) => `
+                <tr class="border-b border-white/5 ${row.status === 'new' ? '' : 'text-gray-500'}">
+                    <td class="py-1 pr-2">${row.line}</td>
+                    <td class="py-1 pr-2">${tx ? Formatters.formatDate(tx.timestamp) : ''}</td>
+                    <td class="py-1 pr-2">${tx ? Portfolio.transactionTypes[tx.type].label : ''}</td>
+                    <td class="py-1 pr-2">${tx ? Formatters.sanitizeText(tx.coinId.toUpperCase()) : ''}</td>
+                    <td class="py-1 pr-2 text-right">${tx ? Formatters.formatNumber(tx.amount, 8) : ''}</td>
+                    <td class="py-1 pr-2 text-right">${tx && tx.price !== null ? Formatters.formatCurrency(tx.price, tx.currency) : '--'}</td>
+                    <td class="py-1">${statusLabels[row.status]}</td>
+                </tr>
+            `).join('');
+
+        container.innerHTML = `
+            <p class="text-sm mb-3">
+                Formato: <strong>${Formatters.sanitizeText(preview.importer.name)}</strong> ·
+                ${preview.counts.new} novas · ${preview.counts.duplicate} já importadas ·
+                ${preview.counts.skipped} ignoradas · ${preview.counts.error} com erro
+            </p>
+
+            <h4 class="font-semibold mb-2 text-sm">Colunas</h4>
+            <div class="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-4">${mapping}</div>
+            ${preview.missing.length > 0 ? `
+                <p class="trend-down text-sm mb-4">Associe as colunas obrigatórias: ${preview.missing.map(field => this.fieldLabels[field] || field).join(', ')}</p>
+            ` : ''}
+
+            ${symbols}
+            ${problems ? `<div class="mb-4 max-h-32 overflow-y-auto">${problems}</div>` : ''}
+
+            ${transactions ? `
+                <div class="max-h-64 overflow-y-auto">
+                    <table class="w-full text-xs">
+                        <thead class="text-gray-400 text-left">
+                            <tr><th>Linha</th><th>Data</th><th>Tipo</th><th>Moeda</th><th class="text-right">Quantidade</th><th class="text-right">Preço</th><th>Situação</th></tr>
+                        </thead>
+                        <tbody>${transactions}</tbody>
+                    </table>
+                </div>
+                ${preview.rows.length > this.previewRows ? `<p class="text-xs text-gray-400 mt-1">Mostrando as primeiras ${this.previewRows} linhas de ${preview.rows.length}</p>` : ''}
+            ` : ''}
+        `;
+
+        const button = document.getElementById('import-csv-confirm');
+        if (button) {
+            button.disabled = preview.transactions.length === 0;
+            button.textContent = `Importar ${preview.transactions.length} transações em ${Portfolio.getPortfolio(preview.portfolioId)?.name || ''}`;
+        }
+    }
+
+    async confirmImport() {
+        try {
+            const added = await this.commit();
+            document.getElementById('portfolio-import-modal')?.remove();
+            Notifications.show(`${added.length} transações importadas`, 'success');
+        } catch (error) {
+            console.error('Failed to import transactions:', error);
+            Notifications.show('Importação não concluída: o histórico resultante ficaria inconsistente', 'error');
+        }
+    }
+}
+
+// Export for use in other modules
+const PortfolioImport = new PortfolioImportModule();
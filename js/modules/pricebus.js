@@ -0,0 +1,216 @@
+/**
+ * Price Bus Module
+ * Single polling loop whose price snapshots feed the grid, alerts, portfolio and arbitrage
+ */
+
+class PriceBusModule {
+    constructor() {
+        this.subscribers = new Map(); // consumer -> { coinIds, currencies, markets, global, callback }
+        this.snapshot = null;
+        this.interval = 60000;
+        this.timer = null;
+        this.inFlight = null;
+        this.revalidatedTimer = null;
+        this.marketLimit = 100;
+    }
+
+    init() {
+        console.log('🚌 Price Bus Module initialized');
+        this.interval = Storage.get('updateInterval', this.interval);
+
+        // Startup snapshots may be served from the persisted cache; publish again once it's refreshed
+        document.addEventListener('apiRevalidated', () => {
+            clearTimeout(this.revalidatedTimer);
+            this.revalidatedTimer = setTimeout(() => this.refresh(), 1000);
+        });
+    }
+
+    // Subscriptions
+    subscribe(consumer, options = {}, callback) {
+        this.subscribers.set(consumer, {
+            coinIds: new Set(options.coinIds || []),
+            currencies: new Set(options.currencies || []),
+            markets: options.markets || false, // Wants the top-coins listing
+            global: options.global || false, // Wants global market stats
+            callback
+        });
+    }
+
+    unsubscribe(consumer) {
+        return this.subscribers.delete(consumer);
+    }
+
+    setCoins(consumer, coinIds) {
+        const subscriber = this.subscribers.get(consumer);
+        if (subscriber) {
+            subscriber.coinIds = new Set(coinIds);
+        }
+    }
+
+    setCurrencies(consumer, currencies) {
+        const subscriber = this.subscribers.get(consumer);
+        if (subscriber) {
+            subscriber.currencies = new Set(currencies);
+        }
+    }
+
+    // Every consumer's needs merged into one request
+    getRequest() {
+        const coinIds = new Set();
+        const currencies = new Set([Storage.get('currency', 'usd')]);
+        let markets = false;
+        let global = false;
+
+        this.subscribers.forEach(subscriber => {
+            subscriber.coinIds.forEach(coinId => coinIds.add(coinId));
+            subscriber.currencies.forEach(currency => currencies.add(currency));
+            markets = markets || subscriber.markets;
+            global = global || subscriber.global;
+        });
+
+        return {
+            coinIds: Array.from(coinIds),
+            currencies: Array.from(currencies),
+            markets,
+            global
+        };
+    }
+
+    // Polling Cadence
+    start(interval = this.interval) {
+        this.stop();
+        this.interval = interval;
+
+        this.timer = setInterval(() => {
+            if (document.visibilityState === 'visible') {
+                this.refresh();
+            }
+        }, interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    setInterval(interval) {
+        this.start(interval);
+    }
+
+    // Concurrent callers share the fetch already in progress
+    refresh() {
+        if (!this.inFlight) {
+            this.inFlight = this.fetchSnapshot()
+                .then(snapshot => this.publish(snapshot))
+                .catch(error => {
+                    console.error('Price bus refresh failed:', error);
+                    return this.snapshot;
+                })
+                .finally(() => {
+                    this.inFlight = null;
+                });
+        }
+
+        return this.inFlight;
+    }
+
+    async fetchSnapshot() {
+        const currency = Storage.get('currency', 'usd');
+        const request = this.getRequest();
+
+        const [markets, global] = await Promise.all([
+            request.markets ? API.getCryptocurrencyData(currency, this.marketLimit) : null,
+            request.global ? API.getMarketData(currency) : null
+        ]);
+
+        // Coins in the listing already carry display currency prices
+        const prices = {};
+        (Array.isArray(markets) ? markets : []).forEach(coin => {
+            prices[coin.id] = {
+                [currency]: coin.current_price,
+                [`${currency}_24h_change`]: coin.price_change_percentage_24h,
+                [`${currency}_market_cap`]: coin.market_cap,
+                [`${currency}_24h_vol`]: coin.total_volume
+            };
+        });
+
+        // One price call covers coins outside the listing and any other currency
+        const needsOtherCurrencies = request.currencies.length > 1;
+        const missing = needsOtherCurrencies ?
+            request.coinIds : request.coinIds.filter(coinId => !prices[coinId]);
+
+        if (missing.length > 0) {
+            const fetched = await API.getMultiplePrices(missing, request.currencies.join(','));
+
+            Object.entries(fetched).forEach(([coinId, data]) => {
+                prices[coinId] = { ...prices[coinId], ...data };
+            });
+        }
+
+        return {
+            timestamp: Date.now(),
+            currency,
+            markets,
+            global,
+            prices
+        };
+    }
+
+    publish(snapshot) {
+        this.snapshot = snapshot;
+
+        this.subscribers.forEach((subscriber, consumer) => {
+            if (!subscriber.callback) return;
+
+            try {
+                subscriber.callback(snapshot);
+            } catch (error) {
+                console.error(`Price bus subscriber '${consumer}' failed:`, error);
+            }
+        });
+
+        return snapshot;
+    }
+
+    // Queries
+    getSnapshot() {
+        return this.snapshot;
+    }
+
+    getPrice(coinId, currency = 'usd') {
+        const priceData = this.snapshot?.prices[coinId];
+        const price = priceData?.[currency];
+
+        // Older than one missed refresh means the bus isn't a reliable source right now
+        if (!price || Date.now() - this.snapshot.timestamp > this.interval * 1.5) return null;
+
+        return {
+            price,
+            change24h: priceData[`${currency}_24h_change`] ?? null,
+            timestamp: this.snapshot.timestamp
+        };
+    }
+
+    getStats() {
+        const request = this.getRequest();
+
+        return {
+            subscribers: Array.from(this.subscribers.keys()),
+            coins: request.coinIds.length,
+            currencies: request.currencies,
+            interval: this.interval,
+            lastSnapshot: this.snapshot?.timestamp || null
+        };
+    }
+
+    destroy() {
+        this.stop();
+        clearTimeout(this.revalidatedTimer);
+        this.subscribers.clear();
+    }
+}
+
+// Export for use in other modules
+const PriceBus = new PriceBusModule();
@@ -0,0 +1,90 @@
+/**
+ * Binance Market Data Provider
+ * Public spot 24h tickers and klines; USD is served from USDT pairs
+ */
+
+class BinanceProvider extends MarketDataProvider {
+    constructor() {
+        super({
+            id: 'binance',
+            name: 'Binance',
+            apiUrl: 'https://api.binance.com/api/v3',
+            priority: 3,
+            currencies: ['usd', 'brl', 'eur']
+        });
+
+        this.quoteAssets = { usd: 'USDT', brl: 'BRL', eur: 'EUR' };
+    }
+
+    getPair(coinId, currency) {
+        const base = this.getSymbol(coinId);
+        const quote = this.quoteAssets[currency];
+
+        // Stablecoins quoted against themselves have no pair
+        return base && quote && base !== quote ? `${base}${quote}` : null;
+    }
+
+    async getHistory(coinId, days = 30, currency = 'usd') {
+        const pair = this.getPair(coinId, currency);
+        if (!pair) {
+            throw new APIError(`No Binance pair for ${coinId}/${currency}`, this.apiUrl);
+        }
+
+        const interval = days <= 1 ? '1h' : '1d';
+        const limit = days <= 1 ? 24 : Math.min(days, 1000);
+        const klines = await this.requestJSON(`${this.apiUrl}/klines?symbol=${pair}&interval=${interval}&limit=${limit}`);
+
+        // [openTime, open, high, low, close, ...]
+        return klines.map(kline => [kline[0], parseFloat(kline[4])]);
+    }
+
+    async getPrices(coinIds, currency = 'usd') {
+        const currencies = currency.toLowerCase().split(',').map(cur => cur.trim());
+        const requests = [];
+
+        coinIds.forEach(coinId => {
+            currencies.forEach(cur => {
+                const pair = this.getPair(coinId, cur);
+                if (pair) {
+                    requests.push({ coinId, currency: cur, pair });
+                }
+            });
+        });
+
+        if (requests.length === 0) {
+            throw new APIError('No Binance pairs for requested coins', this.apiUrl);
+        }
+
+        // One pair per call: a single unlisted symbol would fail a batched request
+        const results = await Promise.allSettled(requests.map(({ pair }) =>
+            this.requestJSON(`${this.apiUrl}/ticker/24hr?symbol=${pair}`)
+        ));
+
+        const prices = {};
+        results.forEach((result, i) => {
+            if (result.status !== 'fulfilled') return;
+
+            const { coinId, currency: cur } = requests[i];
+            const ticker = result.value;
+
+            prices[coinId] = {
+                ...prices[coinId],
+                ...this.createPriceEntry(
+                    cur,
+                    parseFloat(ticker.lastPrice),
+                    parseFloat(ticker.priceChangePercent),
+                    null,
+                    parseFloat(ticker.quoteVolume)
+                )
+            };
+        });
+
+        if (Object.keys(prices).length === 0) {
+            throw results.find(result => result.status === 'rejected').reason;
+        }
+
+        return prices;
+    }
+}
+
+ProviderRegistry.register(new BinanceProvider());
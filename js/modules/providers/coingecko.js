@@ -0,0 +1,79 @@
+/**
+ * CoinGecko Market Data Provider
+ * Primary source; its response shapes are the normalized format
+ */
+
+class CoinGeckoProvider extends MarketDataProvider {
+    constructor() {
+        super({
+            id: 'coingecko',
+            name: 'CoinGecko',
+            apiUrl: 'https://api.coingecko.com/api/v3',
+            priority: 0
+        });
+    }
+
+    supportsCurrency(currency) {
+        return currency.toLowerCase().split(',').every(cur => Formatters.isValidCurrency(cur.trim()));
+    }
+
+    async getMarkets(currency = 'usd', limit = 100, page = 1) {
+        const params = new URLSearchParams({
+            vs_currency: currency,
+            order: 'market_cap_desc',
+            per_page: limit.toString(),
+            page: page.toString(),
+            sparkline: 'false',
+            price_change_percentage: '24h'
+        });
+
+        return this.requestJSON(`${this.apiUrl}/coins/markets?${params}`);
+    }
+
+    async getMarketsByIds(coinIds, currency = 'usd') {
+        // /coins/markets returns at most 250 coins per page
+        const batches = [];
+        for (let i = 0; i < coinIds.length; i += 250) {
+            batches.push(coinIds.slice(i, i + 250));
+        }
+
+        const pages = await Promise.all(batches.map(ids => {
+            const params = new URLSearchParams({
+                vs_currency: currency,
+                ids: ids.join(','),
+                per_page: ids.length.toString(),
+                sparkline: 'false',
+                price_change_percentage: '24h'
+            });
+
+            return this.requestJSON(`${this.apiUrl}/coins/markets?${params}`);
+        }));
+
+        return pages.flat();
+    }
+
+    async getHistory(coinId, days = 30, currency = 'usd') {
+        const params = new URLSearchParams({
+            vs_currency: currency,
+            days: days.toString(),
+            interval: days <= 1 ? 'hourly' : 'daily'
+        });
+
+        const data = await this.requestJSON(`${this.apiUrl}/coins/${coinId}/market_chart?${params}`);
+        return data.prices;
+    }
+
+    async getPrices(coinIds, currency = 'usd') {
+        const params = new URLSearchParams({
+            ids: coinIds.join(','),
+            vs_currencies: currency,
+            include_24hr_change: 'true',
+            include_market_cap: 'true',
+            include_24hr_vol: 'true'
+        });
+
+        return this.requestJSON(`${this.apiUrl}/simple/price?${params}`);
+    }
+}
+
+ProviderRegistry.register(new CoinGeckoProvider());
@@ -0,0 +1,135 @@
+/**
+ * CryptoCompare Market Data Provider
+ * Symbol-keyed top list, multi-currency prices and daily/hourly history
+ */
+
+class CryptoCompareProvider extends MarketDataProvider {
+    constructor() {
+        super({
+            id: 'cryptocompare',
+            name: 'CryptoCompare',
+            apiUrl: 'https://min-api.cryptocompare.com/data',
+            priority: 2
+        });
+
+        // Shared with the per-lane views of this provider, see withLane
+        this.symbolCache = { index: null };
+    }
+
+    supportsCurrency(currency) {
+        return currency.toLowerCase().split(',').every(cur => Formatters.isValidCurrency(cur.trim()));
+    }
+
+    async request(path) {
+        const data = await this.requestJSON(`${this.apiUrl}${path}`);
+
+        // Errors come back as HTTP 200 with Response: 'Error'
+        if (data.Response === 'Error') {
+            throw new APIError(data.Message || 'CryptoCompare error', `${this.apiUrl}${path}`);
+        }
+
+        return data;
+    }
+
+    // Symbol -> CoinGecko id, so listings carry the ids the rest of the app is keyed by. Symbols several
+    // coins share are left to commonSymbols; anything else unresolved is left out.
+    async getSymbolIndex() {
+        if (this.symbolCache.index) return this.symbolCache.index;
+
+        const coins = await API.getCoinsList();
+        const counts = new Map();
+        coins.forEach(coin => counts.set(coin.symbol.toUpperCase(), (counts.get(coin.symbol.toUpperCase()) || 0) + 1));
+
+        const index = new Map(coins
+            .filter(coin => counts.get(coin.symbol.toUpperCase()) === 1)
+            .map(coin => [coin.symbol.toUpperCase(), coin.id]));
+        Object.entries(MarketDataProvider.commonSymbols).forEach(([coinId, symbol]) => index.set(symbol, coinId));
+
+        // The built-in fallback list is too short to keep; the full one is tried again next time
+        if (coins.length > API.getFallbackCoinsList().length) {
+            this.symbolCache.index = index;
+        }
+
+        return index;
+    }
+
+    async getMarkets(currency = 'usd', limit = 100, page = 1) {
+        const tsym = currency.toUpperCase();
+        const perPage = Math.min(Math.max(limit, 10), 100);
+        // CryptoCompare pages are zero-based
+        const [data, index] = await Promise.all([
+            this.request(`/top/mktcapfull?limit=${perPage}&page=${page - 1}&tsym=${tsym}`),
+            this.getSymbolIndex()
+        ]);
+
+        return data.Data
+            .map((entry, i) => ({ entry, rank: (page - 1) * perPage + i + 1, coinId: index.get(entry.CoinInfo.Name.toUpperCase()) }))
+            .filter(({ entry, coinId }) => coinId && entry.RAW?.[tsym])
+            .map(({ entry, rank, coinId }) => {
+                const raw = entry.RAW[tsym];
+
+                return {
+                    id: coinId,
+                    symbol: entry.CoinInfo.Name.toLowerCase(),
+                    name: entry.CoinInfo.FullName,
+                    image: `https://www.cryptocompare.com${entry.CoinInfo.ImageUrl}`,
+                    current_price: raw.PRICE,
+                    market_cap: raw.MKTCAP,
+                    market_cap_rank: rank,
+                    total_volume: raw.TOTALVOLUME24HTO,
+                    high_24h: raw.HIGH24HOUR,
+                    low_24h: raw.LOW24HOUR,
+                    price_change_24h: raw.CHANGE24HOUR,
+                    price_change_percentage_24h: raw.CHANGEPCT24HOUR,
+                    circulating_supply: raw.SUPPLY,
+                    last_updated: new Date(raw.LASTUPDATE * 1000).toISOString()
+                };
+            });
+    }
+
+    async getHistory(coinId, days = 30, currency = 'usd') {
+        const symbol = this.getSymbol(coinId);
+        if (!symbol) {
+            throw new APIError(`No CryptoCompare symbol for ${coinId}`, this.apiUrl);
+        }
+
+        const hourly = days <= 1;
+        const endpoint = hourly ? 'histohour' : 'histoday';
+        const limit = hourly ? 24 : days;
+
+        const data = await this.request(`/v2/${endpoint}?fsym=${symbol}&tsym=${currency.toUpperCase()}&limit=${limit}`);
+        return data.Data.Data.map(point => [point.time * 1000, point.close]);
+    }
+
+    async getPrices(coinIds, currency = 'usd') {
+        const symbols = coinIds
+            .map(coinId => ({ coinId, symbol: this.getSymbol(coinId) }))
+            .filter(entry => entry.symbol);
+
+        if (symbols.length === 0) {
+            throw new APIError('No CryptoCompare symbols for requested coins', this.apiUrl);
+        }
+
+        const currencies = currency.toLowerCase().split(',').map(cur => cur.trim());
+        const data = await this.request(
+            `/pricemultifull?fsyms=${symbols.map(entry => entry.symbol).join(',')}&tsyms=${currencies.join(',').toUpperCase()}`
+        );
+
+        const prices = {};
+        symbols.forEach(({ coinId, symbol }) => {
+            currencies.forEach(cur => {
+                const raw = data.RAW?.[symbol]?.[cur.toUpperCase()];
+                if (!raw) return;
+
+                prices[coinId] = {
+                    ...prices[coinId],
+                    ...this.createPriceEntry(cur, raw.PRICE, raw.CHANGEPCT24HOUR, raw.MKTCAP, raw.TOTALVOLUME24HTO)
+                };
+            });
+        });
+
+        return prices;
+    }
+}
+
+ProviderRegistry.register(new CryptoCompareProvider());
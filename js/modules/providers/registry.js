@@ -0,0 +1,247 @@
+/**
+ * Market Data Provider Registry
+ * Common interface for market data sources with health scoring and failover ordering
+ */
+
+class MarketDataProvider {
+    constructor(config = {}) {
+        if (!config.id) {
+            throw new Error('Market data provider requires an id');
+        }
+
+        this.id = config.id;
+        this.name = config.name || config.id;
+        this.apiUrl = config.apiUrl || null;
+        this.priority = config.priority ?? 100; // Lower is tried first when equally healthy
+        this.lane = 'foreground'; // Request priority lane, see withLane
+
+        // Provider-specific IDs for CoinGecko coin IDs, on top of commonSymbols
+        this.idMap = config.idMap || {};
+        this.currencies = config.currencies || ['usd'];
+    }
+
+    // Capabilities
+    supports(capability) {
+        return typeof this[capability] === 'function' &&
+            this[capability] !== MarketDataProvider.prototype[capability];
+    }
+
+    supportsCurrency(currency) {
+        // Price requests may ask for several currencies at once ('usd,brl')
+        return currency.toLowerCase().split(',').every(cur => this.currencies.includes(cur.trim()));
+    }
+
+    // Normalized data (to be implemented by each provider)
+    // getMarkets(currency, limit, page) -> CoinGecko /coins/markets shaped array, pages start at 1
+    async getMarkets(currency, limit, page) {
+        throw new APIError(`${this.name} does not provide market listings`, this.apiUrl);
+    }
+
+    // getMarketsByIds(coinIds, currency) -> getMarkets shaped array of just those coins
+    async getMarketsByIds(coinIds, currency) {
+        throw new APIError(`${this.name} does not provide market data by id`, this.apiUrl);
+    }
+
+    // getHistory(coinId, days, currency) -> [[timestamp, price], ...]
+    async getHistory(coinId, days, currency) {
+        throw new APIError(`${this.name} does not provide price history`, this.apiUrl);
+    }
+
+    // getPrices(coinIds, currency) -> CoinGecko /simple/price shaped object
+    async getPrices(coinIds, currency) {
+        throw new APIError(`${this.name} does not provide spot prices`, this.apiUrl);
+    }
+
+    // Symbol Mapping
+    getSymbol(coinId) {
+        return MarketDataProvider.commonSymbols[coinId] || null;
+    }
+
+    getCoinIdForSymbol(symbol) {
+        const upper = symbol.toUpperCase();
+        const match = Object.entries(MarketDataProvider.commonSymbols).find(([, sym]) => sym === upper);
+        return match ? match[0] : symbol.toLowerCase();
+    }
+
+    getProviderId(coinId) {
+        return this.idMap[coinId] || coinId;
+    }
+
+    // Helpers
+    withLane(lane) {
+        // Per-call view of the provider whose requests go through the given priority lane
+        return Object.create(this, { lane: { value: lane } });
+    }
+
+    requestJSON(url) {
+        // Simple GET without a Content-Type header, so cross-origin calls skip the preflight
+        return API.requestURL(url, { headers: { 'Accept': 'application/json' }, lane: this.lane }, false);
+    }
+
+    createPriceEntry(currency, price, change24h = null, marketCap = null, volume24h = null) {
+        return {
+            [currency]: price,
+            [`${currency}_24h_change`]: change24h,
+            [`${currency}_market_cap`]: marketCap,
+            [`${currency}_24h_vol`]: volume24h
+        };
+    }
+}
+
+// CoinGecko IDs of commonly tracked coins and their ticker symbols
+MarketDataProvider.commonSymbols = {
+    'bitcoin': 'BTC',
+    'ethereum': 'ETH',
+    'tether': 'USDT',
+    'binancecoin': 'BNB',
+    'solana': 'SOL',
+    'usd-coin': 'USDC',
+    'ripple': 'XRP',
+    'cardano': 'ADA',
+    'dogecoin': 'DOGE',
+    'tron': 'TRX',
+    'polkadot': 'DOT',
+    'chainlink': 'LINK',
+    'litecoin': 'LTC',
+    'avalanche-2': 'AVAX',
+    'matic-network': 'MATIC',
+    'shiba-inu': 'SHIB',
+    'dai': 'DAI',
+    'bitcoin-cash': 'BCH',
+    'uniswap': 'UNI',
+    'stellar': 'XLM'
+};
+
+class ProviderRegistryModule {
+    constructor() {
+        this.providers = new Map();
+        this.health = new Map();
+        this.cooldownBase = 30000; // First cooldown after repeated failures
+        this.maxCooldown = 10 * 60 * 1000;
+        this.failureThreshold = 3; // Consecutive failures before cooling down
+    }
+
+    register(provider) {
+        if (!(provider instanceof MarketDataProvider)) {
+            throw new Error('Only MarketDataProvider instances can be registered');
+        }
+
+        if (this.providers.has(provider.id)) {
+            console.warn(`Market data provider '${provider.id}' replaced`);
+        }
+
+        this.providers.set(provider.id, provider);
+        this.health.set(provider.id, this.createHealthRecord());
+        return provider;
+    }
+
+    unregister(providerId) {
+        this.health.delete(providerId);
+        return this.providers.delete(providerId);
+    }
+
+    get(providerId) {
+        return this.providers.get(providerId) || null;
+    }
+
+    getProviders() {
+        return Array.from(this.providers.values());
+    }
+
+    // Health Scoring
+    createHealthRecord() {
+        return {
+            successes: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            averageLatency: null,
+            lastError: null,
+            lastSuccess: null,
+            cooldownUntil: 0
+        };
+    }
+
+    recordSuccess(providerId, latency) {
+        const health = this.health.get(providerId);
+        if (!health) return;
+
+        health.successes++;
+        health.consecutiveFailures = 0;
+        health.cooldownUntil = 0;
+        health.lastSuccess = Date.now();
+
+        // Exponential moving average keeps the latency recent
+        health.averageLatency = health.averageLatency === null ?
+            latency : health.averageLatency * 0.8 + latency * 0.2;
+    }
+
+    recordFailure(providerId, error) {
+        const health = this.health.get(providerId);
+        if (!health) return;
+
+        health.failures++;
+        health.consecutiveFailures++;
+        health.lastError = { message: error?.message || String(error), timestamp: Date.now() };
+
+        const rateLimited = error?.status === 429;
+
+        if (rateLimited || health.consecutiveFailures >= this.failureThreshold) {
+            const exponent = Math.max(health.consecutiveFailures - this.failureThreshold, 0);
+            const cooldown = Math.min(this.cooldownBase * Math.pow(2, exponent), this.maxCooldown);
+            health.cooldownUntil = Date.now() + cooldown;
+        }
+    }
+
+    isCoolingDown(providerId) {
+        return (this.health.get(providerId)?.cooldownUntil || 0) > Date.now();
+    }
+
+    getScore(providerId) {
+        const health = this.health.get(providerId);
+        if (!health) return 0;
+
+        const attempts = health.successes + health.failures;
+        // Untested providers start neutral rather than perfect
+        const successRate = attempts > 0 ? health.successes / attempts : 0.75;
+        const latencyPenalty = health.averageLatency ? Math.min(health.averageLatency / 100, 20) : 0;
+
+        return Math.max(successRate * 100 - latencyPenalty - health.consecutiveFailures * 15, 0);
+    }
+
+    // Healthy providers first, then by score adjusted for configured priority
+    getOrdered(capability, currency = 'usd') {
+        const order = Storage.get('providerPriority', null);
+
+        return this.getProviders()
+            .filter(provider => provider.supports(capability) && provider.supportsCurrency(currency))
+            .map(provider => {
+                const rank = Array.isArray(order) && order.includes(provider.id) ?
+                    order.indexOf(provider.id) : provider.priority;
+
+                return {
+                    provider,
+                    coolingDown: this.isCoolingDown(provider.id),
+                    rank: this.getScore(provider.id) - rank * 5
+                };
+            })
+            .sort((a, b) => (a.coolingDown - b.coolingDown) || (b.rank - a.rank))
+            .map(entry => entry.provider);
+    }
+
+    setPriority(providerIds) {
+        Storage.set('providerPriority', providerIds.filter(id => this.providers.has(id)));
+    }
+
+    getHealthReport() {
+        return this.getProviders().map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            score: Math.round(this.getScore(provider.id)),
+            coolingDown: this.isCoolingDown(provider.id),
+            ...this.health.get(provider.id)
+        }));
+    }
+}
+
+// Export for use in other modules
+const ProviderRegistry = new ProviderRegistryModule();
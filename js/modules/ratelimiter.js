@@ -0,0 +1,269 @@
+/**
+ * Rate Limiter Module
+ * Per-host token buckets for outgoing API calls with priority lanes, Retry-After handling and 429 backoff
+ */
+
+class RateLimiterModule {
+    constructor() {
+        this.buckets = new Map(); // host -> bucket state, see getBucket
+        this.backgroundRequests = new Set(); // AbortControllers of background fetches in flight
+
+        // Served in this order; background work is also cancelled while the tab is hidden
+        this.lanes = ['interactive', 'foreground', 'background'];
+
+        // Sustained requests per second and burst size of each host's public API
+        this.budgets = {
+            'api.coingecko.com': { capacity: 5, refillRate: 0.5 }, // Free tier allows ~30 calls/min
+            'min-api.cryptocompare.com': { capacity: 10, refillRate: 1 },
+            'api.binance.com': { capacity: 20, refillRate: 10 },
+            'api.mercadobitcoin.net': { capacity: 5, refillRate: 1 }
+        };
+        this.defaultBudget = { capacity: 10, refillRate: 2 };
+
+        this.maxRetries = 3;
+        this.backoffBase = 1000;
+        this.maxBackoff = 60000;
+        this.maxRetryWait = 15000; // Longer waits are returned to the caller so it can fail over
+    }
+
+    init() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.cancelBackground();
+            }
+        });
+    }
+
+    // Buckets
+    getHost(url) {
+        try {
+            return new URL(url, window.location.href).host;
+        } catch {
+            return 'unknown';
+        }
+    }
+
+    getBucket(host) {
+        if (!this.buckets.has(host)) {
+            const budget = this.budgets[host] || this.defaultBudget;
+
+            this.buckets.set(host, {
+                host,
+                capacity: budget.capacity,
+                refillRate: budget.refillRate,
+                tokens: budget.capacity,
+                lastRefill: Date.now(),
+                blockedUntil: 0, // Set from Retry-After or backoff after a 429
+                queue: [],
+                timer: null,
+                stats: { requests: 0, throttled: 0, retries: 0, cancelled: 0, totalWait: 0, maxWait: 0 }
+            });
+        }
+
+        return this.buckets.get(host);
+    }
+
+    setBudget(host, capacity, refillRate) {
+        if (!Validators.isPositiveNumber(capacity) || !Validators.isPositiveNumber(refillRate)) {
+            throw new Error('Rate limit budget must be positive');
+        }
+
+        this.budgets[host] = { capacity, refillRate };
+
+        const bucket = this.buckets.get(host);
+        if (bucket) {
+            bucket.capacity = capacity;
+            bucket.refillRate = refillRate;
+            bucket.tokens = Math.min(bucket.tokens, capacity);
+        }
+    }
+
+    refill(bucket) {
+        const now = Date.now();
+        const elapsed = (now - bucket.lastRefill) / 1000;
+
+        bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.refillRate);
+        bucket.lastRefill = now;
+    }
+
+    // Queueing
+    getRank(lane) {
+        const rank = this.lanes.indexOf(lane);
+        return rank === -1 ? this.lanes.indexOf('foreground') : rank;
+    }
+
+    acquire(bucket, lane = 'foreground', retry = false) {
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, lane, rank: this.getRank(lane), enqueuedAt: Date.now() };
+
+            // Ahead of every lower lane; retries also go ahead of newer calls in their own lane
+            const index = bucket.queue.findIndex(queued =>
+                retry ? queued.rank >= waiter.rank : queued.rank > waiter.rank
+            );
+
+            bucket.queue.splice(index === -1 ? bucket.queue.length : index, 0, waiter);
+            this.drain(bucket);
+        });
+    }
+
+    drain(bucket) {
+        if (bucket.timer) return;
+
+        while (bucket.queue.length > 0) {
+            this.refill(bucket);
+
+            const now = Date.now();
+            const tokenWait = bucket.tokens >= 1 ? 0 : ((1 - bucket.tokens) / bucket.refillRate) * 1000;
+            const wait = Math.max(bucket.blockedUntil - now, tokenWait);
+
+            if (wait > 0) {
+                bucket.timer = setTimeout(() => {
+                    bucket.timer = null;
+                    this.drain(bucket);
+                }, Math.ceil(wait));
+                return;
+            }
+
+            bucket.tokens -= 1;
+
+            const waiter = bucket.queue.shift();
+            const waited = now - waiter.enqueuedAt;
+            bucket.stats.requests++;
+            bucket.stats.totalWait += waited;
+            bucket.stats.maxWait = Math.max(bucket.stats.maxWait, waited);
+
+            waiter.resolve();
+        }
+    }
+
+    cancelBackground() {
+        this.buckets.forEach(bucket => {
+            bucket.queue
+                .filter(waiter => waiter.lane === 'background')
+                .forEach(waiter => {
+                    bucket.stats.cancelled++;
+                    waiter.reject(new RequestCancelledError(bucket.host));
+                });
+
+            bucket.queue = bucket.queue.filter(waiter => waiter.lane !== 'background');
+        });
+
+        this.backgroundRequests.forEach(controller => controller.abort());
+        this.backgroundRequests.clear();
+    }
+
+    // Requests
+    async fetch(url, options = {}, lane = 'foreground') {
+        const bucket = this.getBucket(this.getHost(url));
+        const background = lane === 'background';
+
+        if (background && document.visibilityState === 'hidden') {
+            bucket.stats.cancelled++;
+            throw new RequestCancelledError(bucket.host);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire(bucket, lane, attempt > 0);
+
+            const controller = background ? new AbortController() : null;
+            let response;
+
+            if (controller) {
+                this.backgroundRequests.add(controller);
+            }
+
+            try {
+                response = await fetch(url, controller ? { ...options, signal: controller.signal } : options);
+            } catch (error) {
+                if (error.name === 'AbortError' && controller) {
+                    throw new RequestCancelledError(bucket.host);
+                }
+                throw error;
+            } finally {
+                this.backgroundRequests.delete(controller);
+            }
+
+            if (response.status !== 429) {
+                return response;
+            }
+
+            bucket.stats.throttled++;
+
+            const retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+            const delay = retryAfter ?? this.getBackoff(attempt);
+
+            // The whole host pauses, not just this request
+            bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + delay);
+            bucket.tokens = 0;
+
+            if (attempt >= this.maxRetries || delay > this.maxRetryWait) {
+                return response;
+            }
+
+            bucket.stats.retries++;
+            console.warn(`Rate limited by ${bucket.host}, retrying in ${Math.round(delay / 1000)}s`);
+        }
+    }
+
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        // Either delay-seconds or an HTTP date
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(seconds, 0) * 1000;
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+    }
+
+    getBackoff(attempt) {
+        // Exponential with jitter so queued callers don't retry in lockstep
+        const delay = Math.min(this.backoffBase * Math.pow(2, attempt), this.maxBackoff);
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    // Statistics
+    getStats() {
+        return Array.from(this.buckets.values()).map(bucket => {
+            this.refill(bucket);
+
+            return {
+                host: bucket.host,
+                tokens: Math.floor(bucket.tokens),
+                capacity: bucket.capacity,
+                refillRate: bucket.refillRate,
+                queued: bucket.queue.length,
+                blockedFor: Math.max(bucket.blockedUntil - Date.now(), 0),
+                requests: bucket.stats.requests,
+                throttled: bucket.stats.throttled,
+                retries: bucket.stats.retries,
+                cancelled: bucket.stats.cancelled,
+                lanes: Object.fromEntries(this.lanes.map(lane => [
+                    lane, bucket.queue.filter(waiter => waiter.lane === lane).length
+                ])),
+                averageWait: bucket.stats.requests > 0 ?
+                    Math.round(bucket.stats.totalWait / bucket.stats.requests) : 0,
+                maxWait: bucket.stats.maxWait
+            };
+        });
+    }
+
+    getQueueDepth() {
+        return Array.from(this.buckets.values()).reduce((sum, bucket) => sum + bucket.queue.length, 0);
+    }
+}
+
+// Custom Error Class
+class RequestCancelledError extends Error {
+    constructor(host) {
+        super(`Background request to ${host} cancelled while the page is hidden`);
+        this.name = 'RequestCancelledError';
+        this.host = host;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+// Export for use in other modules
+const RateLimiter = new RateLimiterModule();
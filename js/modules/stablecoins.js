@@ -0,0 +1,313 @@
+/**
+ * Stablecoins Module
+ * Stablecoin registry and depeg monitor with configurable severity bands
+ */
+
+class StablecoinsModule {
+    constructor() {
+        // Keyed by CoinGecko coin ID; pegValue is expressed in pegCurrency
+        this.registry = {
+            'tether': { symbol: 'USDT', name: 'Tether', pegCurrency: 'usd', pegValue: 1 },
+            'usd-coin': { symbol: 'USDC', name: 'USD Coin', pegCurrency: 'usd', pegValue: 1 },
+            'dai': { symbol: 'DAI', name: 'Dai', pegCurrency: 'usd', pegValue: 1 },
+            'first-digital-usd': { symbol: 'FDUSD', name: 'First Digital USD', pegCurrency: 'usd', pegValue: 1 },
+            'true-usd': { symbol: 'TUSD', name: 'TrueUSD', pegCurrency: 'usd', pegValue: 1 },
+            'paypal-usd': { symbol: 'PYUSD', name: 'PayPal USD', pegCurrency: 'usd', pegValue: 1 },
+            'brz': { symbol: 'BRZ', name: 'Brazilian Digital Token', pegCurrency: 'brl', pegValue: 1 },
+            'euro-coin': { symbol: 'EURC', name: 'Euro Coin', pegCurrency: 'eur', pegValue: 1 },
+            'stasis-eurs': { symbol: 'EURS', name: 'STASIS EURO', pegCurrency: 'eur', pegValue: 1 }
+        };
+
+        // Ordered from tightest to loosest; maxBps null means unbounded
+        this.defaultBands = [
+            { id: 'pegged', label: 'Estável', maxBps: 10 },
+            { id: 'watch', label: 'Atenção', maxBps: 50 },
+            { id: 'depeg', label: 'Desvio', maxBps: 200 },
+            { id: 'critical', label: 'Crítico', maxBps: null }
+        ];
+
+        this.bands = this.defaultBands.map(band => ({ ...band }));
+        this.deviations = new Map();
+        this.isMonitoring = false;
+        this.lastCheckTime = null;
+    }
+
+    init() {
+        console.log('🪙 Stablecoins Module initialized');
+        this.loadSettings();
+        this.startMonitoring();
+    }
+
+    loadSettings() {
+        const savedBands = Storage.get('depegBands', null);
+        if (Array.isArray(savedBands) && savedBands.length === this.defaultBands.length) {
+            this.bands = savedBands;
+        }
+
+        const customCoins = Storage.get('customStablecoins', {});
+        Object.entries(customCoins).forEach(([coinId, data]) => {
+            this.registry[coinId] = data;
+        });
+    }
+
+    // Registry Management
+    getStablecoin(coinId) {
+        return this.registry[coinId] || null;
+    }
+
+    getStablecoinIds() {
+        return Object.keys(this.registry);
+    }
+
+    isStablecoin(coinId) {
+        return Object.prototype.hasOwnProperty.call(this.registry, coinId);
+    }
+
+    registerStablecoin(coinId, symbol, name, pegCurrency, pegValue = 1) {
+        if (!coinId || !symbol || !Validators.isFiatCurrency(pegCurrency)) {
+            throw new Error('Invalid stablecoin definition');
+        }
+
+        if (!Validators.isPositiveNumber(pegValue)) {
+            throw new Error('Peg value must be a positive number');
+        }
+
+        const definition = {
+            symbol: symbol.toUpperCase(),
+            name: name || symbol.toUpperCase(),
+            pegCurrency: pegCurrency.toLowerCase(),
+            pegValue: parseFloat(pegValue)
+        };
+
+        this.registry[coinId] = definition;
+
+        const customCoins = Storage.get('customStablecoins', {});
+        customCoins[coinId] = definition;
+        Storage.set('customStablecoins', customCoins);
+
+        // The new coin (and maybe peg currency) joins the next price snapshot
+        if (this.isMonitoring) {
+            this.startMonitoring();
+        }
+
+        return definition;
+    }
+
+    // Severity Bands
+    getBands() {
+        return this.bands.map(band => ({ ...band }));
+    }
+
+    setBandThresholds(thresholds) {
+        const bounded = this.defaultBands.length - 1;
+
+        if (!Array.isArray(thresholds) || thresholds.length !== bounded) {
+            throw new Error(`Expected ${bounded} band thresholds`);
+        }
+
+        const values = thresholds.map(value => parseFloat(value));
+        const isAscending = values.every((value, i) =>
+            Validators.isPositiveNumber(value) && (i === 0 || value > values[i - 1])
+        );
+
+        if (!isAscending) {
+            throw new Error('Band thresholds must be positive and ascending');
+        }
+
+        this.bands = this.defaultBands.map((band, i) => ({
+            ...band,
+            maxBps: i < bounded ? values[i] : null
+        }));
+
+        Storage.set('depegBands', this.bands);
+
+        // Re-classify existing readings against the new bands
+        this.deviations.forEach((reading) => {
+            reading.band = this.classifyDeviation(reading.deviationBps);
+        });
+        this.renderDepegPanel();
+
+        return this.getBands();
+    }
+
+    resetBands() {
+        this.bands = this.defaultBands.map(band => ({ ...band }));
+        Storage.remove('depegBands');
+    }
+
+    calculateDeviationBps(price, pegValue) {
+        if (!pegValue || price === null || price === undefined || isNaN(price)) {
+            return null;
+        }
+
+        return ((price - pegValue) / pegValue) * 10000;
+    }
+
+    classifyDeviation(deviationBps) {
+        if (deviationBps === null) return null;
+
+        const magnitude = Math.abs(deviationBps);
+        return this.bands.find(band => band.maxBps === null || magnitude <= band.maxBps) ||
+            this.bands[this.bands.length - 1];
+    }
+
+    getBandIndex(band) {
+        if (!band) return -1;
+        return this.bands.findIndex(b => b.id === band.id);
+    }
+
+    // Peg Monitoring
+    getPegCurrencies() {
+        return [...new Set(this.getStablecoinIds().map(id => this.registry[id].pegCurrency))];
+    }
+
+    startMonitoring() {
+        // Pegs are checked on every price bus snapshot
+        PriceBus.subscribe('stablecoins', {
+            coinIds: this.getStablecoinIds(),
+            currencies: this.getPegCurrencies()
+        }, (snapshot) => this.checkPegs(snapshot.prices));
+
+        this.isMonitoring = true;
+    }
+
+    stopMonitoring() {
+        PriceBus.unsubscribe('stablecoins');
+        this.isMonitoring = false;
+    }
+
+    async checkPegs(snapshotPrices = null) {
+        const coinIds = this.getStablecoinIds();
+        if (coinIds.length === 0) return [];
+
+        try {
+            // Every peg currency is requested in a single call
+            const pricesData = snapshotPrices ||
+                await API.getMultiplePrices(coinIds, this.getPegCurrencies().join(','));
+
+            coinIds.forEach(coinId => {
+                const priceData = pricesData[coinId];
+                if (!priceData) return;
+
+                this.updateReading(coinId, priceData);
+            });
+
+            this.lastCheckTime = new Date();
+            this.renderDepegPanel();
+
+            return this.getDeviations();
+
+        } catch (error) {
+            console.error('Failed to check stablecoin pegs:', error);
+            return [];
+        }
+    }
+
+    updateReading(coinId, priceData) {
+        const stablecoin = this.registry[coinId];
+        const price = priceData[stablecoin.pegCurrency];
+        const deviationBps = this.calculateDeviationBps(price, stablecoin.pegValue);
+        if (deviationBps === null) return null;
+
+        const previous = this.deviations.get(coinId);
+        const band = this.classifyDeviation(deviationBps);
+
+        const reading = {
+            coinId,
+            ...stablecoin,
+            price,
+            deviationBps,
+            band,
+            change24h: priceData[`${stablecoin.pegCurrency}_24h_change`] || 0,
+            timestamp: Date.now()
+        };
+
+        this.deviations.set(coinId, reading);
+
+        if (previous && this.getBandIndex(band) > this.getBandIndex(previous.band)) {
+            this.notifyEscalation(reading, previous.band);
+        }
+
+        return reading;
+    }
+
+    notifyEscalation(reading, previousBand) {
+        // Only escalations past the watch band are worth interrupting the user
+        if (this.getBandIndex(reading.band) < 2) return;
+
+        const sign = reading.deviationBps >= 0 ? '+' : '';
+        const message = `${reading.symbol} saiu da paridade: ${sign}${reading.deviationBps.toFixed(1)} bps (${previousBand?.label || '--'} → ${reading.band.label})`;
+
+        Notifications.show(message, reading.band.id === 'critical' ? 'error' : 'warning', 10000);
+    }
+
+    // Queries
+    getDeviations() {
+        return Array.from(this.deviations.values())
+            .sort((a, b) => Math.abs(b.deviationBps) - Math.abs(a.deviationBps));
+    }
+
+    getDepeggedCoins() {
+        return this.getDeviations().filter(reading => this.getBandIndex(reading.band) > 0);
+    }
+
+    // Display
+    renderDepegPanel() {
+        const grid = document.getElementById('depeg-grid');
+        if (!grid) return;
+
+        const readings = this.getDeviations();
+
+        if (readings.length === 0) {
+            grid.innerHTML = `
+                <div class="col-span-full text-center py-6 text-gray-400">
+                    <p>Aguardando cotações das stablecoins...</p>
+                </div>
+            `;
+        } else {
+            grid.innerHTML = readings.map(reading => {
+                const sign = reading.deviationBps >= 0 ? '+' : '';
+
+                return `
+                    <div class="depeg-card severity-${reading.band.id} glassmorphism p-4 rounded-xl">
+                        <div class="flex items-center justify-between mb-2">
+                            <div>
+                                <h3 class="font-semibold">${reading.symbol}</h3>
+                                <p class="text-xs text-gray-400">${reading.name}</p>
+                            </div>
+                            <span class="depeg-badge">${reading.band.label}</span>
+                        </div>
+                        <p class="text-xl font-bold font-mono">${Formatters.formatCurrency(reading.price, reading.pegCurrency, false, 4)}</p>
+                        <div class="flex justify-between text-sm mt-1">
+                            <span class="text-gray-400">Paridade ${Formatters.formatCurrency(reading.pegValue, reading.pegCurrency, false, 2)}</span>
+                            <span class="font-mono">${sign}${reading.deviationBps.toFixed(1)} bps</span>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        this.updateDepegBadge();
+
+        const lastCheck = document.getElementById('depeg-last-check');
+        if (lastCheck && this.lastCheckTime) {
+            lastCheck.textContent = Formatters.formatTime(this.lastCheckTime);
+        }
+    }
+
+    updateDepegBadge() {
+        const badge = document.getElementById('depeg-badge');
+        if (!badge) return;
+
+        const count = this.getDepeggedCoins().length;
+        badge.textContent = count;
+        badge.classList.toggle('hidden', count === 0);
+    }
+
+    destroy() {
+        this.stopMonitoring();
+    }
+}
+
+// Export for use in other modules
+const Stablecoins = new StablecoinsModule();
@@ -10,6 +10,7 @@ class StorageModule {
         this.dbName = 'CryptoMonitorDB';
         this.dbVersion = 1;
         this.db = null;
+        this.dbReady = null;
         this.isIndexedDBAvailable = false;
         this.cache = new Map();
         this.compressionEnabled = true;
@@ -54,15 +55,20 @@ class StorageModule {
         try {
             const request = indexedDB.open(this.dbName, this.dbVersion);
             
-            request.onerror = () => {
-                console.error('IndexedDB initialization failed');
-                this.isIndexedDBAvailable = false;
-            };
-            
-            request.onsuccess = (event) => {
-                this.db = event.target.result;
-                console.log('✅ IndexedDB initialized successfully');
-            };
+            // Lets callers that run during startup wait for the database, see waitForDB
+            this.dbReady = new Promise(resolve => {
+                request.onerror = () => {
+                    console.error('IndexedDB initialization failed');
+                    this.isIndexedDBAvailable = false;
+                    resolve(null);
+                };
+                
+                request.onsuccess = (event) => {
+                    this.db = event.target.result;
+                    console.log('✅ IndexedDB initialized successfully');
+                    resolve(this.db);
+                };
+            });
             
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
@@ -242,6 +248,16 @@ class StorageModule {
     }
     
     // IndexedDB Methods
+    async waitForDB(timeout = 3000) {
+        if (this.db || !this.dbReady) return this.db;
+        
+        // A blocked open must not stall callers forever
+        return Promise.race([
+            this.dbReady,
+            new Promise(resolve => setTimeout(() => resolve(null), timeout))
+        ]);
+    }
+    
     async setIndexedDB(key, value, options = {}) {
         if (!this.db) return false;
         
@@ -341,6 +357,203 @@ class StorageModule {
         }
     }
     
+    // History Store (IndexedDB)
+    async addHistory(entry) {
+        if (!this.db) return null;
+        
+        try {
+            const transaction = this.db.transaction(['history'], 'readwrite');
+            const store = transaction.objectStore('history');
+            
+            // Entries without an id get one from the store's auto increment
+            const record = { timestamp: Date.now(), ...entry };
+            
+            return await new Promise((resolve, reject) => {
+                const request = store.put(record);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('IndexedDB history add failed:', error);
+            return null;
+        }
+    }
+    
+    async getHistory(type, since = null) {
+        if (!this.db) return [];
+        
+        try {
+            const transaction = this.db.transaction(['history'], 'readonly');
+            const store = transaction.objectStore('history');
+            
+            // A time window reads only its own records through the timestamp index
+            const request = since ?
+                store.index('timestamp').getAll(IDBKeyRange.lowerBound(since)) :
+                store.index('type').getAll(type);
+            
+            const records = await new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(request.error);
+            });
+            
+            return since ? records.filter(record => record.type === type) : records;
+        } catch (error) {
+            console.error('IndexedDB history get failed:', error);
+            return [];
+        }
+    }
+    
+    async removeHistory(ids) {
+        if (!this.db || ids.length === 0) return false;
+        
+        try {
+            const transaction = this.db.transaction(['history'], 'readwrite');
+            const store = transaction.objectStore('history');
+            
+            await Promise.all(ids.map(id => new Promise((resolve, reject) => {
+                const request = store.delete(id);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            })));
+            
+            return true;
+        } catch (error) {
+            console.error('IndexedDB history remove failed:', error);
+            return false;
+        }
+    }
+    
+    async clearHistory(type) {
+        if (!this.db) return false;
+        
+        try {
+            const records = await this.getHistory(type);
+            const transaction = this.db.transaction(['history'], 'readwrite');
+            const store = transaction.objectStore('history');
+            
+            await Promise.all(records.map(record => new Promise((resolve, reject) => {
+                const request = store.delete(record.id);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            })));
+            
+            return true;
+        } catch (error) {
+            console.error('IndexedDB history clear failed:', error);
+            return false;
+        }
+    }
+    
+    // Cache Store (IndexedDB)
+    async getCacheEntry(key) {
+        const db = await this.waitForDB();
+        if (!db) return null;
+        
+        try {
+            const store = db.transaction(['cache'], 'readonly').objectStore('cache');
+            
+            return await new Promise((resolve, reject) => {
+                const request = store.get(key);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('IndexedDB cache get failed:', error);
+            return null;
+        }
+    }
+    
+    async putCacheEntry(entry) {
+        const db = await this.waitForDB();
+        if (!db) return false;
+        
+        try {
+            const store = db.transaction(['cache'], 'readwrite').objectStore('cache');
+            
+            await new Promise((resolve, reject) => {
+                const request = store.put(entry);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+            
+            return true;
+        } catch (error) {
+            console.error('IndexedDB cache put failed:', error);
+            return false;
+        }
+    }
+    
+    async deleteCacheEntries(keys) {
+        const db = await this.waitForDB();
+        if (!db || keys.length === 0) return false;
+        
+        try {
+            const store = db.transaction(['cache'], 'readwrite').objectStore('cache');
+            
+            await Promise.all(keys.map(key => new Promise((resolve, reject) => {
+                const request = store.delete(key);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            })));
+            
+            return true;
+        } catch (error) {
+            console.error('IndexedDB cache delete failed:', error);
+            return false;
+        }
+    }
+    
+    // Metadata of every cached entry, without the values
+    async getCacheIndex() {
+        const db = await this.waitForDB();
+        if (!db) return [];
+        
+        try {
+            const store = db.transaction(['cache'], 'readonly').objectStore('cache');
+            
+            return await new Promise((resolve, reject) => {
+                const entries = [];
+                const request = store.openCursor();
+                
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve(entries);
+                        return;
+                    }
+                    
+                    const { key, size, expires, maxStale, lastAccess } = cursor.value;
+                    entries.push({ key, size, expires, maxStale, lastAccess });
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('IndexedDB cache index failed:', error);
+            return [];
+        }
+    }
+    
+    async clearCacheStore() {
+        const db = await this.waitForDB();
+        if (!db) return false;
+        
+        try {
+            const store = db.transaction(['cache'], 'readwrite').objectStore('cache');
+            
+            await new Promise((resolve, reject) => {
+                const request = store.clear();
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+            
+            return true;
+        } catch (error) {
+            console.error('IndexedDB cache clear failed:', error);
+            return false;
+        }
+    }
+    
     // Cache Management
     async setCache(key, value, ttl = 3600000) { // Default 1 hour TTL
         const expires = Date.now() + ttl;
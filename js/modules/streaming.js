@@ -0,0 +1,258 @@
+/**
+ * Streaming Module
+ * Live exchange prices from WebSocket ticker feeds with reconnect and REST polling fallback
+ */
+
+class StreamingModule {
+    constructor() {
+        this.sockets = new Map(); // exchangeId -> { socket, coinIds, retries, reconnectTimer }
+        this.prices = new Map(); // coinId -> Map(exchangeId -> ticker)
+        this.watchers = new Map(); // consumer -> Set of coin IDs
+        this.fallbackPollers = new Map(); // exchangeId -> interval
+        this.enabled = true;
+        this.syncTimer = null;
+        this.reconnectBase = 1000;
+        this.maxReconnectDelay = 30000;
+        this.fallbackDelay = 15000; // REST polling cadence while a feed is down
+        this.staleAfter = 30000; // Tickers older than this are not considered live
+    }
+
+    init() {
+        console.log('📡 Streaming Module initialized');
+        this.enabled = Storage.get('streamingEnabled', true) && 'WebSocket' in window;
+    }
+
+    // Subscriptions
+    watch(consumer, coinIds) {
+        this.watchers.set(consumer, new Set(coinIds));
+        this.scheduleSync();
+    }
+
+    unwatch(consumer) {
+        this.watchers.delete(consumer);
+        this.scheduleSync();
+    }
+
+    getWatchedCoins() {
+        const coins = new Set();
+        this.watchers.forEach(coinIds => coinIds.forEach(coinId => coins.add(coinId)));
+        return Array.from(coins);
+    }
+
+    scheduleSync() {
+        // Several consumers usually register in the same tick; connect once for all of them
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.syncConnections(), 500);
+    }
+
+    syncConnections() {
+        const coinIds = this.getWatchedCoins();
+
+        ExchangeRegistry.getAdapters()
+            .filter(adapter => adapter.supportsStreaming())
+            .forEach(adapter => {
+                const supported = coinIds.filter(coinId => adapter.supports(coinId));
+                const current = this.sockets.get(adapter.id);
+                const unchanged = current &&
+                    current.coinIds.length === supported.length &&
+                    supported.every(coinId => current.coinIds.includes(coinId));
+
+                if (unchanged) return;
+
+                this.disconnect(adapter.id);
+
+                if (supported.length === 0) return;
+
+                if (this.enabled) {
+                    this.connect(adapter, supported);
+                } else {
+                    this.sockets.set(adapter.id, { coinIds: supported, socket: null, retries: 0, reconnectTimer: null });
+                    this.startFallback(adapter, supported);
+                }
+            });
+    }
+
+    // Connections
+    connect(adapter, coinIds) {
+        const url = adapter.getStreamUrl(coinIds);
+        if (!url) return;
+
+        const entry = this.sockets.get(adapter.id) || { coinIds, retries: 0, reconnectTimer: null };
+        entry.coinIds = coinIds;
+
+        try {
+            entry.socket = new WebSocket(url);
+        } catch (error) {
+            console.error(`${adapter.name} stream failed to open:`, error);
+            this.sockets.set(adapter.id, entry);
+            this.scheduleReconnect(adapter, entry);
+            return;
+        }
+
+        entry.socket.onopen = () => {
+            console.log(`📡 ${adapter.name} stream connected`);
+            entry.retries = 0;
+            this.stopFallback(adapter.id);
+
+            adapter.getSubscribeMessages(coinIds).forEach(message => {
+                entry.socket.send(JSON.stringify(message));
+            });
+        };
+
+        entry.socket.onmessage = (event) => {
+            try {
+                const update = adapter.parseStreamMessage(JSON.parse(event.data));
+                if (update) {
+                    this.handleTicker(adapter.id, update.coinId, update.ticker, 'stream');
+                }
+            } catch (error) {
+                console.warn(`${adapter.name} stream message ignored:`, error);
+            }
+        };
+
+        entry.socket.onerror = (error) => {
+            console.warn(`${adapter.name} stream error:`, error);
+        };
+
+        entry.socket.onclose = () => {
+            // Closed on purpose by disconnect(), which drops the entry first
+            if (this.sockets.get(adapter.id) !== entry) return;
+
+            console.warn(`${adapter.name} stream closed`);
+            this.startFallback(adapter, entry.coinIds);
+            this.scheduleReconnect(adapter, entry);
+        };
+
+        this.sockets.set(adapter.id, entry);
+    }
+
+    scheduleReconnect(adapter, entry) {
+        clearTimeout(entry.reconnectTimer);
+
+        // Exponential backoff with jitter so every tab doesn't reconnect at once
+        const delay = Math.min(this.reconnectBase * Math.pow(2, entry.retries), this.maxReconnectDelay);
+        const jitter = Math.random() * delay * 0.3;
+        entry.retries++;
+
+        entry.reconnectTimer = setTimeout(() => {
+            if (this.sockets.get(adapter.id) === entry && this.enabled) {
+                this.connect(adapter, entry.coinIds);
+            }
+        }, delay + jitter);
+    }
+
+    disconnect(exchangeId) {
+        const entry = this.sockets.get(exchangeId);
+        this.sockets.delete(exchangeId);
+        this.stopFallback(exchangeId);
+
+        if (!entry) return;
+
+        clearTimeout(entry.reconnectTimer);
+        if (entry.socket && entry.socket.readyState <= 1) {
+            entry.socket.close();
+        }
+    }
+
+    isConnected(exchangeId) {
+        return this.sockets.get(exchangeId)?.socket?.readyState === 1;
+    }
+
+    // REST Fallback
+    startFallback(adapter, coinIds) {
+        if (this.fallbackPollers.has(adapter.id)) return;
+
+        const poll = async () => {
+            if (document.visibilityState !== 'visible') return;
+
+            for (const coinId of coinIds) {
+                try {
+                    const ticker = await adapter.fetchTicker(coinId);
+                    if (ticker) {
+                        this.handleTicker(adapter.id, coinId, ticker, 'rest');
+                    }
+                } catch (error) {
+                    console.warn(`${adapter.name} fallback poll failed for ${coinId}:`, error.message);
+                }
+            }
+        };
+
+        this.fallbackPollers.set(adapter.id, setInterval(poll, this.fallbackDelay));
+        poll();
+    }
+
+    stopFallback(exchangeId) {
+        if (this.fallbackPollers.has(exchangeId)) {
+            clearInterval(this.fallbackPollers.get(exchangeId));
+            this.fallbackPollers.delete(exchangeId);
+        }
+    }
+
+    // Live Price Store
+    handleTicker(exchangeId, coinId, ticker, source) {
+        if (!ticker || !ticker.price) return;
+
+        if (!this.prices.has(coinId)) {
+            this.prices.set(coinId, new Map());
+        }
+
+        const entry = { ...ticker, exchange: exchangeId, source, receivedAt: Date.now() };
+        this.prices.get(coinId).set(exchangeId, entry);
+
+        document.dispatchEvent(new CustomEvent('priceUpdate', {
+            detail: { coinId, exchange: exchangeId, ticker: entry, source }
+        }));
+    }
+
+    getTicker(coinId, exchangeId) {
+        const ticker = this.prices.get(coinId)?.get(exchangeId);
+        if (!ticker || Date.now() - ticker.receivedAt > this.staleAfter) return null;
+        return ticker;
+    }
+
+    // Latest live price of a coin in a quote currency, from whichever exchange ticked last
+    getLivePrice(coinId, currency = 'usd') {
+        const tickers = Array.from(this.prices.get(coinId)?.values() || [])
+            .filter(ticker => Date.now() - ticker.receivedAt <= this.staleAfter)
+            .filter(ticker => this.normalizeQuote(ticker.quoteCurrency) === this.normalizeQuote(currency))
+            .sort((a, b) => b.receivedAt - a.receivedAt);
+
+        return tickers[0] || null;
+    }
+
+    normalizeQuote(currency) {
+        // USDT/USDC pairs stand in for USD prices
+        const quote = (currency || '').toLowerCase();
+        return ['usdt', 'usdc'].includes(quote) ? 'usd' : quote;
+    }
+
+    getStatus() {
+        return ExchangeRegistry.getAdapters()
+            .filter(adapter => adapter.supportsStreaming())
+            .map(adapter => ({
+                exchange: adapter.id,
+                connected: this.isConnected(adapter.id),
+                fallback: this.fallbackPollers.has(adapter.id),
+                coins: this.sockets.get(adapter.id)?.coinIds || []
+            }));
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled && 'WebSocket' in window;
+        Storage.set('streamingEnabled', enabled);
+
+        // Reconnect everything under the new mode
+        Array.from(this.sockets.keys()).forEach(exchangeId => this.disconnect(exchangeId));
+        Array.from(this.fallbackPollers.keys()).forEach(exchangeId => this.stopFallback(exchangeId));
+        this.syncConnections();
+    }
+
+    destroy() {
+        clearTimeout(this.syncTimer);
+        Array.from(this.sockets.keys()).forEach(exchangeId => this.disconnect(exchangeId));
+        Array.from(this.fallbackPollers.keys()).forEach(exchangeId => this.stopFallback(exchangeId));
+    }
+}
+
+// Export for use in other modules
+const Streaming = new StreamingModule();
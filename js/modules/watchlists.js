@@ -0,0 +1,241 @@
+/**
+ * Watchlists Module
+ * Named, ordered lists of coins to follow without holding them, used by the grid, alerts and arbitrage
+ */
+
+class WatchlistsModule {
+    constructor() {
+        this.lists = []; // In display order: { id, name, coins, createdAt }
+        this.activeId = null; // List the grid's star button adds to
+        this.maxNameLength = 40;
+        this.defaultName = 'Favoritos';
+    }
+
+    init() {
+        console.log('⭐ Watchlists Module initialized');
+        this.load();
+
+        // Starring a coin always has a list to go to
+        if (this.lists.length === 0) {
+            this.create(this.defaultName);
+        }
+    }
+
+    // Persistence
+    load() {
+        const saved = Storage.get('watchlists', []);
+
+        this.lists = (Array.isArray(saved) ? saved : [])
+            .filter(list => list && list.id && list.name)
+            .map(list => ({
+                id: list.id,
+                name: list.name,
+                coins: Array.isArray(list.coins) ? [...new Set(list.coins)] : [],
+                createdAt: list.createdAt || new Date().toISOString()
+            }));
+
+        const activeId = Storage.get('activeWatchlist', null);
+        this.activeId = this.get(activeId) ? activeId : this.lists[0]?.id || null;
+
+        return this.lists;
+    }
+
+    save(detail = {}) {
+        Storage.set('watchlists', this.lists);
+        Storage.set('activeWatchlist', this.activeId);
+
+        document.dispatchEvent(new CustomEvent('watchlistUpdate', { detail }));
+    }
+
+    // Lists
+    getLists() {
+        return this.lists;
+    }
+
+    get(watchlistId) {
+        return this.lists.find(list => list.id === watchlistId) || null;
+    }
+
+    getOrThrow(watchlistId) {
+        const list = this.get(watchlistId);
+        if (!list) {
+            throw new WatchlistError('Watchlist not found', watchlistId);
+        }
+        return list;
+    }
+
+    validateName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+
+        if (!trimmed || trimmed.length > this.maxNameLength) {
+            throw new WatchlistError(`Watchlist name must have 1 to ${this.maxNameLength} characters`, exceptId);
+        }
+
+        const taken = this.lists.some(list =>
+            list.id !== exceptId && list.name.toLowerCase() === trimmed.toLowerCase()
+        );
+        if (taken) {
+            throw new WatchlistError(`A watchlist named '${trimmed}' already exists`, exceptId);
+        }
+
+        return trimmed;
+    }
+
+    create(name, coins = []) {
+        const list = {
+            id: `watchlist_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+            name: this.validateName(name),
+            coins: [...new Set(coins)],
+            createdAt: new Date().toISOString()
+        };
+
+        this.lists.push(list);
+        this.activeId = this.activeId || list.id;
+        this.save({ watchlistId: list.id, action: 'create' });
+
+        return list;
+    }
+
+    rename(watchlistId, name) {
+        const list = this.getOrThrow(watchlistId);
+        list.name = this.validateName(name, watchlistId);
+        this.save({ watchlistId, action: 'rename' });
+
+        return list;
+    }
+
+    remove(watchlistId) {
+        this.getOrThrow(watchlistId);
+
+        if (this.lists.length === 1) {
+            throw new WatchlistError('The last watchlist cannot be removed', watchlistId);
+        }
+
+        this.lists = this.lists.filter(list => list.id !== watchlistId);
+
+        if (this.activeId === watchlistId) {
+            this.activeId = this.lists[0].id;
+        }
+
+        this.save({ watchlistId, action: 'remove' });
+        return true;
+    }
+
+    move(watchlistId, toIndex) {
+        const list = this.getOrThrow(watchlistId);
+        const from = this.lists.indexOf(list);
+        const to = Math.max(0, Math.min(toIndex, this.lists.length - 1));
+
+        if (from === to) return false;
+
+        this.lists.splice(from, 1);
+        this.lists.splice(to, 0, list);
+        this.save({ watchlistId, action: 'reorder' });
+
+        return true;
+    }
+
+    getActive() {
+        return this.get(this.activeId);
+    }
+
+    setActive(watchlistId) {
+        this.getOrThrow(watchlistId);
+        this.activeId = watchlistId;
+        Storage.set('activeWatchlist', watchlistId);
+    }
+
+    // Coins
+    getCoins(watchlistId) {
+        return this.get(watchlistId)?.coins || [];
+    }
+
+    has(watchlistId, coinId) {
+        return this.getCoins(watchlistId).includes(coinId);
+    }
+
+    addCoin(watchlistId, coinId) {
+        const list = this.getOrThrow(watchlistId);
+        if (!coinId || list.coins.includes(coinId)) return false;
+
+        list.coins.push(coinId);
+        this.save({ watchlistId, coinId, action: 'add' });
+
+        return true;
+    }
+
+    removeCoin(watchlistId, coinId) {
+        const list = this.getOrThrow(watchlistId);
+        if (!list.coins.includes(coinId)) return false;
+
+        list.coins = list.coins.filter(id => id !== coinId);
+        this.save({ watchlistId, coinId, action: 'remove-coin' });
+
+        return true;
+    }
+
+    // Returns whether the coin is in the list afterwards
+    toggleCoin(watchlistId, coinId) {
+        if (this.has(watchlistId, coinId)) {
+            this.removeCoin(watchlistId, coinId);
+            return false;
+        }
+
+        this.addCoin(watchlistId, coinId);
+        return true;
+    }
+
+    moveCoin(watchlistId, coinId, toIndex) {
+        const list = this.getOrThrow(watchlistId);
+        const from = list.coins.indexOf(coinId);
+        const to = Math.max(0, Math.min(toIndex, list.coins.length - 1));
+
+        if (from === -1 || from === to) return false;
+
+        list.coins.splice(from, 1);
+        list.coins.splice(to, 0, coinId);
+        this.save({ watchlistId, coinId, action: 'reorder-coin' });
+
+        return true;
+    }
+
+    // Import/Export
+    exportData() {
+        return {
+            lists: this.lists,
+            activeId: this.activeId,
+            exportDate: new Date().toISOString()
+        };
+    }
+
+    importData(data) {
+        if (!Array.isArray(data?.lists)) {
+            throw new WatchlistError('Invalid watchlists data');
+        }
+
+        Storage.set('watchlists', data.lists);
+        Storage.set('activeWatchlist', data.activeId || null);
+        this.load();
+
+        if (this.lists.length === 0) {
+            this.create(this.defaultName);
+        } else {
+            this.save({ action: 'import' });
+        }
+
+        return true;
+    }
+}
+
+// Custom Error Class
+class WatchlistError extends Error {
+    constructor(message, watchlistId = null) {
+        super(message);
+        this.name = 'WatchlistError';
+        this.watchlistId = watchlistId;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+// Export for use in other modules
+const Watchlists = new WatchlistsModule();
@@ -14,14 +14,37 @@ const STATIC_ASSETS = [
     '/index.html',
     '/css/styles.css',
     '/js/app.js',
+    '/js/modules/ratelimiter.js',
     '/js/modules/api.js',
+    '/js/modules/providers/registry.js',
+    '/js/modules/providers/coingecko.js',
+    '/js/modules/providers/cryptocompare.js',
+    '/js/modules/providers/binance.js',
+    '/js/modules/pricebus.js',
+    '/js/modules/watchlists.js',
     '/js/modules/portfolio.js',
+    '/js/modules/portfoliohistory.js',
+    '/js/modules/importers/registry.js',
+    '/js/modules/importers/binance.js',
+    '/js/modules/importers/coinbase.js',
+    '/js/modules/importers/kraken.js',
+    '/js/modules/importers/mercadobitcoin.js',
+    '/js/modules/importers/generic.js',
+    '/js/modules/portfolioimport.js',
     '/js/modules/alerts.js',
     '/js/modules/charts.js',
     '/js/modules/theme.js',
     '/js/modules/storage.js',
     '/js/modules/notifications.js',
     '/js/modules/analytics.js',
+    '/js/modules/stablecoins.js',
+    '/js/modules/exchanges/registry.js',
+    '/js/modules/exchanges/coingecko.js',
+    '/js/modules/exchanges/binance.js',
+    '/js/modules/exchanges/mercadobitcoin.js',
+    '/js/modules/streaming.js',
+    '/js/modules/arbitrage.js',
+    '/js/modules/papertrading.js',
     '/js/utils/formatters.js',
     '/js/utils/validators.js',
     '/manifest.json',
@@ -315,6 +338,7 @@ function isCacheExpired(response, maxAge) {
 function isAPIRequest(url) {
     return API_ENDPOINTS.some(endpoint => url.href.startsWith(endpoint)) ||
            url.hostname === 'api.coingecko.com' ||
+           url.hostname === 'min-api.cryptocompare.com' ||
            url.pathname.includes('/api/');
 }
 
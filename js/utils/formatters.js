@@ -35,7 +35,7 @@ class FormattersUtil {
     // Currency Formatting
     formatCurrency(amount, currency = 'usd', compact = false, precision = null) {
         if (amount === null || amount === undefined || isNaN(amount)) {
-            return this.currencies[currency]?.symbol + '0.00' || '$0.00';
+            return `${this.getCurrencySymbol(currency || 'usd')}0.00`;
         }
         
         const currencyInfo = this.currencies[currency.toLowerCase()] || this.currencies.usd;
@@ -62,10 +62,8 @@ class ValidatorsUtil {
             }
         };
         
-        // Fiat currencies
-        this.fiatCurrencies = [
-            'usd', 'eur', 'gbp', 'jpy', 'brl', 'cad', 'aud', 'chf', 'cny', 'inr'
-        ];
+        // Fiat currencies, the same set the formatters support
+        this.fiatCurrencies = Formatters.getSupportedCurrencies();
         
         // Error messages
         this.errorMessages = {